@@ -0,0 +1,16 @@
+/**
+ * async のルートハンドラーを Express に登録できる形にする
+ *
+ * Express 4 は async ハンドラーの例外（reject）を拾わないため、
+ * そのままではリクエストが応答されずに残る。reject を next() でエラーハンドラーへ渡す。
+ *
+ * @param {Function} handler - (req, res, next) => Promise
+ * @returns {Function}
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+module.exports = { asyncHandler };
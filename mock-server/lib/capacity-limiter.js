@@ -0,0 +1,206 @@
+/**
+ * 同時処理数に上限のあるサーバーのモデル
+ *
+ * 固定数のワーカーと上限つきの待ち行列を持つサーバーを再現します。
+ * - 空いているワーカーがあれば、serviceTimeMs の処理時間をかけてリクエストを処理
+ * - ワーカーがすべて埋まっていれば待ち行列に並ぶ（待ち時間の分だけレイテンシが伸びる）
+ * - 待ち行列もあふれたら、あるいは queueTimeoutMs を超えて待たされたら503
+ *
+ * スループットの上限はおよそ workers / serviceTimeMs（リクエスト/ms）です。
+ * 到着レートがこれを超えると待ち行列が伸び始め（ニー）、上限に達すると503が増えます（飽和）。
+ */
+
+class CapacityConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CapacityConfigError';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class CapacityLimiter {
+  /**
+   * @param {Object} config - configure() と同じ形式（workers が未指定なら無効）
+   */
+  constructor(config = {}) {
+    this.config = null;
+    this.active = 0;
+    this.queue = [];
+    this.stats = { served: 0, rejected: 0, timedOut: 0 };
+
+    if (config.workers) {
+      this.configure(config);
+    }
+  }
+
+  /**
+   * 設定を変更（処理中・待機中のリクエストはそのまま引き継ぐ）
+   *
+   * @param {Object} config
+   * @param {number} config.workers - 同時に処理できるリクエスト数
+   * @param {number} [config.queueSize] - 待ち行列の長さ（0なら待たずに503）
+   * @param {number} [config.serviceTimeMs] - 1リクエストの処理時間
+   * @param {number} [config.queueTimeoutMs] - 待ち行列で待てる最大時間（0なら無制限）
+   * @returns {Object} - 適用された設定
+   * @throws {CapacityConfigError}
+   */
+  configure({ workers, queueSize = workers * 10, serviceTimeMs = 50, queueTimeoutMs = 0 } = {}) {
+    if (!Number.isInteger(workers) || workers < 1) {
+      throw new CapacityConfigError('workers は1以上の整数で指定してください');
+    }
+    if (!Number.isInteger(queueSize) || queueSize < 0) {
+      throw new CapacityConfigError('queueSize は0以上の整数で指定してください');
+    }
+    if (!Number.isInteger(serviceTimeMs) || serviceTimeMs < 0) {
+      throw new CapacityConfigError('serviceTimeMs は0以上の整数で指定してください');
+    }
+    if (!Number.isInteger(queueTimeoutMs) || queueTimeoutMs < 0) {
+      throw new CapacityConfigError('queueTimeoutMs は0以上の整数で指定してください');
+    }
+
+    this.config = { workers, queueSize, serviceTimeMs, queueTimeoutMs };
+    this.stats = { served: 0, rejected: 0, timedOut: 0 };
+    this.dispatch();
+    return this.config;
+  }
+
+  /**
+   * 容量制限を無効化（待機中のリクエストはすぐに処理される）
+   */
+  disable() {
+    this.config = null;
+    this.dispatch();
+  }
+
+  /**
+   * 現在の状態
+   *
+   * @returns {Object}
+   */
+  status() {
+    return {
+      enabled: this.config !== null,
+      config: this.config,
+      active: this.active,
+      queued: this.queue.length,
+      ...this.stats
+    };
+  }
+
+  /**
+   * ワーカーを1つ確保する
+   *
+   * @returns {Promise<boolean>|boolean} - 確保できたら true、待ち行列があふれたら false
+   */
+  acquire() {
+    if (!this.config || this.active < this.config.workers) {
+      this.active++;
+      return true;
+    }
+    if (this.queue.length >= this.config.queueSize) {
+      return false;
+    }
+    return new Promise((resolve) => this.queue.push(resolve));
+  }
+
+  /**
+   * ワーカーを解放し、待ち行列の先頭に渡す
+   */
+  release() {
+    this.active--;
+    this.dispatch();
+  }
+
+  /**
+   * 空いているワーカーを待ち行列のリクエストに割り当てる
+   */
+  dispatch() {
+    while (this.queue.length > 0 && (!this.config || this.active < this.config.workers)) {
+      this.active++;
+      this.queue.shift()(true);
+    }
+  }
+
+  /**
+   * 待ち行列から取り除く（タイムアウト・クライアントの切断時）
+   */
+  cancel(resolve) {
+    const index = this.queue.indexOf(resolve);
+    if (index !== -1) {
+      this.queue.splice(index, 1);
+      resolve(false);
+    }
+  }
+
+  /**
+   * Expressミドルウェアを生成
+   *
+   * @param {Object} options
+   * @param {Array<string>} options.excludePaths - 制限しないパスの前方一致
+   * @returns {Function}
+   */
+  middleware({ excludePaths = [] } = {}) {
+    return async (req, res, next) => {
+      if (!this.config || excludePaths.some((prefix) => req.path.startsWith(prefix))) {
+        return next();
+      }
+
+      const queuedAt = Date.now();
+      let acquired = this.acquire();
+
+      if (acquired instanceof Promise) {
+        const waiting = this.queue[this.queue.length - 1];
+        const { queueTimeoutMs } = this.config;
+        const timer = queueTimeoutMs > 0
+          ? setTimeout(() => {
+            this.stats.timedOut++;
+            this.cancel(waiting);
+          }, queueTimeoutMs)
+          : null;
+        const onClose = () => this.cancel(waiting);
+        res.on('close', onClose);
+
+        acquired = await acquired;
+        clearTimeout(timer);
+        res.off('close', onClose);
+      }
+
+      if (!acquired) {
+        // 待っている間にクライアントが切断した場合は応答しない
+        if (res.writableEnded || res.destroyed) {
+          return;
+        }
+        this.stats.rejected++;
+        res.set('Retry-After', '1');
+        return res.status(503).json({
+          success: false,
+          error: 'サーバーが混雑しています。しばらく待ってから再試行してください'
+        });
+      }
+
+      let released = false;
+      const release = () => {
+        if (!released) {
+          released = true;
+          this.release();
+        }
+      };
+      res.on('finish', release);
+      res.on('close', release);
+
+      res.set('X-Queue-Time', String(Date.now() - queuedAt));
+
+      // 処理時間の間ワーカーを占有する
+      if (this.config && this.config.serviceTimeMs > 0) {
+        await sleep(this.config.serviceTimeMs);
+      }
+      this.stats.served++;
+      next();
+    };
+  }
+}
+
+module.exports = { CapacityConfigError, CapacityLimiter };
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { UploadError } = require('./upload');
+
+/**
+ * 再開可能な分割アップロード（チャンクアップロード）
+ *
+ * tus プロトコルを簡略化した流れです。
+ * 1. セッションを作成（ファイル全体のサイズを宣言）
+ * 2. Upload-Offset を指定してチャンクを順に送信
+ * 3. 失敗したら現在のオフセットを問い合わせて続きから再送
+ * 4. すべて届いたら完了を通知し、サーバー側で結合・チェックサム検証
+ */
+
+// 完了しないまま放置されたセッションの保持期間
+const SESSION_TTL_MS = 60 * 60 * 1000;
+
+class ChunkedUploadStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxBytes - 1ファイルあたりのサイズ上限
+   */
+  constructor({ maxBytes }) {
+    this.maxBytes = maxBytes;
+    this.sessions = new Map();
+
+    // 放置されたセッションを定期的に掃除（プロセス終了は妨げない）
+    setInterval(() => this.purgeExpired(), 60 * 1000).unref();
+  }
+
+  /**
+   * アップロードセッションを作成
+   *
+   * @param {Object} spec - { filename, size, contentType?, sha256? }
+   * @returns {Object} - セッションの状態
+   * @throws {UploadError}
+   */
+  create({ filename, size, contentType = 'application/octet-stream', sha256 } = {}) {
+    if (!filename || !Number.isInteger(size) || size < 1) {
+      throw new UploadError('filename と size（1以上の整数）は必須です');
+    }
+    if (size > this.maxBytes) {
+      throw new UploadError(`ファイルサイズが上限（${this.maxBytes} bytes）を超えています`, 413);
+    }
+
+    const session = {
+      id: crypto.randomUUID(),
+      filename,
+      size,
+      contentType,
+      expectedSha256: sha256 || null,
+      offset: 0,
+      chunks: [],
+      chunkCount: 0,
+      status: 'uploading',
+      result: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: Date.now()
+    };
+    this.sessions.set(session.id, session);
+    return this.serialize(session);
+  }
+
+  /**
+   * セッションの状態を取得
+   *
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    const session = this.sessions.get(id);
+    return session ? this.serialize(session) : null;
+  }
+
+  /**
+   * チャンクを追記
+   *
+   * @param {string} id
+   * @param {number} offset - クライアントが認識している現在のオフセット
+   * @param {Buffer} chunk
+   * @returns {Object} - 追記後のセッションの状態
+   * @throws {UploadError}
+   */
+  append(id, offset, chunk) {
+    const session = this.require(id);
+
+    if (session.status !== 'uploading') {
+      throw new UploadError('このアップロードは完了済みです', 409);
+    }
+    if (offset !== session.offset) {
+      throw new UploadError(`Upload-Offset が一致しません（現在のオフセット: ${session.offset}）`, 409);
+    }
+    if (!chunk || chunk.length === 0) {
+      throw new UploadError('チャンクが空です');
+    }
+    if (session.offset + chunk.length > session.size) {
+      throw new UploadError('宣言されたサイズを超えています', 413);
+    }
+
+    session.chunks.push(chunk);
+    session.chunkCount++;
+    session.offset += chunk.length;
+    session.updatedAt = Date.now();
+    return this.serialize(session);
+  }
+
+  /**
+   * すべてのチャンクを結合してアップロードを完了
+   *
+   * @param {string} id
+   * @returns {Object} - { filename, size, contentType, sha256, chunks }
+   * @throws {UploadError}
+   */
+  complete(id) {
+    const session = this.require(id);
+
+    if (session.status === 'completed') {
+      return session.result;
+    }
+    if (session.offset !== session.size) {
+      throw new UploadError(`すべてのチャンクが届いていません（${session.offset} / ${session.size} bytes）`, 409);
+    }
+
+    const buffer = Buffer.concat(session.chunks);
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    if (session.expectedSha256 && session.expectedSha256 !== sha256) {
+      // 壊れたデータは破棄し、最初からやり直させる
+      this.sessions.delete(id);
+      throw new UploadError('sha256 が一致しません。アップロードをやり直してください', 422);
+    }
+
+    session.status = 'completed';
+    session.chunks = [];
+    session.updatedAt = Date.now();
+    session.result = {
+      id: session.id,
+      filename: session.filename,
+      size: buffer.length,
+      contentType: session.contentType,
+      sha256,
+      chunks: session.chunkCount,
+      completedAt: new Date().toISOString()
+    };
+    return session.result;
+  }
+
+  /**
+   * セッションを破棄
+   *
+   * @param {string} id
+   * @returns {boolean} - 破棄できた場合はtrue
+   */
+  remove(id) {
+    return this.sessions.delete(id);
+  }
+
+  require(id) {
+    const session = this.sessions.get(id);
+    if (!session) {
+      throw new UploadError('アップロードセッションが見つかりません', 404);
+    }
+    return session;
+  }
+
+  serialize(session) {
+    return {
+      id: session.id,
+      filename: session.filename,
+      size: session.size,
+      contentType: session.contentType,
+      offset: session.offset,
+      chunks: session.chunkCount,
+      status: session.status,
+      createdAt: session.createdAt
+    };
+  }
+
+  purgeExpired() {
+    const threshold = Date.now() - SESSION_TTL_MS;
+    for (const [id, session] of this.sessions) {
+      if (session.updatedAt < threshold) {
+        this.sessions.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = { ChunkedUploadStore };
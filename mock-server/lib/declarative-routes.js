@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const YAML = require('yaml');
+const { sampleLatency } = require('./latency-distribution');
+const { asyncHandler } = require('./async-handler');
+
+/**
+ * 設定ファイル（JSON / YAML）で定義するルート
+ *
+ * Expressのハンドラーを書かずに、上流サービスに見立てたエンドポイントを追加できます。
+ * ファイルが変更されると自動で読み込み直します（読み込みに失敗した場合は直前のルートを使い続ける）。
+ *
+ * routes:
+ *   - method: GET
+ *     path: /upstream/orders/:id
+ *     status: 200
+ *     headers: { X-Upstream: orders }
+ *     latency: { dist: lognormal, median: 80, sigma: 0.6 }   # 数値なら固定のミリ秒
+ *     errorRate: 0.02
+ *     errorStatus: 503
+ *     body:
+ *       id: "{{params.id}}"
+ *       requestedAt: "{{now}}"
+ *
+ * body の文字列では {{params.x}}、{{query.x}}、{{body.x}}、{{headers.x}}、
+ * {{now}}（ISO 8601）、{{timestamp}}（ミリ秒）、{{uuid}}、{{randomInt 1 100}} が使えます。
+ * 文字列全体が1つのテンプレートの場合は、元の値の型（数値・オブジェクトなど）のまま埋め込みます。
+ */
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const TEMPLATE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+const WHOLE_TEMPLATE_PATTERN = /^\{\{\s*([^}]+?)\s*\}\}$/;
+const WATCH_INTERVAL_MS = 1000;
+
+class RouteConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RouteConfigError';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * テンプレートの式を評価
+ *
+ * @param {string} expression - "params.id"、"now"、"randomInt 1 100" など
+ * @param {Object} context - { params, query, body, headers }
+ * @returns {*}
+ */
+function evaluate(expression, context) {
+  const [name, ...args] = expression.split(/\s+/);
+
+  switch (name) {
+    case 'now':
+      return new Date().toISOString();
+    case 'timestamp':
+      return Date.now();
+    case 'uuid':
+      return crypto.randomUUID();
+    case 'randomInt': {
+      const [min, max] = args.map(Number);
+      return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+    default:
+      return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+  }
+}
+
+/**
+ * レスポンスボディのテンプレートを展開（オブジェクト・配列は再帰的に処理）
+ *
+ * @param {*} template
+ * @param {Object} context
+ * @returns {*}
+ */
+function render(template, context) {
+  if (typeof template === 'string') {
+    const whole = template.match(WHOLE_TEMPLATE_PATTERN);
+    if (whole) {
+      return evaluate(whole[1], context);
+    }
+    return template.replace(TEMPLATE_PATTERN, (_, expression) => {
+      const value = evaluate(expression, context);
+      return value === undefined ? '' : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map((item) => render(item, context));
+  }
+  if (template !== null && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, render(value, context)])
+    );
+  }
+  return template;
+}
+
+/**
+ * ルート定義を検証して正規化
+ *
+ * @param {Object} spec
+ * @param {number} index - エラーメッセージ用の位置
+ * @returns {Object}
+ * @throws {RouteConfigError}
+ */
+function normalizeRoute(spec, index) {
+  const where = `routes[${index}]`;
+  if (spec === null || typeof spec !== 'object') {
+    throw new RouteConfigError(`${where} はオブジェクトで指定してください`);
+  }
+
+  const method = String(spec.method || 'GET').toUpperCase();
+  if (!METHODS.includes(method)) {
+    throw new RouteConfigError(`${where}.method には ${METHODS.join(', ')} のいずれかを指定してください`);
+  }
+  if (typeof spec.path !== 'string' || !spec.path.startsWith('/')) {
+    throw new RouteConfigError(`${where}.path は / で始まる文字列で指定してください`);
+  }
+
+  const status = spec.status === undefined ? 200 : spec.status;
+  const errorStatus = spec.errorStatus === undefined ? 500 : spec.errorStatus;
+  for (const [name, value] of [['status', status], ['errorStatus', errorStatus]]) {
+    if (!Number.isInteger(value) || value < 100 || value > 599) {
+      throw new RouteConfigError(`${where}.${name} は100〜599の整数で指定してください`);
+    }
+  }
+
+  const errorRate = spec.errorRate === undefined ? 0 : spec.errorRate;
+  if (typeof errorRate !== 'number' || errorRate < 0 || errorRate > 1) {
+    throw new RouteConfigError(`${where}.errorRate は0〜1の数値で指定してください`);
+  }
+
+  const headers = spec.headers || {};
+  if (typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new RouteConfigError(`${where}.headers はオブジェクトで指定してください`);
+  }
+
+  // 数値は固定の遅延、オブジェクトは /api/delay と同じ分布の指定
+  let latency = null;
+  if (typeof spec.latency === 'number') {
+    latency = { dist: 'uniform', min: spec.latency, max: spec.latency };
+  } else if (spec.latency) {
+    latency = spec.latency;
+  }
+  if (latency) {
+    // 試しに1回サンプリングして検証する（想定外の例外も設定の誤りとして扱う）
+    try {
+      sampleLatency(latency);
+    } catch (error) {
+      throw new RouteConfigError(`${where}.latency: ${error.message}`);
+    }
+  }
+
+  return {
+    method,
+    path: spec.path,
+    status,
+    headers,
+    body: spec.body === undefined ? null : spec.body,
+    latency,
+    errorRate,
+    errorStatus,
+    errorBody: spec.errorBody || { success: false, error: 'Injected error' }
+  };
+}
+
+/**
+ * 設定ファイルを読み込んでルート定義の配列にする
+ *
+ * @param {string} file - .json / .yaml / .yml
+ * @returns {Array<Object>}
+ * @throws {RouteConfigError}
+ */
+function readRoutesFile(file) {
+  let config;
+  try {
+    const text = fs.readFileSync(file, 'utf8');
+    config = path.extname(file) === '.json' ? JSON.parse(text) : YAML.parse(text);
+  } catch (error) {
+    throw new RouteConfigError(`${file} を読み込めません: ${error.message}`);
+  }
+
+  const routes = config && config.routes;
+  if (!Array.isArray(routes)) {
+    throw new RouteConfigError(`${file} には routes を配列で指定してください`);
+  }
+  return routes.map(normalizeRoute);
+}
+
+/**
+ * ルート定義からハンドラーを生成
+ */
+function createHandler(route) {
+  return asyncHandler(async (req, res) => {
+    if (route.latency) {
+      await sleep(sampleLatency(route.latency).delay);
+    }
+
+    const context = { params: req.params, query: req.query, body: req.body || {}, headers: req.headers };
+    res.set(render(route.headers, context));
+
+    if (route.errorRate > 0 && Math.random() < route.errorRate) {
+      return res.status(route.errorStatus).json(render(route.errorBody, context));
+    }
+
+    res.status(route.status);
+    if (route.body === null) {
+      return res.end();
+    }
+    res.json(render(route.body, context));
+  });
+}
+
+/**
+ * 設定ファイルを読み込み、ルート定義とルーターを組み立てる
+ *
+ * path-to-regexp が解釈できない path（"/x/(bad" など）はルーターへの登録時に例外になるため、
+ * ここで組み立てまで済ませ、どの失敗も RouteConfigError にする
+ *
+ * @param {string} file
+ * @returns {{ routes: Array<Object>, router: Function }}
+ * @throws {RouteConfigError}
+ */
+function loadRoutes(file) {
+  const routes = readRoutesFile(file);
+  const router = express.Router();
+  routes.forEach((route, index) => {
+    try {
+      router[route.method.toLowerCase()](route.path, createHandler(route));
+    } catch (error) {
+      throw new RouteConfigError(`routes[${index}].path を解釈できません: ${error.message}`);
+    }
+  });
+  return { routes, router };
+}
+
+class DeclarativeRoutes {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.file - ルート定義ファイルのパス（未指定なら無効）
+   */
+  constructor({ file = null } = {}) {
+    this.file = file ? path.resolve(file) : null;
+    this.routes = [];
+    this.router = express.Router();
+    this.loadedAt = null;
+    this.lastError = null;
+
+    if (this.file) {
+      this.reload();
+      // エディタの保存方法やDockerのボリュームに左右されないよう、ポーリングで監視する
+      fs.watchFile(this.file, { interval: WATCH_INTERVAL_MS }, () => this.reload());
+    }
+  }
+
+  /**
+   * ファイルを読み込み直してルーターを差し替える
+   *
+   * @returns {boolean} - 読み込めた場合は true（失敗時は直前のルートを使い続ける）
+   */
+  reload() {
+    try {
+      const { routes, router } = loadRoutes(this.file);
+
+      this.routes = routes;
+      this.router = router;
+      this.loadedAt = new Date().toISOString();
+      this.lastError = null;
+      console.log(`📄 ルート定義を読み込みました: ${this.file}（${routes.length} 件）`);
+      return true;
+    } catch (error) {
+      if (!(error instanceof RouteConfigError)) {
+        throw error;
+      }
+      this.lastError = error.message;
+      console.error(`ルート定義の読み込みに失敗しました: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * 読み込み状況
+   *
+   * @returns {Object}
+   */
+  status() {
+    return {
+      file: this.file,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      routes: this.routes.map(({ method, path: routePath, status, latency, errorRate }) => ({
+        method,
+        path: routePath,
+        status,
+        latency,
+        errorRate
+      }))
+    };
+  }
+
+  /**
+   * Expressミドルウェアを生成（読み込み直すと新しいルーターに切り替わる）
+   *
+   * @returns {Function}
+   */
+  middleware() {
+    return (req, res, next) => this.router(req, res, next);
+  }
+}
+
+module.exports = { RouteConfigError, DeclarativeRoutes };
@@ -0,0 +1,211 @@
+const { CHAOS_MODES, parseChaosOptions, applyChaos } = require('./network-chaos');
+
+/**
+ * 実行時に切り替えられる障害注入（フォールトインジェクション）
+ *
+ * ルートのパターンごとにエラー率・ステータスコード・追加レイテンシ・ジッターを
+ * 設定できます。ルールは /admin/faults から追加・削除し、再起動は不要です。
+ * chaos を指定したルールは、JSONのエラーの代わりに壊れたレスポンス（network-chaos.js）を返します。
+ */
+
+/**
+ * ルールの指定が不正な場合に投げるエラー（400として返す）
+ */
+class FaultRuleError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FaultRuleError';
+  }
+}
+
+const DEFAULT_STATUSES = [500];
+
+/**
+ * "*" をワイルドカードとするパスパターンを正規表現に変換
+ *
+ * 例: "/api/users/*" は /api/users/1 や /api/users/1/orders に一致
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function patternToRegExp(pattern) {
+  const escaped = pattern
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+class FaultInjector {
+  constructor() {
+    this.rules = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * ルールを追加
+   *
+   * @param {Object} spec
+   * @param {string} spec.path - パスパターン（"*" でワイルドカード）
+   * @param {string} [spec.method] - HTTPメソッド（省略時はすべて）
+   * @param {number} [spec.errorRate] - エラーを返す確率（0〜1）
+   * @param {Array<number>} [spec.statuses] - エラー時のステータスコード（ランダムに選択）
+   * @param {number} [spec.latencyMs] - 追加レイテンシ（ms）
+   * @param {number} [spec.jitterMs] - レイテンシのゆらぎ（0〜jitterMs をランダムに加算）
+   * @param {string} [spec.chaos] - エラー時に返す壊れたレスポンスの種類（reset、truncated など）
+   * @returns {Object} - 追加したルール
+   * @throws {FaultRuleError}
+   */
+  add(spec = {}) {
+    const {
+      path,
+      method,
+      errorRate = 0,
+      statuses = DEFAULT_STATUSES,
+      latencyMs = 0,
+      jitterMs = 0,
+      chaos = null
+    } = spec;
+
+    if (typeof path !== 'string' || (!path.startsWith('/') && path !== '*')) {
+      throw new FaultRuleError('path は "/" で始まるパターンで指定してください');
+    }
+    if (method !== undefined && typeof method !== 'string') {
+      throw new FaultRuleError('method は文字列で指定してください');
+    }
+    if (!isNonNegativeNumber(errorRate) || errorRate > 1) {
+      throw new FaultRuleError('errorRate は0〜1の数値で指定してください');
+    }
+    if (!Array.isArray(statuses) || statuses.length === 0 ||
+        !statuses.every((code) => Number.isInteger(code) && code >= 400 && code <= 599)) {
+      throw new FaultRuleError('statuses は400〜599のステータスコードの配列で指定してください');
+    }
+    if (!isNonNegativeNumber(latencyMs) || !isNonNegativeNumber(jitterMs)) {
+      throw new FaultRuleError('latencyMs と jitterMs は0以上の数値で指定してください');
+    }
+    if (chaos !== null && !CHAOS_MODES.includes(chaos)) {
+      throw new FaultRuleError(`chaos には ${CHAOS_MODES.join(', ')} のいずれかを指定してください`);
+    }
+
+    const rule = {
+      id: this.nextId++,
+      path,
+      method: method ? method.toUpperCase() : null,
+      errorRate,
+      statuses,
+      latencyMs,
+      jitterMs,
+      chaos,
+      hits: 0,
+      injectedErrors: 0,
+      createdAt: new Date().toISOString()
+    };
+    rule.matcher = patternToRegExp(path);
+    this.rules.push(rule);
+    return this.serialize(rule);
+  }
+
+  /**
+   * ルール一覧を取得
+   *
+   * @returns {Array<Object>}
+   */
+  list() {
+    return this.rules.map((rule) => this.serialize(rule));
+  }
+
+  /**
+   * ルールを削除
+   *
+   * @param {number} id
+   * @returns {boolean} - 削除できた場合はtrue
+   */
+  remove(id) {
+    const index = this.rules.findIndex((rule) => rule.id === id);
+    if (index === -1) {
+      return false;
+    }
+    this.rules.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * すべてのルールを削除
+   *
+   * @returns {number} - 削除したルール数
+   */
+  clear() {
+    const count = this.rules.length;
+    this.rules = [];
+    return count;
+  }
+
+  /**
+   * リクエストに一致する最初のルールを探す
+   *
+   * @param {string} method
+   * @param {string} path
+   * @returns {Object|null}
+   */
+  match(method, path) {
+    return this.rules.find((rule) =>
+      (!rule.method || rule.method === method) && rule.matcher.test(path)
+    ) || null;
+  }
+
+  /**
+   * Expressミドルウェアを生成
+   *
+   * 一致したルールのレイテンシを待ってから、確率に応じてエラーを返す。
+   * excludePaths に前方一致するパス（管理APIなど）には注入しない
+   *
+   * @param {Object} options
+   * @param {Array<string>} options.excludePaths
+   * @returns {Function}
+   */
+  middleware({ excludePaths = [] } = {}) {
+    return async (req, res, next) => {
+      if (excludePaths.some((prefix) => req.path.startsWith(prefix))) {
+        return next();
+      }
+
+      const rule = this.match(req.method, req.path);
+      if (!rule) {
+        return next();
+      }
+
+      rule.hits++;
+      const delay = rule.latencyMs + Math.random() * rule.jitterMs;
+      if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+
+      if (Math.random() < rule.errorRate) {
+        rule.injectedErrors++;
+        res.set('X-Fault-Injected', String(rule.id));
+        if (rule.chaos) {
+          return applyChaos(req, res, parseChaosOptions(rule.chaos));
+        }
+        const statusCode = rule.statuses[Math.floor(Math.random() * rule.statuses.length)];
+        return res.status(statusCode).json({
+          success: false,
+          error: '障害注入によるエラー',
+          faultRuleId: rule.id
+        });
+      }
+
+      next();
+    };
+  }
+
+  serialize(rule) {
+    const { matcher, ...rest } = rule;
+    return rest;
+  }
+}
+
+module.exports = { FaultRuleError, FaultInjector, patternToRegExp };
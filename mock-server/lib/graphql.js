@@ -0,0 +1,298 @@
+const { buildSchema, getOperationAST, graphql, parse, GraphQLError } = require('graphql');
+
+/**
+ * ユーザーデータを扱うGraphQLエンドポイント
+ *
+ * ユーザー・投稿・コメントを入れ子で取得できます。投稿とコメントは
+ * ユーザーIDから決まる固定のダミーデータで、ユーザー本体は UserStore を参照します。
+ *
+ * リゾルバーのレイテンシはクエリの深さと幅に応じて増えます。
+ *   レイテンシ = latencyPerDepthMs × 深さ + latencyPerItemMs × 返す件数
+ * 深い入れ子や大きな limit のクエリほど遅くなり、クエリコストの違いを負荷テストで観察できます。
+ */
+
+const schema = buildSchema(`
+  type Query {
+    user(id: ID!): User
+    users(limit: Int = 10, offset: Int = 0): [User!]!
+    post(id: ID!): Post
+  }
+
+  type Mutation {
+    createUser(input: UserInput!): User!
+    updateUser(id: ID!, input: UserInput!): User
+    deleteUser(id: ID!): Boolean!
+  }
+
+  input UserInput {
+    name: String
+    email: String
+  }
+
+  type User {
+    id: ID!
+    name: String!
+    email: String!
+    createdAt: String!
+    updatedAt: String!
+    posts(limit: Int = 5): [Post!]!
+    friends(limit: Int = 5): [User!]!
+  }
+
+  type Post {
+    id: ID!
+    title: String!
+    body: String!
+    author: User
+    comments(limit: Int = 5): [Comment!]!
+  }
+
+  type Comment {
+    id: ID!
+    text: String!
+    author: User
+  }
+`);
+
+const MAX_LIMIT = 50;
+const POSTS_PER_USER = 10;
+const COMMENTS_PER_POST = 10;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function clampLimit(limit) {
+  return Math.min(Math.max(limit, 0), MAX_LIMIT);
+}
+
+/**
+ * info.path からフィールドの深さを求める（リストのインデックスは数えない）
+ */
+function depthOf(info) {
+  let depth = 0;
+  for (let path = info.path; path; path = path.prev) {
+    if (typeof path.key === 'string') {
+      depth++;
+    }
+  }
+  return depth;
+}
+
+/**
+ * リクエストごとのコンテキスト
+ *
+ * リゾルバーの呼び出し回数・最大深さ・注入したレイテンシを集計し、
+ * レスポンスの extensions.cost として返す
+ */
+class QueryContext {
+  constructor({ userStore, latencyPerDepthMs, latencyPerItemMs }) {
+    this.userStore = userStore;
+    this.latencyPerDepthMs = latencyPerDepthMs;
+    this.latencyPerItemMs = latencyPerItemMs;
+    this.cost = { maxDepth: 0, resolverCalls: 0, items: 0, simulatedLatencyMs: 0 };
+  }
+
+  /**
+   * 深さと件数に応じたレイテンシを待つ
+   *
+   * @param {Object} info - GraphQLResolveInfo
+   * @param {number} items - このリゾルバーが返す件数
+   */
+  async simulate(info, items = 1) {
+    const depth = depthOf(info);
+    const delay = this.latencyPerDepthMs * depth + this.latencyPerItemMs * items;
+
+    this.cost.maxDepth = Math.max(this.cost.maxDepth, depth);
+    this.cost.resolverCalls++;
+    this.cost.items += items;
+    this.cost.simulatedLatencyMs += delay;
+
+    if (delay > 0) {
+      await sleep(delay);
+    }
+  }
+}
+
+class UserNode {
+  constructor(user) {
+    Object.assign(this, user);
+  }
+
+  async posts({ limit }, ctx, info) {
+    const count = Math.min(clampLimit(limit), POSTS_PER_USER);
+    await ctx.simulate(info, count);
+    return Array.from({ length: count }, (_, i) => new PostNode(this.id * 100 + i + 1));
+  }
+
+  async friends({ limit }, ctx, info) {
+    const total = ctx.userStore.count();
+    const candidates = Array.from({ length: clampLimit(limit) }, (_, i) =>
+      ((this.id + (i + 1) * 7) % total) + 1
+    );
+    const friends = candidates
+      .map((id) => ctx.userStore.get(id))
+      .filter((user) => user && user.id !== this.id)
+      .map((user) => new UserNode(user));
+
+    await ctx.simulate(info, friends.length);
+    return friends;
+  }
+}
+
+class PostNode {
+  constructor(id) {
+    this.id = id;
+    this.authorId = Math.floor((id - 1) / 100);
+    this.title = `投稿${id}`;
+    this.body = `ユーザー${this.authorId}による投稿${id}の本文です。`;
+  }
+
+  async author(args, ctx, info) {
+    await ctx.simulate(info);
+    const user = ctx.userStore.get(this.authorId);
+    return user ? new UserNode(user) : null;
+  }
+
+  async comments({ limit }, ctx, info) {
+    const count = Math.min(clampLimit(limit), COMMENTS_PER_POST);
+    await ctx.simulate(info, count);
+    return Array.from({ length: count }, (_, i) => new CommentNode(this.id * 100 + i + 1, ctx));
+  }
+}
+
+class CommentNode {
+  constructor(id, ctx) {
+    this.id = id;
+    this.text = `コメント${id}`;
+    this.authorId = (id % ctx.userStore.count()) + 1;
+  }
+
+  async author(args, ctx, info) {
+    await ctx.simulate(info);
+    const user = ctx.userStore.get(this.authorId);
+    return user ? new UserNode(user) : null;
+  }
+}
+
+/**
+ * ルートのリゾルバー
+ */
+const rootValue = {
+  async user({ id }, ctx, info) {
+    await ctx.simulate(info);
+    const user = ctx.userStore.get(parseInt(id));
+    return user ? new UserNode(user) : null;
+  },
+
+  async users({ limit, offset }, ctx, info) {
+    const users = ctx.userStore.list().slice(Math.max(offset, 0), Math.max(offset, 0) + clampLimit(limit));
+    await ctx.simulate(info, users.length);
+    return users.map((user) => new UserNode(user));
+  },
+
+  async post({ id }, ctx, info) {
+    await ctx.simulate(info);
+    const post = new PostNode(parseInt(id));
+    const exists = ctx.userStore.get(post.authorId) && (post.id - 1) % 100 < POSTS_PER_USER;
+    return exists ? post : null;
+  },
+
+  async createUser({ input }, ctx, info) {
+    await ctx.simulate(info);
+    if (!input.name || !input.email) {
+      throw new GraphQLError('name と email は必須です', { extensions: { code: 'BAD_USER_INPUT' } });
+    }
+    return new UserNode(ctx.userStore.create(input));
+  },
+
+  async updateUser({ id, input }, ctx, info) {
+    await ctx.simulate(info);
+    const user = ctx.userStore.update(parseInt(id), input);
+    return user ? new UserNode(user) : null;
+  },
+
+  async deleteUser({ id }, ctx, info) {
+    await ctx.simulate(info);
+    return ctx.userStore.remove(parseInt(id));
+  }
+};
+
+function isMutation(query, operationName) {
+  try {
+    const operation = getOperationAST(parse(query), operationName);
+    return operation !== null && operation.operation === 'mutation';
+  } catch (e) {
+    // 構文エラーは実行時に通常のエラーとして返す
+    return false;
+  }
+}
+
+/**
+ * GraphQLのExpressハンドラーを生成（GET / POST 両対応）
+ *
+ * @param {Object} options
+ * @param {UserStore} options.userStore
+ * @param {number} options.latencyPerDepthMs - 深さ1段あたりのレイテンシ
+ * @param {number} options.latencyPerItemMs - 1件あたりのレイテンシ
+ * @returns {Function}
+ */
+/**
+ * レスポンスに載せるエラーの形に変換する（Error のインスタンスをそのまま JSON にすると message が落ちる）
+ */
+function formatError(error) {
+  return {
+    message: error.message,
+    ...(error.locations && { locations: error.locations }),
+    ...(error.path && { path: error.path })
+  };
+}
+
+function createGraphQLHandler({ userStore, latencyPerDepthMs, latencyPerItemMs }) {
+  return async (req, res) => {
+    const params = req.method === 'GET' ? req.query : req.body || {};
+    const { query, operationName } = params;
+    let { variables } = params;
+
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch (e) {
+        return res.status(400).json({ errors: [{ message: 'variables はJSONで指定してください' }] });
+      }
+    }
+
+    if (!query) {
+      return res.status(400).json({ errors: [{ message: 'query は必須です' }] });
+    }
+    if (typeof query !== 'string') {
+      return res.status(400).json({ errors: [{ message: 'query は文字列で指定してください' }] });
+    }
+
+    // GET ではミューテーションを受け付けない
+    if (req.method === 'GET' && isMutation(query, operationName)) {
+      res.set('Allow', 'POST');
+      return res.status(405).json({ errors: [{ message: 'ミューテーションは POST で送信してください' }] });
+    }
+
+    const contextValue = new QueryContext({ userStore, latencyPerDepthMs, latencyPerItemMs });
+    const result = await graphql({
+      schema,
+      source: query,
+      rootValue,
+      contextValue,
+      variableValues: variables,
+      operationName
+    });
+
+    // 構文・検証エラーは data を持たないため400で返す
+    const statusCode = result.data === undefined ? 400 : 200;
+    res.status(statusCode).json({
+      ...result,
+      ...(result.errors && { errors: result.errors.map(formatError) }),
+      extensions: { cost: contextValue.cost }
+    });
+  };
+}
+
+module.exports = { createGraphQLHandler };
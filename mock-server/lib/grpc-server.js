@@ -0,0 +1,110 @@
+const path = require('path');
+const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+
+/**
+ * gRPCのユーザーサービス
+ *
+ * proto/user.proto の UserService を実装します。
+ * ユーザーデータは REST API と同じ UserStore を参照するため、
+ * gRPCで作成したユーザーは /api/users からも取得できます。
+ */
+
+const PROTO_PATH = path.join(__dirname, '..', 'proto', 'user.proto');
+
+const DEFAULT_LIST_LIMIT = 10;
+const MAX_LIST_LIMIT = 1000;
+const MAX_STREAM_INTERVAL_MS = 1000;
+
+const packageDefinition = protoLoader.loadSync(PROTO_PATH, {
+  keepCase: true,
+  longs: Number,
+  defaults: true
+});
+const { UserService } = grpc.loadPackageDefinition(packageDefinition).k6sandbox.user.v1;
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * UserStore のユーザーを User メッセージに変換
+ */
+function toMessage(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    created_at: user.createdAt,
+    updated_at: user.updatedAt
+  };
+}
+
+/**
+ * UserService の実装を生成
+ *
+ * @param {UserStore} userStore
+ * @returns {Object}
+ */
+function createUserService(userStore) {
+  return {
+    getUser(call, callback) {
+      const user = userStore.get(call.request.id);
+      if (!user) {
+        return callback({ code: grpc.status.NOT_FOUND, details: 'ユーザーが見つかりません' });
+      }
+      callback(null, toMessage(user));
+    },
+
+    createUser(call, callback) {
+      const { name, email } = call.request;
+      if (!name || !email) {
+        return callback({ code: grpc.status.INVALID_ARGUMENT, details: 'name と email は必須です' });
+      }
+      callback(null, toMessage(userStore.create({ name, email })));
+    },
+
+    async listUsers(call) {
+      const { offset, interval_ms: intervalMs } = call.request;
+      const limit = Math.min(call.request.limit || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT);
+      const interval = Math.min(Math.max(intervalMs, 0), MAX_STREAM_INTERVAL_MS);
+      const users = userStore.list().slice(Math.max(offset, 0), Math.max(offset, 0) + limit);
+
+      for (const user of users) {
+        // クライアントがキャンセルしたら送信を止める
+        if (call.cancelled) {
+          return;
+        }
+        call.write(toMessage(user));
+        if (interval > 0) {
+          await sleep(interval);
+        }
+      }
+      call.end();
+    }
+  };
+}
+
+/**
+ * gRPCサーバーを起動
+ *
+ * @param {Object} options
+ * @param {UserStore} options.userStore
+ * @param {number} options.port
+ * @returns {Promise<grpc.Server>}
+ */
+function startGrpcServer({ userStore, port }) {
+  const server = new grpc.Server();
+  server.addService(UserService.service, createUserService(userStore));
+
+  return new Promise((resolve, reject) => {
+    server.bindAsync(`0.0.0.0:${port}`, grpc.ServerCredentials.createInsecure(), (error) => {
+      if (error) {
+        return reject(error);
+      }
+      resolve(server);
+    });
+  });
+}
+
+module.exports = { startGrpcServer };
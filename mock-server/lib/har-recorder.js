@@ -0,0 +1,386 @@
+const fs = require('fs');
+const path = require('path');
+const { isUtf8 } = require('buffer');
+const { patternToRegExp } = require('./fault-injector');
+const { version } = require('../package.json');
+
+/**
+ * リクエストとレスポンスをHAR（HTTP Archive 1.2）形式で記録
+ *
+ * アクセスログ（morgan）の1行では分からない、VUが実際に送ったヘッダーやボディを確認するために使います。
+ * - paths（"*" でワイルドカード）に一致するリクエストだけを記録
+ * - header を指定すると、そのヘッダー（相関ID）を持つリクエストだけを記録（headerValue で値も指定できる）
+ * - Authorization ヘッダーの値は必ず伏せ字にする
+ *
+ * 記録はメモリに保持し（maxEntries を超えると古いものから削除）、file を指定した場合はファイルにも書き出します。
+ * ボディは maxBodyBytes までを記録し、UTF-8として読めないものはbase64で保存します。
+ */
+
+const REDACTED = '[REDACTED]';
+const ALWAYS_REDACTED_HEADERS = ['authorization'];
+const SAVE_DEBOUNCE_MS = 1000;
+
+class HarConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'HarConfigError';
+  }
+}
+
+function requireInteger(name, value, min) {
+  if (!Number.isInteger(value) || value < min) {
+    throw new HarConfigError(`${name} は${min}以上の整数で指定してください`);
+  }
+}
+
+/**
+ * 受け取ったチャンクを上限まで保持する
+ */
+class BodyCapture {
+  constructor(limit) {
+    this.limit = limit;
+    this.chunks = [];
+    this.captured = 0;
+    this.size = 0;
+  }
+
+  add(chunk, encoding) {
+    const buffer = Buffer.isBuffer(chunk)
+      ? chunk
+      : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    this.size += buffer.length;
+    if (this.captured < this.limit) {
+      const part = buffer.subarray(0, this.limit - this.captured);
+      this.chunks.push(part);
+      this.captured += part.length;
+    }
+  }
+
+  /**
+   * HARの text / encoding（UTF-8として読めなければbase64）
+   */
+  toContent() {
+    const buffer = Buffer.concat(this.chunks);
+    const content = isUtf8(buffer)
+      ? { text: buffer.toString('utf8') }
+      : { text: buffer.toString('base64'), encoding: 'base64' };
+    if (this.size > this.captured) {
+      content.comment = `先頭 ${this.captured} バイトのみ記録（全体 ${this.size} バイト）`;
+    }
+    return content;
+  }
+}
+
+class HarRecorder {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.file - HARファイルの書き出し先（未指定ならメモリのみ）
+   * @param {boolean} options.record - 起動時から記録する場合は true（残りは configure() と同じ形式）
+   */
+  constructor({ file = null, record = false, ...config } = {}) {
+    this.file = file ? path.resolve(file) : null;
+    this.config = null;
+    this.saveTimer = null;
+    this.saving = false;
+    this.savePending = false;
+    this.clear();
+
+    if (record) {
+      this.configure(config);
+    }
+  }
+
+  /**
+   * 記録を開始・設定を変更（記録済みのエントリーは残る）
+   *
+   * @param {Object} config
+   * @param {Array<string>} [config.paths] - 記録するパスのパターン（"*" でワイルドカード）
+   * @param {string|null} [config.header] - このヘッダーを持つリクエストだけを記録（相関ID）
+   * @param {string|null} [config.headerValue] - header の値がこれに一致するリクエストだけを記録
+   * @param {number} [config.maxEntries] - 保持するエントリー数の上限
+   * @param {number} [config.maxBodyBytes] - 記録するボディの上限（リクエスト・レスポンスそれぞれ）
+   * @param {Array<string>} [config.redactHeaders] - Authorization に加えて伏せ字にするヘッダー
+   * @returns {Object} - 適用された設定
+   * @throws {HarConfigError}
+   */
+  configure({
+    paths = ['*'],
+    header = null,
+    headerValue = null,
+    maxEntries = 1000,
+    maxBodyBytes = 64 * 1024,
+    redactHeaders = []
+  } = {}) {
+    if (!Array.isArray(paths) || paths.length === 0 ||
+        paths.some((pattern) => typeof pattern !== 'string' || (!pattern.startsWith('/') && pattern !== '*'))) {
+      throw new HarConfigError('paths は "/" で始まるパターンの配列で指定してください');
+    }
+    if (header !== null && (typeof header !== 'string' || header === '')) {
+      throw new HarConfigError('header はヘッダー名の文字列で指定してください');
+    }
+    if (headerValue !== null && (typeof headerValue !== 'string' || header === null)) {
+      throw new HarConfigError('headerValue は header と合わせて文字列で指定してください');
+    }
+    requireInteger('maxEntries', maxEntries, 1);
+    requireInteger('maxBodyBytes', maxBodyBytes, 0);
+    if (!Array.isArray(redactHeaders) || redactHeaders.some((name) => typeof name !== 'string')) {
+      throw new HarConfigError('redactHeaders はヘッダー名の配列で指定してください');
+    }
+
+    this.config = {
+      paths,
+      header,
+      headerValue,
+      maxEntries,
+      maxBodyBytes,
+      redactHeaders: [...new Set([...ALWAYS_REDACTED_HEADERS, ...redactHeaders.map((name) => name.toLowerCase())])]
+    };
+    this.matchers = paths.map(patternToRegExp);
+    return this.config;
+  }
+
+  /**
+   * 記録を停止（記録済みのエントリーは残る）
+   */
+  disable() {
+    this.config = null;
+    this.save();
+  }
+
+  /**
+   * 記録済みのエントリーを削除
+   *
+   * @returns {number} - 削除したエントリー数
+   */
+  clear() {
+    const count = this.entries ? this.entries.length : 0;
+    this.entries = [];
+    this.dropped = 0;
+    if (count > 0) {
+      this.scheduleSave();
+    }
+    return count;
+  }
+
+  /**
+   * 記録の状況
+   *
+   * @returns {Object}
+   */
+  status() {
+    return {
+      recording: this.config !== null,
+      config: this.config,
+      file: this.file,
+      entries: this.entries.length,
+      dropped: this.dropped
+    };
+  }
+
+  /**
+   * 記録済みのエントリーをHARにまとめる
+   *
+   * @returns {Object}
+   */
+  har() {
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: 'k6-sandbox-mock-server', version },
+        entries: this.entries
+      }
+    };
+  }
+
+  /**
+   * ファイルへの書き出しをまとめて行う（連続したリクエストのたびに書き出さない）
+   */
+  scheduleSave() {
+    if (!this.file || this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DEBOUNCE_MS);
+    this.saveTimer.unref();
+  }
+
+  save() {
+    if (!this.file) {
+      return;
+    }
+    // 書き出し中に呼ばれたら、終わってからもう一度書き出す
+    if (this.saving) {
+      this.savePending = true;
+      return;
+    }
+    this.saving = true;
+    fs.writeFile(this.file, JSON.stringify(this.har(), null, 2), (error) => {
+      this.saving = false;
+      if (error) {
+        console.error(`HARファイルの書き出しに失敗しました: ${error.message}`);
+      }
+      if (this.savePending) {
+        this.savePending = false;
+        this.save();
+      }
+    });
+  }
+
+  /**
+   * 記録対象のリクエストか
+   */
+  shouldRecord(req) {
+    if (!this.matchers.some((matcher) => matcher.test(req.path))) {
+      return false;
+    }
+    const { header, headerValue } = this.config;
+    if (header === null) {
+      return true;
+    }
+    const value = req.get(header);
+    return value !== undefined && (headerValue === null || value === headerValue);
+  }
+
+  /**
+   * Expressミドルウェアを生成
+   *
+   * ボディを読む前（express.json() や multer より前）に登録する必要があります。
+   *
+   * @param {Object} options
+   * @param {Array<string>} options.excludePaths - 記録しないパスの前方一致
+   * @returns {Function}
+   */
+  middleware({ excludePaths = [] } = {}) {
+    return (req, res, next) => {
+      if (!this.config || excludePaths.some((prefix) => req.path.startsWith(prefix)) || !this.shouldRecord(req)) {
+        return next();
+      }
+
+      const config = this.config;
+      const startedAt = new Date();
+      const start = process.hrtime.bigint();
+      const requestBody = new BodyCapture(config.maxBodyBytes);
+      const responseBody = new BodyCapture(config.maxBodyBytes);
+
+      // ストリームの読み出し方（on('data') / pipe）に影響しないよう、emit を横取りしてボディを複製する
+      const emit = req.emit;
+      req.emit = function (event, chunk, ...args) {
+        if (event === 'data') {
+          requestBody.add(chunk);
+        }
+        return emit.call(this, event, chunk, ...args);
+      };
+
+      const write = res.write;
+      const end = res.end;
+      res.write = function (chunk, encoding, ...args) {
+        if (chunk) {
+          responseBody.add(chunk, encoding);
+        }
+        return write.call(this, chunk, encoding, ...args);
+      };
+      res.end = function (chunk, encoding, ...args) {
+        if (chunk && typeof chunk !== 'function') {
+          responseBody.add(chunk, encoding);
+        }
+        return end.call(this, chunk, encoding, ...args);
+      };
+
+      res.once('close', () => {
+        // リスナー内の例外はプロセスを落とすため、記録できないリクエストは読み飛ばす
+        try {
+          const time = Number(process.hrtime.bigint() - start) / 1e6;
+          this.add(buildEntry(req, res, { config, startedAt, time, requestBody, responseBody }), config.maxEntries);
+        } catch (error) {
+          console.error(`HARエントリーを記録できませんでした: ${error.message}`);
+        }
+      });
+
+      next();
+    };
+  }
+
+  add(entry, maxEntries) {
+    this.entries.push(entry);
+    if (this.entries.length > maxEntries) {
+      this.dropped += this.entries.splice(0, this.entries.length - maxEntries).length;
+    }
+    this.scheduleSave();
+  }
+}
+
+/**
+ * ヘッダーを HAR の { name, value } の配列にする（伏せ字にするヘッダーは値を置き換える）
+ */
+function toHarHeaders(pairs, redactHeaders) {
+  return pairs.map(([name, value]) => ({
+    name,
+    value: redactHeaders.includes(name.toLowerCase()) ? REDACTED : String(value)
+  }));
+}
+
+function buildEntry(req, res, { config, startedAt, time, requestBody, responseBody }) {
+  const url = `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+  // rawHeaders は [名前, 値, 名前, 値, ...]（送信された大文字・小文字のまま）
+  const requestHeaders = [];
+  for (let i = 0; i < req.rawHeaders.length; i += 2) {
+    requestHeaders.push([req.rawHeaders[i], req.rawHeaders[i + 1]]);
+  }
+  const responseHeaders = Object.entries(res.getHeaders())
+    .flatMap(([name, value]) => (Array.isArray(value) ? value.map((item) => [name, item]) : [[name, value]]));
+
+  const entry = {
+    startedDateTime: startedAt.toISOString(),
+    time,
+    request: {
+      method: req.method,
+      url,
+      httpVersion: `HTTP/${req.httpVersion}`,
+      cookies: [],
+      headers: toHarHeaders(requestHeaders, config.redactHeaders),
+      // Host ヘッダーは不正な値のこともあるため、クエリは固定のベースURLで解釈する
+      queryString: [...new URL(req.originalUrl, 'http://localhost').searchParams].map(([name, value]) => ({ name, value })),
+      headersSize: -1,
+      bodySize: requestBody.size
+    },
+    response: {
+      status: res.statusCode,
+      statusText: res.statusMessage || '',
+      httpVersion: `HTTP/${req.httpVersion}`,
+      cookies: [],
+      headers: toHarHeaders(responseHeaders, config.redactHeaders),
+      content: {
+        size: responseBody.size,
+        mimeType: res.get('Content-Type') || '',
+        ...responseBody.toContent()
+      },
+      redirectURL: res.get('Location') || '',
+      headersSize: -1,
+      bodySize: responseBody.size
+    },
+    cache: {},
+    timings: { send: 0, wait: time, receive: 0 }
+  };
+
+  if (requestBody.size > 0) {
+    const { encoding, ...content } = requestBody.toContent();
+    // HAR 1.2 の postData には encoding がないため、独自フィールド（_ で始まる）で示す
+    entry.request.postData = {
+      mimeType: req.get('Content-Type') || '',
+      ...content,
+      ...(encoding ? { _encoding: encoding } : {})
+    };
+  }
+  if (config.header) {
+    entry._correlationId = req.get(config.header);
+  }
+  if (!res.writableFinished) {
+    entry.comment = 'レスポンスを返し終える前に接続が閉じられました';
+  }
+  return entry;
+}
+
+module.exports = { HarConfigError, HarRecorder };
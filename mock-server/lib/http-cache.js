@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+/**
+ * 条件付きGET（ETag / Last-Modified）と Cache-Control
+ *
+ * 読み取り系のルートに、キャッシュの再検証に必要なヘッダーを付与します。
+ * - ETag: レスポンスボディのハッシュ（強いETag）
+ * - Last-Modified: ルートが res.locals.lastModified に設定した更新日時
+ * - Cache-Control: 設定した値（デフォルトは毎回再検証させる no-cache）
+ *
+ * If-None-Match（優先）または If-Modified-Since が一致すれば、ボディなしの304を返します。
+ * 304で送らずに済んだボディのバイト数を数えるため、サーバー側でも効果を確認できます。
+ */
+
+// Cache-Control のディレクティブ（例: "public, max-age=60"、"no-cache"）
+const DIRECTIVE = /^[a-z-]+(=("[^"]*"|[0-9]+|[a-z-]+))?$/i;
+
+class CacheConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CacheConfigError';
+  }
+}
+
+/**
+ * If-None-Match のいずれかのタグが ETag と一致するか（弱い比較）
+ */
+function matchesEtag(ifNoneMatch, etag) {
+  if (ifNoneMatch.trim() === '*') {
+    return true;
+  }
+  const strip = (tag) => tag.trim().replace(/^W\//, '');
+  return ifNoneMatch.split(',').some((tag) => strip(tag) === strip(etag));
+}
+
+/**
+ * If-Modified-Since 以降に更新されていないか（HTTPの日付は秒単位）
+ */
+function notModifiedSince(ifModifiedSince, lastModified) {
+  const since = Date.parse(ifModifiedSince);
+  if (Number.isNaN(since)) {
+    return false;
+  }
+  return Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+class HttpCache {
+  /**
+   * @param {Object} config - configure() と同じ形式
+   */
+  constructor(config = {}) {
+    this.configure(config);
+  }
+
+  /**
+   * 設定を変更（集計はリセットされる）
+   *
+   * @param {Object} config
+   * @param {string} [config.cacheControl] - Cache-Control ヘッダーの値
+   * @returns {Object} - 適用された設定
+   * @throws {CacheConfigError}
+   */
+  configure({ cacheControl = 'no-cache' } = {}) {
+    if (typeof cacheControl !== 'string' || cacheControl.trim() === '' ||
+        !cacheControl.split(',').every((directive) => DIRECTIVE.test(directive.trim()))) {
+      throw new CacheConfigError('cacheControl は "public, max-age=60" のようなディレクティブの並びで指定してください');
+    }
+
+    this.config = { cacheControl: cacheControl.trim() };
+    this.stats = { ok: 0, notModified: 0, bytesSaved: 0 };
+    return this.config;
+  }
+
+  /**
+   * 現在の設定と集計
+   *
+   * @returns {Object}
+   */
+  status() {
+    const total = this.stats.ok + this.stats.notModified;
+    return {
+      config: this.config,
+      stats: {
+        ...this.stats,
+        notModifiedRatio: total > 0 ? this.stats.notModified / total : 0
+      }
+    };
+  }
+
+  /**
+   * Expressミドルウェアを生成（読み取り系のルートに個別に付ける）
+   *
+   * ルートは res.json() の前に res.locals.lastModified（Date または ISO文字列）を設定できる
+   *
+   * @returns {Function}
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return next();
+      }
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode !== 200) {
+          return json(body);
+        }
+
+        const payload = JSON.stringify(body);
+        const etag = `"${crypto.createHash('sha1').update(payload).digest('base64url')}"`;
+        res.set('Cache-Control', this.config.cacheControl);
+        res.set('ETag', etag);
+
+        const ifNoneMatch = req.get('If-None-Match');
+        const ifModifiedSince = req.get('If-Modified-Since');
+        let fresh = false;
+        if (ifNoneMatch !== undefined) {
+          fresh = matchesEtag(ifNoneMatch, etag);
+        }
+        if (res.locals.lastModified) {
+          const modified = new Date(res.locals.lastModified);
+          res.set('Last-Modified', modified.toUTCString());
+          // If-None-Match があれば If-Modified-Since は無視する（RFC 9110）
+          if (ifNoneMatch === undefined && ifModifiedSince !== undefined) {
+            fresh = notModifiedSince(ifModifiedSince, modified);
+          }
+        }
+        // クライアントが再取得を求めている（Cache-Control: no-cache）場合は常にボディを返す
+        if (/(?:^|,)\s*no-cache\s*(?:,|$)/i.test(req.get('Cache-Control') || '')) {
+          fresh = false;
+        }
+
+        if (fresh) {
+          this.stats.notModified++;
+          this.stats.bytesSaved += Buffer.byteLength(payload);
+          res.status(304).end();
+          return res;
+        }
+
+        this.stats.ok++;
+        return json(body);
+      };
+
+      next();
+    };
+  }
+}
+
+module.exports = { CacheConfigError, HttpCache };
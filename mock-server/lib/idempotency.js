@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+/**
+ * Idempotency-Key による重複リクエストの排除
+ *
+ * 作成系のエンドポイントで、同じ Idempotency-Key を持つリクエストを1回だけ処理します。
+ * - 最初のリクエストのレスポンス（ステータス・ボディ・一部のヘッダー）を保存し、
+ *   同じキーの再送には処理をせずに保存したレスポンスを返す（Idempotent-Replayed: true）
+ * - 同じキーでメソッド・パス・ボディが異なるリクエストは422
+ * - 最初のリクエストがまだ処理中なら409（Retry-After つき）
+ * - 5xxのレスポンスは保存しない（再送で処理をやり直せるように）
+ *
+ * キーは認証済みユーザーごとに区別します（別のユーザーが同じキーを使っても衝突しない）。
+ */
+
+const HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+// 再送時にも返すヘッダー（作成したリソースの場所など）
+const REPLAYED_HEADERS = ['Location', 'Upload-Offset', 'Upload-Length'];
+
+/**
+ * キーの順序に左右されないJSON文字列（ボディの比較用）
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * リクエストの内容を表すハッシュ（マルチパートのファイルは中身のハッシュを含める）
+ */
+function fingerprint(req) {
+  const hash = crypto.createHash('sha256')
+    .update(`${req.method} ${req.path}\n`)
+    .update(canonicalize(req.body === undefined ? null : req.body));
+  if (req.file) {
+    hash.update('\n').update(req.file.buffer);
+  }
+  return hash.digest('hex');
+}
+
+class IdempotencyStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.ttlMs - 保存したレスポンスの有効期間
+   * @param {number} options.maxEntries - 保存するキー数の上限（超えると古いものから削除）
+   * @param {number} options.lockTimeoutMs - 処理中のキーを放棄されたとみなすまでの時間
+   */
+  constructor({ ttlMs = 24 * 60 * 60 * 1000, maxEntries = 10000, lockTimeoutMs = 30 * 1000 } = {}) {
+    this.ttlMs = ttlMs;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.maxEntries = maxEntries;
+    // Map は挿入順を保つため、先頭が最も古いエントリーになる
+    this.entries = new Map();
+  }
+
+  /**
+   * 有効期限切れ・上限超過のエントリーを削除
+   */
+  prune(now) {
+    for (const [key, entry] of this.entries) {
+      if (this.entries.size <= this.maxEntries && now - entry.createdAt < this.ttlMs) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Expressミドルウェアを生成（ボディの解析・認証のあと、ルートのハンドラーの直前に置く）
+   *
+   * @returns {Function}
+   */
+  middleware() {
+    return (req, res, next) => {
+      const key = req.get(HEADER);
+      if (key === undefined) {
+        return next();
+      }
+      if (key === '' || key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `${HEADER} は1〜${MAX_KEY_LENGTH}文字で指定してください`
+        });
+      }
+
+      const now = Date.now();
+      this.prune(now);
+
+      const scope = `${req.auth ? req.auth.username : ''}\n${key}`;
+      const requestHash = fingerprint(req);
+      const existing = this.entries.get(scope);
+
+      if (existing) {
+        if (existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            error: `${HEADER} は内容の異なる別のリクエストで使用されています`
+          });
+        }
+        if (!existing.response && now - existing.createdAt < this.lockTimeoutMs) {
+          res.set('Retry-After', '1');
+          return res.status(409).json({
+            success: false,
+            error: `同じ ${HEADER} のリクエストを処理中です`
+          });
+        }
+
+        if (existing.response) {
+          const { statusCode, headers, body } = existing.response;
+          res.set(headers);
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(statusCode).json(body);
+        }
+        // lockTimeoutMs を過ぎても応答していない処理は放棄されたものとみなし、処理し直す
+      }
+
+      const entry = { requestHash, createdAt: now, response: null };
+      this.entries.set(scope, entry);
+
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        if (res.statusCode >= 500) {
+          this.entries.delete(scope);
+        } else {
+          const headers = {};
+          for (const name of REPLAYED_HEADERS) {
+            if (res.get(name) !== undefined) {
+              headers[name] = res.get(name);
+            }
+          }
+          entry.response = { statusCode: res.statusCode, headers, body };
+        }
+        return json(body);
+      };
+
+      // JSON以外のレスポンスで終わった場合は保存できないため、再送で処理し直せるようにする
+      // （クライアントが先に切断しても処理は続くため、切断だけではキーを解放しない）
+      res.on('finish', () => {
+        if (!entry.response && this.entries.get(scope) === entry) {
+          this.entries.delete(scope);
+        }
+      });
+
+      next();
+    };
+  }
+}
+
+module.exports = { IdempotencyStore };
@@ -0,0 +1,164 @@
+const zlib = require('zlib');
+const { Readable, pipeline } = require('stream');
+
+/**
+ * 大きなJSONレスポンス（/api/large-payload）
+ *
+ * - Accept-Encoding に応じて brotli / gzip で圧縮する（どちらも受け付けなければ無圧縮）
+ * - buffered: 配列全体をメモリ上で組み立ててから送る（Content-Length つき）
+ * - streamed: アイテムを少しずつJSONに書き出して送る（chunked、メモリ使用量はサイズによらず一定）
+ *
+ * stream を指定しなければ、size が streamThreshold を超えたときに streamed になります。
+ * 圧縮の有無とモードの違いは、data_received・http_req_receiving とサーバーのメモリで比較できます。
+ */
+
+const MAX_SIZE = 1000000;
+const MAX_BUFFERED_SIZE = 200000;
+// streamed で1回に書き出すアイテム数
+const BATCH_SIZE = 1000;
+// 優先する順（brotli の方が圧縮率が高い）
+const ENCODINGS = ['br', 'gzip'];
+
+class PayloadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PayloadError';
+  }
+}
+
+/**
+ * クエリパラメーターを検証して正規化
+ *
+ * @param {Object} query
+ * @param {string} [query.size] - アイテム数（デフォルト100）
+ * @param {string} [query.stream] - "true" / "false"（未指定ならサイズで決める）
+ * @param {Object} options
+ * @param {number} options.streamThreshold - これを超えるサイズは streamed で返す
+ * @returns {Object} - { size, stream }
+ * @throws {PayloadError}
+ */
+function parsePayloadOptions(query, { streamThreshold }) {
+  const size = query.size === undefined ? 100 : Number(query.size);
+  if (!Number.isInteger(size) || size < 1 || size > MAX_SIZE) {
+    throw new PayloadError(`size は1〜${MAX_SIZE}の整数で指定してください`);
+  }
+  if (query.stream !== undefined && !['true', 'false'].includes(query.stream)) {
+    throw new PayloadError('stream には true, false のいずれかを指定してください');
+  }
+
+  const stream = query.stream === undefined ? size > streamThreshold : query.stream === 'true';
+  if (!stream && size > MAX_BUFFERED_SIZE) {
+    throw new PayloadError(`stream=false で返せるのは${MAX_BUFFERED_SIZE}件までです`);
+  }
+  return { size, stream };
+}
+
+/**
+ * Accept-Encoding から使う圧縮方式を決める（q=0 は拒否の意味）
+ *
+ * @param {string} [acceptEncoding]
+ * @returns {string|null} - "br" / "gzip"、圧縮しない場合はnull
+ */
+function negotiateEncoding(acceptEncoding) {
+  if (!acceptEncoding) {
+    return null;
+  }
+
+  const accepted = new Map();
+  for (const part of acceptEncoding.split(',')) {
+    const [name, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map((param) => param.trim()).find((param) => param.startsWith('q='));
+    accepted.set(name, q ? parseFloat(q.slice(2)) : 1);
+  }
+
+  const candidates = ENCODINGS
+    .map((encoding) => ({ encoding, q: accepted.has(encoding) ? accepted.get(encoding) : (accepted.get('*') || 0) }))
+    .filter(({ q }) => q > 0);
+  if (candidates.length === 0) {
+    return null;
+  }
+  // q値が同じなら ENCODINGS の順（sort は安定ソート）
+  return candidates.sort((a, b) => b.q - a.q)[0].encoding;
+}
+
+function createItem(index, timestamp) {
+  return {
+    id: index + 1,
+    name: `アイテム${index + 1}`,
+    description: 'これは大きなペイロードをテストするためのダミーデータです。'.repeat(5),
+    timestamp
+  };
+}
+
+/**
+ * レスポンスボディを少しずつ生成する
+ */
+function* generateChunks(size) {
+  const timestamp = new Date().toISOString();
+  yield `{"success":true,"count":${size},"data":[`;
+  for (let start = 0; start < size; start += BATCH_SIZE) {
+    const end = Math.min(start + BATCH_SIZE, size);
+    const items = [];
+    for (let i = start; i < end; i++) {
+      items.push(JSON.stringify(createItem(i, timestamp)));
+    }
+    yield (start === 0 ? '' : ',') + items.join(',');
+  }
+  yield ']}';
+}
+
+// brotli のデフォルトの品質（11）は大きなボディでは遅すぎるため、gzip と同程度の速さに下げる
+const BROTLI_OPTIONS = { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } };
+
+function createCompressor(encoding) {
+  return encoding === 'br' ? zlib.createBrotliCompress(BROTLI_OPTIONS) : zlib.createGzip();
+}
+
+function compress(encoding, body, callback) {
+  if (encoding === 'br') {
+    zlib.brotliCompress(body, BROTLI_OPTIONS, callback);
+  } else {
+    zlib.gzip(body, callback);
+  }
+}
+
+/**
+ * 大きなJSONレスポンスを送る
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} options - parsePayloadOptions() の戻り値
+ */
+function sendLargePayload(req, res, { size, stream }) {
+  const encoding = negotiateEncoding(req.get('Accept-Encoding'));
+
+  res.status(200).type('json');
+  res.set('Vary', 'Accept-Encoding');
+  res.set('X-Payload-Mode', stream ? 'streamed' : 'buffered');
+  if (encoding) {
+    res.set('Content-Encoding', encoding);
+  }
+
+  if (!stream) {
+    // 全体を組み立ててから（圧縮して）送るため、Content-Length がつく
+    const timestamp = new Date().toISOString();
+    const items = Array.from({ length: size }, (_, i) => createItem(i, timestamp));
+    const body = Buffer.from(JSON.stringify({ success: true, count: items.length, data: items }));
+    if (!encoding) {
+      return res.end(body);
+    }
+    return compress(encoding, body, (error, compressed) => {
+      if (error) {
+        return res.destroy(error);
+      }
+      res.end(compressed);
+    });
+  }
+
+  const source = Readable.from(generateChunks(size));
+  const streams = encoding ? [source, createCompressor(encoding), res] : [source, res];
+  // クライアントが途中で切断した場合も、生成と圧縮を止めてリソースを解放する
+  pipeline(...streams, () => {});
+}
+
+module.exports = { PayloadError, parsePayloadOptions, negotiateEncoding, sendLargePayload };
@@ -0,0 +1,139 @@
+/**
+ * 統計分布に従うレイテンシの生成
+ *
+ * 実際のサービスのレスポンスタイムは一定でも一様分布でもなく、
+ * 右に裾が長い（平均とp99が大きく離れる）ことがほとんどです。
+ * /api/delay と /api/random-delay はここで生成した値だけ待ってから応答します。
+ *
+ * 分布とパラメーター（単位はすべてミリ秒）:
+ * - uniform:     min, max
+ * - normal:      mean, stddev
+ * - lognormal:   median, sigma（sigmaが大きいほど裾が長い）
+ * - exponential: mean
+ * - pareto:      scale, alpha（alphaが小さいほど裾が長い）
+ * - bimodal:     mean1, stddev1, mean2, stddev2, weight（2つ目の山になる確率）
+ *
+ * seed を指定すると同じ値が返ります。k6 からリクエストごとに
+ * __VU と __ITER から求めた seed を渡せば、実行のたびに同じ遅延の並びを再現できます。
+ */
+
+const MAX_DELAY_MS = 10000;
+
+const DISTRIBUTIONS = {
+  uniform: {
+    defaults: { min: 100, max: 2000 },
+    validate: ({ min, max }) => min >= 0 && max >= min,
+    sample: (random, { min, max }) => min + random() * (max - min)
+  },
+  normal: {
+    defaults: { mean: 200, stddev: 50 },
+    validate: ({ stddev }) => stddev >= 0,
+    sample: (random, { mean, stddev }) => mean + stddev * standardNormal(random)
+  },
+  lognormal: {
+    defaults: { median: 100, sigma: 0.8 },
+    validate: ({ median, sigma }) => median > 0 && sigma >= 0,
+    sample: (random, { median, sigma }) => median * Math.exp(sigma * standardNormal(random))
+  },
+  exponential: {
+    defaults: { mean: 200 },
+    validate: ({ mean }) => mean > 0,
+    sample: (random, { mean }) => -mean * Math.log(1 - random())
+  },
+  pareto: {
+    defaults: { scale: 50, alpha: 1.5 },
+    validate: ({ scale, alpha }) => scale > 0 && alpha > 0,
+    sample: (random, { scale, alpha }) => scale / Math.pow(1 - random(), 1 / alpha)
+  },
+  bimodal: {
+    defaults: { mean1: 100, stddev1: 20, mean2: 1000, stddev2: 200, weight: 0.1 },
+    validate: ({ stddev1, stddev2, weight }) => stddev1 >= 0 && stddev2 >= 0 && weight >= 0 && weight <= 1,
+    sample: (random, { mean1, stddev1, mean2, stddev2, weight }) =>
+      random() < weight
+        ? mean2 + stddev2 * standardNormal(random)
+        : mean1 + stddev1 * standardNormal(random)
+  }
+};
+
+class LatencyDistributionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LatencyDistributionError';
+  }
+}
+
+/**
+ * seed から決まる疑似乱数（mulberry32）
+ *
+ * @param {number} seed
+ * @returns {Function} - 0以上1未満の値を返す関数
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 標準正規分布（Box-Muller法）
+ */
+function standardNormal(random) {
+  const u1 = 1 - random(); // log(0) を避ける
+  const u2 = random();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
+
+/**
+ * クエリパラメーターから分布に従う遅延を1つ生成
+ *
+ * @param {Object} query - { dist, seed, ...分布のパラメーター }
+ * @param {Object} options
+ * @param {string} options.defaultDistribution - dist 未指定時の分布
+ * @returns {Object} - { distribution, params, seed, delay }
+ * @throws {LatencyDistributionError} - 分布やパラメーターが不正な場合
+ */
+function sampleLatency(query, { defaultDistribution = 'uniform' } = {}) {
+  const distribution = query.dist || defaultDistribution;
+  // ?dist=constructor などで Object.prototype のプロパティを拾わないよう、自身のキーだけを見る
+  const spec = Object.prototype.hasOwnProperty.call(DISTRIBUTIONS, distribution)
+    ? DISTRIBUTIONS[distribution]
+    : null;
+  if (!spec) {
+    throw new LatencyDistributionError(
+      `dist は ${Object.keys(DISTRIBUTIONS).join(' / ')} のいずれかを指定してください`
+    );
+  }
+
+  const params = {};
+  for (const [name, defaultValue] of Object.entries(spec.defaults)) {
+    const value = query[name] === undefined ? defaultValue : Number(query[name]);
+    if (!Number.isFinite(value)) {
+      throw new LatencyDistributionError(`${name} は数値で指定してください`);
+    }
+    params[name] = value;
+  }
+  if (!spec.validate(params)) {
+    throw new LatencyDistributionError(`${distribution} のパラメーターが不正です: ${JSON.stringify(params)}`);
+  }
+
+  let seed = null;
+  if (query.seed !== undefined) {
+    seed = parseInt(query.seed);
+    if (Number.isNaN(seed)) {
+      throw new LatencyDistributionError('seed は整数で指定してください');
+    }
+  }
+
+  const random = seed === null ? Math.random : seededRandom(seed);
+  const value = spec.sample(random, params);
+  const delay = Math.round(Math.min(Math.max(value, 0), MAX_DELAY_MS));
+
+  return { distribution, params, seed, delay };
+}
+
+module.exports = { LatencyDistributionError, sampleLatency, MAX_DELAY_MS };
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+
+/**
+ * リソースリークの再現（ソークテスト用の劣化モード）
+ *
+ * リクエストを処理するたびに少しずつ状態が悪化するサーバーを再現します。
+ * 数時間のソークテストで閾値やダッシュボードが緩やかな劣化を検知できるかを確かめるために使います。
+ *
+ * モード（複数を同時に有効にできる）:
+ * - heap:    1リクエストごとに heapBytesPerRequest バイトを保持し続ける（ヒープ使用量の増加）
+ * - latency: latencyEveryRequests リクエストごとにレイテンシが latencyStepMs ずつ伸びる
+ * - pool:    poolLeakEveryRequests リクエストごとにコネクションを1つ返し忘れ、
+ *            プール（poolSize）が尽きると poolAcquireTimeoutMs 待ったあと500を返す
+ */
+
+const MODES = ['heap', 'latency', 'pool'];
+
+class LeakConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LeakConfigError';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function requireInteger(name, value, min) {
+  if (!Number.isInteger(value) || value < min) {
+    throw new LeakConfigError(`${name} は${min}以上の整数で指定してください`);
+  }
+}
+
+class LeakSimulator {
+  /**
+   * @param {Object} config - configure() と同じ形式（modes が空なら無効）
+   */
+  constructor(config = {}) {
+    this.config = null;
+    this.reset();
+
+    if (config.modes && config.modes.length > 0) {
+      this.configure(config);
+    }
+  }
+
+  /**
+   * 設定を変更（これまでに漏れたリソースは reset() するまで残る）
+   *
+   * @param {Object} config
+   * @param {Array<string>} config.modes - "heap"、"latency"、"pool" の組み合わせ
+   * @param {number} [config.heapBytesPerRequest] - 1リクエストごとに保持するバイト数
+   * @param {number} [config.latencyStepMs] - レイテンシの増分
+   * @param {number} [config.latencyEveryRequests] - レイテンシを伸ばす間隔（リクエスト数）
+   * @param {number} [config.maxLatencyMs] - 追加レイテンシの上限
+   * @param {number} [config.poolSize] - コネクションプールの大きさ
+   * @param {number} [config.poolLeakEveryRequests] - コネクションを返し忘れる間隔（リクエスト数）
+   * @param {number} [config.poolAcquireTimeoutMs] - プール枯渇時にエラーを返すまでの待ち時間
+   * @returns {Object} - 適用された設定
+   * @throws {LeakConfigError}
+   */
+  configure({
+    modes,
+    heapBytesPerRequest = 10 * 1024,
+    latencyStepMs = 1,
+    latencyEveryRequests = 1000,
+    maxLatencyMs = 10000,
+    poolSize = 100,
+    poolLeakEveryRequests = 1000,
+    poolAcquireTimeoutMs = 1000
+  } = {}) {
+    if (!Array.isArray(modes) || modes.length === 0 || modes.some((mode) => !MODES.includes(mode))) {
+      throw new LeakConfigError(`modes には ${MODES.join(', ')} の組み合わせを配列で指定してください`);
+    }
+    requireInteger('heapBytesPerRequest', heapBytesPerRequest, 1);
+    requireInteger('latencyStepMs', latencyStepMs, 1);
+    requireInteger('latencyEveryRequests', latencyEveryRequests, 1);
+    requireInteger('maxLatencyMs', maxLatencyMs, 0);
+    requireInteger('poolSize', poolSize, 1);
+    requireInteger('poolLeakEveryRequests', poolLeakEveryRequests, 1);
+    requireInteger('poolAcquireTimeoutMs', poolAcquireTimeoutMs, 0);
+
+    this.config = {
+      modes: [...new Set(modes)],
+      heapBytesPerRequest,
+      latencyStepMs,
+      latencyEveryRequests,
+      maxLatencyMs,
+      poolSize,
+      poolLeakEveryRequests,
+      poolAcquireTimeoutMs
+    };
+    return this.config;
+  }
+
+  /**
+   * 劣化モードを無効化（漏れたリソースは reset() するまで残る）
+   */
+  disable() {
+    this.config = null;
+  }
+
+  /**
+   * 漏れたリソースを解放し、カウンターを初期状態に戻す
+   */
+  reset() {
+    this.requests = 0;
+    this.retained = [];
+    this.retainedBytes = 0;
+    this.leakedConnections = 0;
+  }
+
+  /**
+   * 現在の劣化の度合い
+   *
+   * @returns {Object}
+   */
+  status() {
+    return {
+      enabled: this.config !== null,
+      config: this.config,
+      requests: this.requests,
+      retainedBytes: this.retainedBytes,
+      addedLatencyMs: this.addedLatencyMs(),
+      leakedConnections: this.leakedConnections,
+      poolAvailable: this.config ? Math.max(this.config.poolSize - this.leakedConnections, 0) : null
+    };
+  }
+
+  isEnabled(mode) {
+    return this.config !== null && this.config.modes.includes(mode);
+  }
+
+  addedLatencyMs() {
+    if (!this.isEnabled('latency')) {
+      return 0;
+    }
+    const { latencyStepMs, latencyEveryRequests, maxLatencyMs } = this.config;
+    return Math.min(Math.floor(this.requests / latencyEveryRequests) * latencyStepMs, maxLatencyMs);
+  }
+
+  /**
+   * Expressミドルウェアを生成
+   *
+   * @param {Object} options
+   * @param {Array<string>} options.excludePaths - 対象外のパスの前方一致
+   * @returns {Function}
+   */
+  middleware({ excludePaths = [] } = {}) {
+    return async (req, res, next) => {
+      if (!this.config || excludePaths.some((prefix) => req.path.startsWith(prefix))) {
+        return next();
+      }
+
+      this.requests++;
+
+      if (this.isEnabled('heap')) {
+        // ヒープ上に確保されるよう、Buffer ではなく文字列で保持する
+        const bytes = this.config.heapBytesPerRequest;
+        this.retained.push({
+          method: req.method,
+          url: req.originalUrl,
+          receivedAt: Date.now(),
+          payload: crypto.randomBytes(Math.ceil(bytes / 2)).toString('hex')
+        });
+        this.retainedBytes += bytes;
+      }
+
+      if (this.isEnabled('pool')) {
+        const { poolSize, poolLeakEveryRequests, poolAcquireTimeoutMs } = this.config;
+
+        if (this.leakedConnections >= poolSize) {
+          // 空きコネクションを待ってタイムアウトする
+          await sleep(poolAcquireTimeoutMs);
+          return res.status(500).json({
+            success: false,
+            error: `コネクションプールからの取得がタイムアウトしました（${poolSize} 件すべて使用中）`
+          });
+        }
+        if (this.requests % poolLeakEveryRequests === 0) {
+          this.leakedConnections++;
+        }
+      }
+
+      const latency = this.addedLatencyMs();
+      if (latency > 0) {
+        await sleep(latency);
+      }
+
+      next();
+    };
+  }
+}
+
+module.exports = { LeakConfigError, LeakSimulator };
@@ -0,0 +1,103 @@
+const client = require('prom-client');
+
+/**
+ * サーバー側のメトリクス（Prometheus形式）
+ *
+ * k6 が測るクライアント側のレイテンシと、サーバー自身が測った値を比較するために使います。
+ *
+ * - http_requests_total: ルート・メソッド・ステータスごとのリクエスト数
+ * - http_request_duration_seconds: ルートごとのレイテンシ（ヒストグラム）
+ * - http_requests_in_flight: 処理中のリクエスト数
+ * - nodejs_eventloop_lag_seconds / nodejs_heap_size_used_bytes / nodejs_gc_duration_seconds など:
+ *   prom-client の標準メトリクス（イベントループの遅延・ヒープ・GC停止時間）
+ */
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// ルートに一致しなかったリクエスト（404、ルーティング前の429など）のラベル
+const UNMATCHED_ROUTE = 'unmatched';
+
+class MetricsCollector {
+  constructor() {
+    this.registry = new client.Registry();
+    client.collectDefaultMetrics({ register: this.registry });
+
+    this.requestsTotal = new client.Counter({
+      name: 'http_requests_total',
+      help: 'HTTPリクエスト数',
+      labelNames: ['method', 'route', 'status'],
+      registers: [this.registry]
+    });
+
+    this.requestDuration = new client.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTPリクエストの処理時間（秒）',
+      labelNames: ['method', 'route', 'status'],
+      buckets: DURATION_BUCKETS,
+      registers: [this.registry]
+    });
+
+    this.inFlight = new client.Gauge({
+      name: 'http_requests_in_flight',
+      help: '処理中のHTTPリクエスト数',
+      registers: [this.registry]
+    });
+  }
+
+  /**
+   * リクエストを計測するミドルウェア
+   *
+   * ラベルの種類が増えすぎないよう、route には実際のパスではなく
+   * ルート定義（/api/users/:id など）を使う
+   *
+   * @param {Object} options
+   * @param {Array<string>} options.excludePaths - 計測しないパスの接頭辞
+   * @returns {Function}
+   */
+  middleware({ excludePaths = [] } = {}) {
+    return (req, res, next) => {
+      if (excludePaths.some((prefix) => req.path.startsWith(prefix))) {
+        return next();
+      }
+
+      this.inFlight.inc();
+      const endTimer = this.requestDuration.startTimer();
+      let recorded = false;
+
+      const record = () => {
+        if (recorded) {
+          return;
+        }
+        recorded = true;
+
+        const labels = {
+          method: req.method,
+          route: req.route ? req.baseUrl + req.route.path : UNMATCHED_ROUTE,
+          status: res.statusCode
+        };
+        this.inFlight.dec();
+        endTimer(labels);
+        this.requestsTotal.inc(labels);
+      };
+
+      // 途中で切断されたリクエスト（SSEなど）も close で記録する
+      res.on('finish', record);
+      res.on('close', record);
+      next();
+    };
+  }
+
+  /**
+   * /metrics のハンドラー
+   *
+   * @returns {Function}
+   */
+  handler() {
+    return async (req, res) => {
+      res.set('Content-Type', this.registry.contentType);
+      res.send(await this.registry.metrics());
+    };
+  }
+}
+
+module.exports = { MetricsCollector };
@@ -0,0 +1,171 @@
+/**
+ * 低レベルのネットワーク障害（ネットワークカオス）
+ *
+ * ステータスコード付きのJSONエラーではなく、HTTPやTCPのレベルで壊れたレスポンスを返します。
+ * - reset:        ボディの途中でTCPコネクションをリセット（RST）する
+ * - truncated:    途中で切れたJSONを、200の正常なレスポンスとして返す
+ * - invalid-json: 構文の壊れたJSONを200で返す
+ * - trickle:      ボディを chunkBytes バイトずつ intervalMs ごとに送る（slow-read）
+ * - hang:         レスポンスを返し終えない（headers=true ならヘッダーだけ送って止まる）
+ * - wrong-length: 実際のボディと異なる Content-Length を返す
+ *                 （long: 多く申告して送信後に切断、short: 少なく申告して残りを捨てさせる）
+ *
+ * クライアントから見ると、reset・wrong-length(long) は通信エラー（ステータス0）、
+ * truncated・invalid-json・wrong-length(short) はJSONのパースに失敗する200になります。
+ */
+
+const CHAOS_MODES = ['reset', 'truncated', 'invalid-json', 'trickle', 'hang', 'wrong-length'];
+const MAX_ITEMS = 10000;
+const MAX_INTERVAL_MS = 10000;
+
+class NetworkChaosError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NetworkChaosError';
+  }
+}
+
+function parseInteger(name, value, defaultValue, min, max) {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new NetworkChaosError(`${name} は${min}〜${max}の整数で指定してください`);
+  }
+  return number;
+}
+
+/**
+ * モードとオプションを検証して正規化
+ *
+ * @param {string} mode
+ * @param {Object} query - /api/chaos/:mode のクエリパラメーター
+ * @param {string} [query.size] - ボディに含めるアイテム数（デフォルト20）
+ * @param {string} [query.at] - reset・truncated でボディを切る位置（%、デフォルト50）
+ * @param {string} [query.chunkBytes] - trickle で1回に送るバイト数（デフォルト1）
+ * @param {string} [query.intervalMs] - trickle の送信間隔（デフォルト50）
+ * @param {string} [query.headers] - hang でヘッダーだけ先に送る場合は "true"
+ * @param {string} [query.direction] - wrong-length の向き（"long" / "short"、デフォルト long）
+ * @returns {Object}
+ * @throws {NetworkChaosError}
+ */
+function parseChaosOptions(mode, query = {}) {
+  if (!CHAOS_MODES.includes(mode)) {
+    throw new NetworkChaosError(`mode には ${CHAOS_MODES.join(', ')} のいずれかを指定してください`);
+  }
+
+  const direction = query.direction === undefined ? 'long' : query.direction;
+  if (!['long', 'short'].includes(direction)) {
+    throw new NetworkChaosError('direction には long, short のいずれかを指定してください');
+  }
+
+  return {
+    mode,
+    size: parseInteger('size', query.size, 20, 1, MAX_ITEMS),
+    at: parseInteger('at', query.at, 50, 1, 99),
+    chunkBytes: parseInteger('chunkBytes', query.chunkBytes, 1, 1, 65536),
+    intervalMs: parseInteger('intervalMs', query.intervalMs, 50, 0, MAX_INTERVAL_MS),
+    headers: query.headers === 'true',
+    direction
+  };
+}
+
+/**
+ * /api/large-payload と同じ形のJSONボディ
+ */
+function buildBody(size) {
+  const data = Array.from({ length: size }, (_, i) => ({
+    id: i + 1,
+    name: `Item ${i + 1}`,
+    description: 'ネットワーク障害の確認用のデータです',
+    timestamp: new Date().toISOString()
+  }));
+  return Buffer.from(JSON.stringify({ success: true, count: size, data }));
+}
+
+/**
+ * 送信後にTCPコネクションをリセットする（RSTを送れない環境では通常の切断）
+ */
+function resetSocket(socket) {
+  if (typeof socket.resetAndDestroy === 'function') {
+    socket.resetAndDestroy();
+  } else {
+    socket.destroy();
+  }
+}
+
+/**
+ * 壊れたレスポンスを返す
+ *
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} options - parseChaosOptions() の戻り値
+ */
+function applyChaos(req, res, options) {
+  const body = buildBody(options.size);
+  const cut = Math.floor(body.length * options.at / 100);
+  const socket = res.socket;
+
+  switch (options.mode) {
+    case 'reset':
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': body.length });
+      res.write(body.subarray(0, cut), () => resetSocket(socket));
+      return;
+
+    case 'truncated':
+      // Content-Length は切ったあとの長さになるため、HTTPとしては正常に完了する
+      res.status(200).type('json').end(body.subarray(0, cut));
+      return;
+
+    case 'invalid-json':
+      res.status(200).type('json').end(
+        "{\"success\": true, 'message': 'シングルクォート', \"count\": NaN, \"data\": [1, 2, 3,],}"
+      );
+      return;
+
+    case 'trickle': {
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': body.length });
+      let offset = 0;
+      const timer = setInterval(() => {
+        res.write(body.subarray(offset, offset + options.chunkBytes));
+        offset += options.chunkBytes;
+        if (offset >= body.length) {
+          clearInterval(timer);
+          res.end();
+        }
+      }, options.intervalMs);
+      res.on('close', () => clearInterval(timer));
+      return;
+    }
+
+    case 'hang':
+      // クライアントが諦めて切断するまで何も送らない
+      if (options.headers) {
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.flushHeaders();
+      }
+      return;
+
+    case 'wrong-length':
+      if (options.direction === 'long') {
+        // 申告より少ないまま切断するため、クライアントは残りを待っている途中で接続を失う
+        res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': body.length + 1024 });
+        res.write(body, () => socket.destroy());
+      } else {
+        // 申告した長さ以降は捨てられるため、クライアントには途中で切れたJSONが届く
+        res.writeHead(200, {
+          'Content-Type': 'application/json; charset=utf-8',
+          'Content-Length': cut,
+          Connection: 'close'
+        });
+        res.end(body);
+      }
+      return;
+
+    default:
+      throw new NetworkChaosError(`未対応のモードです: ${options.mode}`);
+  }
+}
+
+module.exports = { CHAOS_MODES, NetworkChaosError, parseChaosOptions, applyChaos };
@@ -0,0 +1,542 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * ローカルの OAuth2 / OpenID Connect 認可サーバー（IdP の代わり）
+ *
+ * 外部の IdP に負荷をかけずに、トークン発行の経路をオフラインで負荷テストするための最小構成です。
+ * - client_credentials: サービス間連携（機密クライアントが client_secret で認証）
+ * - authorization_code + PKCE（S256）: ブラウザ・モバイルアプリのログイン（公開クライアント）
+ * - トークンイントロスペクション（RFC 7662）: リソースサーバーからのトークン検証
+ * - /.well-known/openid-configuration と JWKS（RS256 の公開鍵）
+ *
+ * アクセストークンと ID トークンは RS256 の JWT で、ヘッダーの kid で署名鍵を示します。
+ * 鍵をローテーションしても、1つ前の鍵は JWKS に残します（発行済みのトークンを検証できるように）。
+ * エラーは RFC 6749 の形式（{ error, error_description }）で返します。
+ */
+
+// 認可コードの有効期間（RFC 6749 は最大10分を推奨）
+const AUTHORIZATION_CODE_TTL_MS = 60 * 1000;
+// JWKS に残す鍵の数（現在の鍵 + ローテーション前の鍵）
+const MAX_KEYS = 2;
+// アクセストークンの aud
+const AUDIENCE = 'k6-sandbox-api';
+// RFC 7636 の code_verifier（unreserved 文字で43〜128文字）
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+const DEFAULT_CLIENTS = [
+  {
+    // サービス間連携用の機密クライアント
+    clientId: 'k6-service',
+    clientSecret: 'k6-service-secret',
+    grantTypes: ['client_credentials'],
+    redirectUris: [],
+    scopes: ['api.read', 'api.write']
+  },
+  {
+    // SPA・モバイルアプリ用の公開クライアント（client_secret を持たず、PKCE が必須）
+    clientId: 'k6-spa',
+    clientSecret: null,
+    grantTypes: ['authorization_code'],
+    redirectUris: ['http://localhost:8080/callback', 'http://127.0.0.1:8080/callback'],
+    scopes: ['openid', 'profile', 'email', 'api.read']
+  }
+];
+
+class OAuthError extends Error {
+  /**
+   * @param {string} description - error_description
+   * @param {string} code - RFC 6749 のエラーコード（invalid_request など）
+   * @param {number} statusCode - レスポンスのHTTPステータス
+   */
+  constructor(description, code = 'invalid_request', statusCode = 400) {
+    super(description);
+    this.name = 'OAuthError';
+    this.code = code;
+    this.statusCode = statusCode;
+    // 認可エンドポイントで、エラーを redirect_uri へリダイレクトして返す場合に設定する
+    this.redirectUri = null;
+    this.state = undefined;
+  }
+
+  toJSON() {
+    return { error: this.code, error_description: this.message };
+  }
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+/**
+ * 長さに左右されずに文字列を比較（タイミング攻撃の対策）
+ */
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(String(a)).digest(),
+    crypto.createHash('sha256').update(String(b)).digest()
+  );
+}
+
+/**
+ * 署名鍵を生成（kid は RFC 7638 の JWK Thumbprint）
+ */
+function generateKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const { kty, n, e } = publicKey.export({ format: 'jwk' });
+  // Thumbprint は必須のメンバーを辞書順に並べたJSONから計算する
+  const kid = sha256(JSON.stringify({ e, kty, n }));
+  return {
+    kid,
+    privateKey,
+    publicKey,
+    jwk: { kty, use: 'sig', alg: 'RS256', kid, n, e },
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * scope パラメーター（スペース区切り）を配列にする
+ */
+function parseScope(scope) {
+  return typeof scope === 'string' ? scope.split(' ').filter(Boolean) : [];
+}
+
+/**
+ * Authorization: Basic ヘッダーからクライアントの認証情報を取り出す
+ *
+ * RFC 6749 では client_id と client_secret を URL エンコードしてから Base64 にする
+ */
+function parseBasicAuth(header) {
+  if (!header || !header.startsWith('Basic ')) {
+    return null;
+  }
+  const decoded = Buffer.from(header.slice(6), 'base64').toString();
+  const index = decoded.indexOf(':');
+  if (index === -1) {
+    return null;
+  }
+  try {
+    return {
+      clientId: decodeURIComponent(decoded.slice(0, index)),
+      clientSecret: decodeURIComponent(decoded.slice(index + 1))
+    };
+  } catch {
+    return null;
+  }
+}
+
+class OAuthServer {
+  /**
+   * @param {Object} options
+   * @param {number} options.accessTokenTtl - アクセストークン・IDトークンの有効期間（秒）
+   * @param {Object[]} [options.clients] - 登録するクライアント（省略時は k6-service と k6-spa）
+   */
+  constructor({ accessTokenTtl, clients = DEFAULT_CLIENTS }) {
+    this.accessTokenTtl = accessTokenTtl;
+    this.clients = new Map(clients.map((client) => [client.clientId, client]));
+    // 新しい順（先頭が署名に使う鍵）
+    this.keys = [generateKey()];
+    // 認可コード -> { clientId, redirectUri, scope, username, codeChallenge, nonce, authTime, expiresAt }
+    this.codes = new Map();
+    this.stats = {
+      tokensIssued: 0,
+      authorizationCodesIssued: 0,
+      introspections: 0,
+      invalidClient: 0,
+      invalidGrant: 0
+    };
+
+    // 期限切れの認可コードを定期的に掃除（プロセス終了は妨げない）
+    setInterval(() => this.purgeExpired(), 60 * 1000).unref();
+  }
+
+  purgeExpired() {
+    const now = Date.now();
+    for (const [code, entry] of this.codes) {
+      if (entry.expiresAt <= now) {
+        this.codes.delete(code);
+      }
+    }
+  }
+
+  /**
+   * 署名鍵をローテーション（1つ前の鍵は JWKS に残す）
+   *
+   * @returns {Object} - 現在の状態
+   */
+  rotateKeys() {
+    this.keys = [generateKey(), ...this.keys].slice(0, MAX_KEYS);
+    return this.status();
+  }
+
+  /**
+   * 現在の状態（クライアントの client_secret は含めない）
+   *
+   * @returns {Object}
+   */
+  status() {
+    return {
+      accessTokenTtl: this.accessTokenTtl,
+      keys: this.keys.map(({ kid, createdAt }) => ({ kid, createdAt })),
+      clients: [...this.clients.values()].map(({ clientId, clientSecret, grantTypes, redirectUris, scopes }) => ({
+        clientId,
+        confidential: clientSecret !== null,
+        grantTypes,
+        redirectUris,
+        scopes
+      })),
+      pendingAuthorizationCodes: this.codes.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * OpenID Connect Discovery のドキュメント
+   *
+   * @param {string} issuer - リクエストのホストから組み立てた発行者（http://localhost:3000 など）
+   * @returns {Object}
+   */
+  discovery(issuer) {
+    const scopes = new Set([...this.clients.values()].flatMap((client) => client.scopes));
+    return {
+      issuer,
+      authorization_endpoint: `${issuer}/oauth/authorize`,
+      token_endpoint: `${issuer}/oauth/token`,
+      introspection_endpoint: `${issuer}/oauth/introspect`,
+      userinfo_endpoint: `${issuer}/oauth/userinfo`,
+      jwks_uri: `${issuer}/oauth/jwks`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code', 'client_credentials'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      code_challenge_methods_supported: ['S256'],
+      scopes_supported: [...scopes],
+      claims_supported: ['iss', 'sub', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'preferred_username', 'name', 'email']
+    };
+  }
+
+  /**
+   * JWKS（公開鍵の一覧）
+   *
+   * @returns {Object}
+   */
+  jwks() {
+    return { keys: this.keys.map((key) => key.jwk) };
+  }
+
+  /**
+   * クライアントを認証（Basic 認証またはボディの client_id / client_secret）
+   *
+   * @param {Object} req
+   * @param {Object} [options]
+   * @param {boolean} [options.requireSecret] - 公開クライアントを受け付けない場合はtrue
+   * @returns {Object} - クライアント
+   * @throws {OAuthError}
+   */
+  authenticateClient(req, { requireSecret = false } = {}) {
+    const body = req.body || {};
+    const basic = parseBasicAuth(req.get('Authorization'));
+    const clientId = basic ? basic.clientId : body.client_id;
+    const clientSecret = basic ? basic.clientSecret : body.client_secret;
+
+    const client = clientId ? this.clients.get(clientId) : undefined;
+    const authenticated = client && (client.clientSecret === null
+      ? !clientSecret && !requireSecret
+      : clientSecret !== undefined && safeEqual(clientSecret, client.clientSecret));
+
+    if (!authenticated) {
+      this.stats.invalidClient++;
+      throw new OAuthError('クライアント認証に失敗しました', 'invalid_client', 401);
+    }
+    return client;
+  }
+
+  /**
+   * 要求されたスコープを検証（省略時はクライアントに許可されたすべてのスコープ）
+   */
+  resolveScope(client, scope) {
+    const requested = parseScope(scope);
+    const denied = requested.filter((name) => !client.scopes.includes(name));
+    if (denied.length > 0) {
+      throw new OAuthError(`許可されていないスコープです: ${denied.join(' ')}`, 'invalid_scope');
+    }
+    return (requested.length > 0 ? requested : client.scopes).join(' ');
+  }
+
+  /**
+   * 認可リクエストを検証
+   *
+   * client_id と redirect_uri が不正な場合は、リダイレクトせずに400を返す（オープンリダイレクトの対策）。
+   * それ以外のエラーは redirectUri を設定して投げ、呼び出し元が redirect_uri へリダイレクトする。
+   *
+   * @param {Object} params - クエリまたはフォームのパラメーター
+   * @returns {Object} - 正規化したリクエスト
+   * @throws {OAuthError}
+   */
+  validateAuthorizeRequest(params) {
+    const client = this.clients.get(params.client_id);
+    if (!client || !client.grantTypes.includes('authorization_code')) {
+      throw new OAuthError('client_id が不正です', 'invalid_request');
+    }
+    if (!client.redirectUris.includes(params.redirect_uri)) {
+      throw new OAuthError('redirect_uri が登録されていません', 'invalid_request');
+    }
+
+    try {
+      if (params.response_type !== 'code') {
+        throw new OAuthError('response_type は code のみ対応しています', 'unsupported_response_type');
+      }
+      // 公開クライアントのため PKCE を必須にする（plain は受け付けない）
+      if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+        throw new OAuthError('code_challenge と code_challenge_method=S256 は必須です', 'invalid_request');
+      }
+      if (!/^[A-Za-z0-9_-]{43}$/.test(params.code_challenge)) {
+        throw new OAuthError('code_challenge は SHA-256 の base64url（43文字）で指定してください', 'invalid_request');
+      }
+
+      return {
+        client,
+        redirectUri: params.redirect_uri,
+        scope: this.resolveScope(client, params.scope || 'openid'),
+        state: params.state,
+        codeChallenge: params.code_challenge,
+        nonce: params.nonce
+      };
+    } catch (error) {
+      if (error instanceof OAuthError) {
+        error.redirectUri = params.redirect_uri;
+        error.state = params.state;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * ログインしたユーザーに認可コードを発行
+   *
+   * @param {Object} request - validateAuthorizeRequest() の戻り値
+   * @param {string} username
+   * @returns {string} - 認可コード
+   */
+  issueAuthorizationCode(request, username) {
+    const code = randomToken();
+    this.codes.set(code, {
+      clientId: request.client.clientId,
+      redirectUri: request.redirectUri,
+      scope: request.scope,
+      username,
+      codeChallenge: request.codeChallenge,
+      nonce: request.nonce,
+      authTime: Math.floor(Date.now() / 1000),
+      expiresAt: Date.now() + AUTHORIZATION_CODE_TTL_MS
+    });
+    this.stats.authorizationCodesIssued++;
+    return code;
+  }
+
+  /**
+   * トークンエンドポイント
+   *
+   * @param {Object} req - ボディは application/x-www-form-urlencoded または JSON
+   * @param {string} issuer
+   * @returns {Object} - トークンレスポンス
+   * @throws {OAuthError}
+   */
+  token(req, issuer) {
+    const body = req.body || {};
+    switch (body.grant_type) {
+      case 'client_credentials':
+        return this.clientCredentialsGrant(req, issuer);
+      case 'authorization_code':
+        return this.authorizationCodeGrant(req, issuer);
+      case undefined:
+        throw new OAuthError('grant_type は必須です', 'invalid_request');
+      default:
+        throw new OAuthError(`grant_type ${body.grant_type} には対応していません`, 'unsupported_grant_type');
+    }
+  }
+
+  clientCredentialsGrant(req, issuer) {
+    const client = this.authenticateClient(req, { requireSecret: true });
+    if (!client.grantTypes.includes('client_credentials')) {
+      throw new OAuthError('このクライアントには client_credentials が許可されていません', 'unauthorized_client');
+    }
+
+    const scope = this.resolveScope(client, req.body.scope);
+    // サービス間連携ではクライアント自身がトークンの主体になる
+    return this.issueTokens({ issuer, client, subject: client.clientId, scope });
+  }
+
+  authorizationCodeGrant(req, issuer) {
+    const client = this.authenticateClient(req);
+    const { code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+    if (!code || !codeVerifier) {
+      throw new OAuthError('code と code_verifier は必須です', 'invalid_request');
+    }
+    if (typeof codeVerifier !== 'string' || !CODE_VERIFIER_PATTERN.test(codeVerifier)) {
+      throw new OAuthError('code_verifier は英数字と -._~ からなる43〜128文字で指定してください', 'invalid_request');
+    }
+
+    // 認可コードは使い捨て（検証に失敗しても再利用はできない）
+    const entry = this.codes.get(code);
+    this.codes.delete(code);
+
+    const invalid = !entry
+      || entry.expiresAt <= Date.now()
+      || entry.clientId !== client.clientId
+      || entry.redirectUri !== redirectUri;
+    if (invalid) {
+      this.stats.invalidGrant++;
+      throw new OAuthError('認可コードが無効、期限切れ、または使用済みです', 'invalid_grant');
+    }
+    if (!safeEqual(sha256(codeVerifier), entry.codeChallenge)) {
+      this.stats.invalidGrant++;
+      throw new OAuthError('code_verifier が code_challenge と一致しません', 'invalid_grant');
+    }
+
+    return this.issueTokens({
+      issuer,
+      client,
+      subject: entry.username,
+      scope: entry.scope,
+      nonce: entry.nonce,
+      authTime: entry.authTime
+    });
+  }
+
+  /**
+   * アクセストークン（と openid スコープがあれば ID トークン）を発行
+   */
+  issueTokens({ issuer, client, subject, scope, nonce, authTime }) {
+    const [key] = this.keys;
+    const signOptions = { algorithm: 'RS256', keyid: key.kid, expiresIn: this.accessTokenTtl };
+
+    const accessToken = jwt.sign(
+      { iss: issuer, sub: subject, aud: AUDIENCE, client_id: client.clientId, scope, jti: crypto.randomUUID() },
+      key.privateKey,
+      { ...signOptions, header: { typ: 'at+jwt' } }
+    );
+    this.stats.tokensIssued++;
+
+    const response = {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: this.accessTokenTtl,
+      scope
+    };
+
+    const scopes = parseScope(scope);
+    if (scopes.includes('openid')) {
+      response.id_token = jwt.sign(
+        {
+          iss: issuer,
+          sub: subject,
+          aud: client.clientId,
+          auth_time: authTime,
+          nonce,
+          ...this.userClaims(subject, scopes)
+        },
+        key.privateKey,
+        signOptions
+      );
+    }
+    return response;
+  }
+
+  /**
+   * スコープに応じたユーザーのクレーム
+   */
+  userClaims(username, scopes) {
+    const claims = {};
+    if (scopes.includes('profile')) {
+      claims.preferred_username = username;
+      claims.name = username;
+    }
+    if (scopes.includes('email')) {
+      claims.email = `${username}@example.com`;
+    }
+    return claims;
+  }
+
+  /**
+   * アクセストークンの署名と有効期限を検証
+   *
+   * @param {string} token
+   * @returns {Object|null} - 有効ならペイロード
+   */
+  verifyAccessToken(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && this.keys.find((candidate) => candidate.kid === decoded.header.kid);
+    if (!key || decoded.header.typ !== 'at+jwt') {
+      return null;
+    }
+    try {
+      return jwt.verify(token, key.publicKey, { algorithms: ['RS256'], audience: AUDIENCE });
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * トークンイントロスペクション（RFC 7662、呼び出し元は機密クライアント）
+   *
+   * @param {Object} req
+   * @returns {Object} - 無効なトークンは { active: false } のみ
+   * @throws {OAuthError}
+   */
+  introspect(req) {
+    this.authenticateClient(req, { requireSecret: true });
+    const { token } = req.body || {};
+    if (!token) {
+      throw new OAuthError('token は必須です', 'invalid_request');
+    }
+    this.stats.introspections++;
+
+    const payload = this.verifyAccessToken(token);
+    if (!payload) {
+      return { active: false };
+    }
+    return {
+      active: true,
+      scope: payload.scope,
+      client_id: payload.client_id,
+      sub: payload.sub,
+      aud: payload.aud,
+      iss: payload.iss,
+      exp: payload.exp,
+      iat: payload.iat,
+      jti: payload.jti,
+      token_type: 'Bearer'
+    };
+  }
+
+  /**
+   * UserInfo（openid スコープのアクセストークンが必要）
+   *
+   * @param {Object} req
+   * @returns {Object}
+   * @throws {OAuthError}
+   */
+  userInfo(req) {
+    const header = req.get('Authorization');
+    const payload = header && header.startsWith('Bearer ') ? this.verifyAccessToken(header.slice(7)) : null;
+    if (!payload) {
+      throw new OAuthError('アクセストークンが無効です', 'invalid_token', 401);
+    }
+
+    const scopes = parseScope(payload.scope);
+    if (!scopes.includes('openid')) {
+      throw new OAuthError('openid スコープが必要です', 'insufficient_scope', 403);
+    }
+    return { sub: payload.sub, ...this.userClaims(payload.sub, scopes) };
+  }
+}
+
+module.exports = { OAuthError, OAuthServer };
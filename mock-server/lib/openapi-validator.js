@@ -0,0 +1,347 @@
+const fs = require('fs');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+const YAML = require('yaml');
+
+/**
+ * OpenAPIドキュメントによるリクエスト・レスポンスの検証
+ *
+ * openapi.yaml に記述したパスに一致するリクエストについて、
+ * - パス・クエリ・ヘッダーのパラメーターとJSONのリクエストボディを検証し、仕様に合わなければ400を返す
+ * - JSONのレスポンスボディとステータスコードを検証し、仕様からずれていれば
+ *   X-Contract-Violation ヘッダーを付けてログに出力する（レスポンス自体はそのまま返す）
+ *
+ * 仕様に記述していないパス（設定ファイルで定義したルートなど）は検証しません。
+ */
+
+const DOCUMENT_ID = 'openapi.json';
+const METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+const VIOLATION_HEADER = 'X-Contract-Violation';
+const MAX_VIOLATION_HEADER_LENGTH = 512;
+
+class OpenApiError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OpenApiError';
+  }
+}
+
+/**
+ * ドキュメント内の $ref を辿る（パラメーター・レスポンスなどスキーマ以外の参照用）
+ *
+ * @param {Object} document
+ * @param {Object} object
+ * @returns {Object}
+ * @throws {OpenApiError}
+ */
+function dereference(document, object) {
+  let current = object;
+  while (current && current.$ref) {
+    const ref = current.$ref;
+    if (!ref.startsWith('#/')) {
+      throw new OpenApiError(`外部ファイルへの参照には対応していません: ${ref}`);
+    }
+    current = ref.slice(2).split('/')
+      .map((key) => key.replace(/~1/g, '/').replace(/~0/g, '~'))
+      .reduce((value, key) => (value == null ? undefined : value[key]), document);
+    if (current === undefined) {
+      throw new OpenApiError(`参照先が見つかりません: ${ref}`);
+    }
+  }
+  return current;
+}
+
+/**
+ * スキーマ内の "#/..." の参照を、Ajvに登録したドキュメントからの参照に書き換える
+ */
+function qualifyRefs(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(qualifyRefs);
+  }
+  if (schema !== null && typeof schema === 'object') {
+    return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+      key,
+      key === '$ref' && typeof value === 'string' && value.startsWith('#') ? DOCUMENT_ID + value : qualifyRefs(value)
+    ]));
+  }
+  return schema;
+}
+
+/**
+ * パスのテンプレート（/api/users/{id}）を正規表現に変換
+ *
+ * @param {string} template
+ * @returns {{ pattern: RegExp, names: Array<string> }}
+ */
+function compilePath(template) {
+  const names = [];
+  const source = template.split('/').map((segment) => {
+    const param = segment.match(/^\{(.+)\}$/);
+    if (param) {
+      names.push(param[1]);
+      return '([^/]+)';
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }).join('/');
+  return { pattern: new RegExp(`^${source}$`), names };
+}
+
+/**
+ * 文字列で届くパラメーターをスキーマの型に合わせて変換（変換できなければそのまま検証させる）
+ */
+function coerce(value, schema) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  const types = [].concat(schema.type || []);
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+/**
+ * Ajvのエラーを { location, path, message } の配列に変換
+ */
+function toDetails(location, name, errors) {
+  return errors.map((error) => {
+    let message = error.message;
+    if (error.keyword === 'enum') {
+      message += `: ${error.params.allowedValues.join(', ')}`;
+    }
+    return { location, path: `${name}${error.instancePath}` || '/', message };
+  });
+}
+
+class OpenApiValidator {
+  /**
+   * @param {Object} options
+   * @param {string} options.file - OpenAPIドキュメント（.yaml / .json）のパス
+   * @throws {OpenApiError}
+   */
+  constructor({ file }) {
+    try {
+      this.document = YAML.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new OpenApiError(`${file} を読み込めません: ${error.message}`);
+    }
+
+    this.ajv = new Ajv2020({ strict: false, allErrors: true });
+    addFormats(this.ajv);
+    this.ajv.addSchema(this.document, DOCUMENT_ID);
+
+    // 固定のパスがパラメーターつきのパスより先に一致するよう、パラメーターの少ない順に並べる
+    this.routes = Object.entries(this.document.paths || {})
+      .map(([template, pathItem]) => this.compileRoute(template, pathItem))
+      .sort((a, b) => a.names.length - b.names.length);
+  }
+
+  compileSchema(schema) {
+    return this.ajv.compile(qualifyRefs(schema || {}));
+  }
+
+  compileRoute(template, pathItem) {
+    const operations = {};
+    for (const method of METHODS) {
+      if (pathItem[method]) {
+        operations[method] = this.compileOperation(pathItem, pathItem[method]);
+      }
+    }
+    return { template, ...compilePath(template), operations };
+  }
+
+  compileOperation(pathItem, operation) {
+    // オペレーション側のパラメーターはパス共通のパラメーターを上書きする
+    const parameters = new Map();
+    for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+      const resolved = dereference(this.document, parameter);
+      parameters.set(`${resolved.in}:${resolved.name}`, {
+        name: resolved.name,
+        in: resolved.in,
+        required: resolved.in === 'path' || resolved.required === true,
+        schema: resolved.schema || {},
+        validate: this.compileSchema(resolved.schema)
+      });
+    }
+
+    let requestBody = null;
+    if (operation.requestBody) {
+      const resolved = dereference(this.document, operation.requestBody);
+      const json = resolved.content['application/json'];
+      requestBody = {
+        required: resolved.required === true,
+        contentTypes: Object.keys(resolved.content),
+        validate: json && json.schema ? this.compileSchema(json.schema) : null
+      };
+    }
+
+    const responses = {};
+    for (const [status, response] of Object.entries(operation.responses || {})) {
+      const resolved = dereference(this.document, response);
+      const json = resolved.content && resolved.content['application/json'];
+      responses[status] = {
+        validate: json && json.schema ? this.compileSchema(json.schema) : null
+      };
+    }
+
+    return { operationId: operation.operationId, parameters: [...parameters.values()], requestBody, responses };
+  }
+
+  /**
+   * リクエストに一致するパスを探す
+   *
+   * デコードできないパスパラメーター（%E0 など）は pathErrors に入れる
+   *
+   * @returns {{ route: Object, pathParams: Object, pathErrors: Array<Object> }|null}
+   */
+  match(path) {
+    for (const route of this.routes) {
+      const matched = route.pattern.exec(path);
+      if (matched) {
+        const pathParams = {};
+        const pathErrors = [];
+        route.names.forEach((name, index) => {
+          try {
+            pathParams[name] = decodeURIComponent(matched[index + 1]);
+          } catch (e) {
+            pathErrors.push({ location: 'path', path: name, message: 'is not a valid percent-encoded value' });
+          }
+        });
+        return { route, pathParams, pathErrors };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * リクエストを検証
+   *
+   * @returns {Array<Object>} - 仕様に合わない箇所（空なら問題なし）
+   */
+  validateRequest(operation, req, pathParams) {
+    const details = [];
+
+    for (const parameter of operation.parameters) {
+      let value;
+      if (parameter.in === 'path') {
+        value = pathParams[parameter.name];
+      } else if (parameter.in === 'query') {
+        value = req.query[parameter.name];
+      } else if (parameter.in === 'header') {
+        value = req.get(parameter.name);
+      } else {
+        continue;
+      }
+
+      if (value === undefined) {
+        if (parameter.required) {
+          details.push({ location: parameter.in, path: parameter.name, message: 'is required' });
+        }
+        continue;
+      }
+      if (!parameter.validate(coerce(value, parameter.schema))) {
+        details.push(...toDetails(parameter.in, parameter.name, parameter.validate.errors));
+      }
+    }
+
+    const { requestBody } = operation;
+    if (requestBody) {
+      const mediaType = req.is(requestBody.contentTypes);
+      if (mediaType === null) {
+        if (requestBody.required) {
+          details.push({ location: 'body', path: '/', message: `is required (${requestBody.contentTypes.join(', ')})` });
+        }
+      } else if (mediaType === false) {
+        details.push({
+          location: 'header',
+          path: 'Content-Type',
+          message: `must be one of ${requestBody.contentTypes.join(', ')}`
+        });
+      } else if (mediaType === 'application/json' && requestBody.validate && !requestBody.validate(req.body)) {
+        details.push(...toDetails('body', '', requestBody.validate.errors));
+      }
+    }
+
+    return details;
+  }
+
+  /**
+   * レスポンスを検証
+   *
+   * @returns {Array<string>} - 仕様からずれている箇所（空なら問題なし）
+   */
+  validateResponse(operation, statusCode, body) {
+    const status = String(statusCode);
+    const response = operation.responses[status]
+      || operation.responses[`${status[0]}XX`]
+      || operation.responses.default;
+
+    if (!response) {
+      return [`status ${status} is not documented`];
+    }
+    if (!response.validate || response.validate(body)) {
+      return [];
+    }
+    return toDetails('body', '', response.validate.errors).map(({ path, message }) => `${path} ${message}`);
+  }
+
+  /**
+   * Expressミドルウェアを生成
+   *
+   * @param {Object} options
+   * @param {Array<string>} options.excludePaths - 検証しないパスの前方一致
+   * @returns {Function}
+   */
+  middleware({ excludePaths = [] } = {}) {
+    return (req, res, next) => {
+      if (excludePaths.some((prefix) => req.path.startsWith(prefix))) {
+        return next();
+      }
+
+      const matched = this.match(req.path);
+      if (!matched) {
+        return next();
+      }
+
+      const { route, pathParams, pathErrors } = matched;
+      const method = req.method.toLowerCase();
+      const operation = route.operations[method] || (method === 'head' ? route.operations.get : undefined);
+      if (!operation) {
+        res.set('Allow', Object.keys(route.operations).map((name) => name.toUpperCase()).join(', '));
+        return res.status(405).json({
+          success: false,
+          error: `${req.method} ${route.template} はAPI仕様に定義されていません`
+        });
+      }
+
+      const details = pathErrors.length > 0 ? pathErrors : this.validateRequest(operation, req, pathParams);
+      if (details.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `リクエストがAPI仕様（${operation.operationId}）に一致しません`,
+          details
+        });
+      }
+
+      // res.send(オブジェクト) も内部で res.json を呼ぶため、ここで差し替えれば両方を検証できる
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const violations = this.validateResponse(operation, res.statusCode, body);
+        if (violations.length > 0) {
+          console.warn(`⚠️ レスポンスがAPI仕様（${operation.operationId}）からずれています: ${violations.join('; ')}`);
+          if (!res.headersSent) {
+            res.set(VIOLATION_HEADER, violations.join('; ').slice(0, MAX_VIOLATION_HEADER_LENGTH));
+          }
+        }
+        return json(body);
+      };
+
+      next();
+    };
+  }
+}
+
+module.exports = { OpenApiError, OpenApiValidator };
@@ -0,0 +1,215 @@
+/**
+ * 一覧APIのページネーション・ソート・フィルタ
+ *
+ * オフセット方式（page/limit）とカーソル方式（cursor/next）の両方に対応します。
+ * 1ページ目は常にオフセット方式で取得し、レスポンスの next カーソルを
+ * 次のリクエストの cursor に渡すとカーソル方式で続きを取得できます。
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * クエリの値が不正な場合に投げるエラー（400として返す）
+ */
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+/**
+ * 正の整数としてクエリ値を解釈
+ *
+ * @param {string|undefined} value
+ * @param {number} defaultValue
+ * @param {string} name - エラーメッセージ用のパラメータ名
+ * @returns {number}
+ */
+function parsePositiveInt(value, defaultValue, name) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new QueryError(`${name} は1以上の整数で指定してください`);
+  }
+  return parsed;
+}
+
+/**
+ * sort パラメータを解釈（例: "name", "-createdAt"）
+ *
+ * @param {string|undefined} value
+ * @param {Array<string>} allowedFields
+ * @returns {{ field: string, order: number, key: string }}
+ */
+function parseSort(value, allowedFields) {
+  // ?sort=name&sort=id のように繰り返すと配列になる
+  if (value !== undefined && typeof value !== 'string') {
+    throw new QueryError('sort は1つだけ指定してください');
+  }
+
+  const key = value || 'id';
+  const desc = key.startsWith('-');
+  const field = desc ? key.substring(1) : key;
+
+  if (!allowedFields.includes(field)) {
+    throw new QueryError(`sort には ${allowedFields.join(', ')} のいずれかを指定してください`);
+  }
+
+  return { field, order: desc ? -1 : 1, key };
+}
+
+/**
+ * 2つの値を比較（同値の場合はIDで順序を確定させる）
+ */
+function compareBy(field, order) {
+  return (a, b) => {
+    if (a[field] < b[field]) return -order;
+    if (a[field] > b[field]) return order;
+    return (a.id - b.id) * order;
+  };
+}
+
+function encodeCursor(sort, item) {
+  const payload = { s: sort.key, v: item[sort.field], id: item.id };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new QueryError('cursor が不正です');
+  }
+
+  if (!payload || payload.id === undefined) {
+    throw new QueryError('cursor が不正です');
+  }
+  if (payload.s !== sort.key) {
+    throw new QueryError('cursor と sort の指定が一致しません');
+  }
+  return payload;
+}
+
+/**
+ * 部分一致フィルタを適用（大文字小文字を区別しない）
+ *
+ * @param {Array<Object>} items
+ * @param {Object} query - リクエストのクエリ
+ * @param {Array<string>} fields - フィルタ可能なフィールド
+ * @returns {Array<Object>}
+ */
+function applyFilters(items, query, fields) {
+  const filters = fields
+    .filter((field) => typeof query[field] === 'string' && query[field] !== '')
+    .map((field) => [field, query[field].toLowerCase()]);
+
+  if (filters.length === 0) {
+    return items;
+  }
+
+  return items.filter((item) =>
+    filters.every(([field, value]) => String(item[field]).toLowerCase().includes(value))
+  );
+}
+
+/**
+ * 一覧をフィルタ・ソートし、1ページ分を切り出す
+ *
+ * @param {Array<Object>} items - 全件
+ * @param {Object} query - リクエストのクエリ
+ * @param {Object} options
+ * @param {Array<string>} options.sortFields - ソート可能なフィールド
+ * @param {Array<string>} options.filterFields - フィルタ可能なフィールド
+ * @returns {{ data: Array<Object>, pagination: Object, links: Object }}
+ */
+function paginate(items, query, { sortFields, filterFields }) {
+  const limit = Math.min(parsePositiveInt(query.limit, DEFAULT_LIMIT, 'limit'), MAX_LIMIT);
+  const sort = parseSort(query.sort, sortFields);
+  const compare = compareBy(sort.field, sort.order);
+
+  const filtered = applyFilters(items, query, filterFields).sort(compare);
+  const total = filtered.length;
+
+  let start;
+  let page = null;
+
+  if (query.cursor) {
+    // カーソル位置より後ろの先頭を探す（カーソルの要素が削除されていても続きから取得できる）
+    const { v, id } = decodeCursor(query.cursor, sort);
+    const position = { [sort.field]: v, id };
+    start = filtered.findIndex((item) => compare(item, position) > 0);
+    if (start === -1) {
+      start = total;
+    }
+  } else {
+    page = parsePositiveInt(query.page, 1, 'page');
+    start = (page - 1) * limit;
+  }
+
+  const data = filtered.slice(start, start + limit);
+  const hasMore = start + data.length < total;
+  const totalPages = Math.max(1, Math.ceil(total / limit));
+
+  const pagination = {
+    total,
+    limit,
+    sort: sort.key,
+    next: hasMore && data.length > 0 ? encodeCursor(sort, data[data.length - 1]) : null
+  };
+
+  if (page !== null) {
+    pagination.page = page;
+    pagination.totalPages = totalPages;
+  }
+
+  // Linkヘッダー用のクエリ（ページ指定以外の条件は引き継ぐ）
+  const links = { first: { page: 1 } };
+  if (pagination.next) {
+    links.next = page !== null ? { page: page + 1 } : { cursor: pagination.next };
+  }
+  if (page !== null) {
+    if (page > 1) {
+      links.prev = { page: Math.min(page - 1, totalPages) };
+    }
+    links.last = { page: totalPages };
+  }
+
+  return { data, pagination, links };
+}
+
+/**
+ * RFC 8288 形式のLinkヘッダーを組み立てる
+ *
+ * @param {string} baseUrl - 絶対URL（クエリなし）
+ * @param {Object} query - 元のリクエストのクエリ
+ * @param {Object} links - paginate() が返す links
+ * @returns {string}
+ */
+function buildLinkHeader(baseUrl, query, links) {
+  return Object.entries(links)
+    .map(([rel, override]) => {
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(query)) {
+        if (key !== 'page' && key !== 'cursor' && typeof value === 'string') {
+          params.set(key, value);
+        }
+      }
+      for (const [key, value] of Object.entries(override)) {
+        params.set(key, String(value));
+      }
+      return `<${baseUrl}?${params.toString()}>; rel="${rel}"`;
+    })
+    .join(', ');
+}
+
+module.exports = {
+  QueryError,
+  paginate,
+  buildLinkHeader
+};
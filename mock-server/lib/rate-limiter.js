@@ -0,0 +1,252 @@
+/**
+ * レートリミット（429 Too Many Requests）
+ *
+ * トークンバケット方式とスライディングウィンドウ方式に対応します。
+ * クライアントの識別キーは IPアドレス・Bearerトークンのユーザー・APIキーから選べます。
+ * 制限を超えたリクエストには Retry-After と X-RateLimit-* ヘッダー付きで429を返します。
+ */
+
+/**
+ * 設定が不正な場合に投げるエラー（400として返す）
+ */
+class RateLimitConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RateLimitConfigError';
+  }
+}
+
+const ALGORITHMS = ['token-bucket', 'sliding-window'];
+const KEY_TYPES = ['ip', 'user', 'api-key'];
+
+/**
+ * トークンバケット
+ *
+ * 容量 limit のバケットに windowMs あたり limit 個のペースでトークンを補充し、
+ * 1リクエストごとに1トークン消費する（短時間のバーストを許容する）
+ */
+class TokenBucket {
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.refillPerMs = limit / windowMs;
+    this.tokens = limit;
+    this.updatedAt = Date.now();
+  }
+
+  take(now) {
+    this.tokens = Math.min(this.limit, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+    this.updatedAt = now;
+
+    const allowed = this.tokens >= 1;
+    if (allowed) {
+      this.tokens -= 1;
+    }
+
+    return {
+      allowed,
+      remaining: Math.floor(this.tokens),
+      // 満タンに戻るまでの時間
+      resetMs: Math.ceil((this.limit - this.tokens) / this.refillPerMs),
+      // 次の1トークンが補充されるまでの時間
+      retryAfterMs: allowed ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs)
+    };
+  }
+
+  isIdle(now) {
+    return this.tokens + (now - this.updatedAt) * this.refillPerMs >= this.limit;
+  }
+}
+
+/**
+ * スライディングウィンドウ（ログ方式）
+ *
+ * 直近 windowMs 内に受け付けたリクエストの時刻を保持し、limit 件までを許可する
+ */
+class SlidingWindow {
+  constructor(limit, windowMs) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.timestamps = [];
+  }
+
+  take(now) {
+    while (this.timestamps.length > 0 && this.timestamps[0] <= now - this.windowMs) {
+      this.timestamps.shift();
+    }
+
+    const allowed = this.timestamps.length < this.limit;
+    if (allowed) {
+      this.timestamps.push(now);
+    }
+
+    const oldest = this.timestamps[0];
+    const resetMs = oldest === undefined ? 0 : oldest + this.windowMs - now;
+
+    return {
+      allowed,
+      remaining: this.limit - this.timestamps.length,
+      resetMs,
+      // 最も古いリクエストがウィンドウから外れるまでの時間
+      retryAfterMs: allowed ? 0 : resetMs
+    };
+  }
+
+  isIdle(now) {
+    const newest = this.timestamps[this.timestamps.length - 1];
+    return newest === undefined || newest <= now - this.windowMs;
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {Object} config - configure() と同じ形式（limit が未指定なら無効）
+   */
+  constructor(config = {}) {
+    this.config = null;
+    this.buckets = new Map();
+
+    if (config.limit) {
+      this.configure(config);
+    }
+
+    // 使われなくなったキーを定期的に掃除（プロセス終了は妨げない）
+    setInterval(() => this.purgeIdle(), 60 * 1000).unref();
+  }
+
+  /**
+   * 設定を変更（既存のカウンターはリセットされる）
+   *
+   * @param {Object} config
+   * @param {number} config.limit - ウィンドウあたりの最大リクエスト数（バケット容量）
+   * @param {number} [config.windowMs] - ウィンドウの長さ（ms）
+   * @param {string} [config.algorithm] - "token-bucket" または "sliding-window"
+   * @param {string} [config.keyBy] - "ip"、"user"、"api-key"
+   * @param {string} [config.apiKeyHeader] - keyBy が "api-key" のときに使うヘッダー名
+   * @returns {Object} - 適用された設定
+   * @throws {RateLimitConfigError}
+   */
+  configure({
+    limit,
+    windowMs = 1000,
+    algorithm = 'token-bucket',
+    keyBy = 'ip',
+    apiKeyHeader = 'X-API-Key'
+  } = {}) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new RateLimitConfigError('limit は1以上の整数で指定してください');
+    }
+    if (!Number.isInteger(windowMs) || windowMs < 1) {
+      throw new RateLimitConfigError('windowMs は1以上の整数で指定してください');
+    }
+    if (!ALGORITHMS.includes(algorithm)) {
+      throw new RateLimitConfigError(`algorithm には ${ALGORITHMS.join(', ')} のいずれかを指定してください`);
+    }
+    if (!KEY_TYPES.includes(keyBy)) {
+      throw new RateLimitConfigError(`keyBy には ${KEY_TYPES.join(', ')} のいずれかを指定してください`);
+    }
+    if (typeof apiKeyHeader !== 'string' || apiKeyHeader === '') {
+      throw new RateLimitConfigError('apiKeyHeader はヘッダー名で指定してください');
+    }
+
+    this.config = { limit, windowMs, algorithm, keyBy, apiKeyHeader };
+    this.buckets.clear();
+    return this.config;
+  }
+
+  /**
+   * レートリミットを無効化
+   */
+  disable() {
+    this.config = null;
+    this.buckets.clear();
+  }
+
+  /**
+   * キーごとのカウンターで1リクエスト分を判定
+   *
+   * @param {string} key
+   * @returns {{ allowed: boolean, remaining: number, resetMs: number, retryAfterMs: number }}
+   */
+  take(key) {
+    const { limit, windowMs, algorithm } = this.config;
+    let bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      bucket = algorithm === 'token-bucket'
+        ? new TokenBucket(limit, windowMs)
+        : new SlidingWindow(limit, windowMs);
+      this.buckets.set(key, bucket);
+    }
+
+    return bucket.take(Date.now());
+  }
+
+  /**
+   * Expressミドルウェアを生成
+   *
+   * @param {Object} options
+   * @param {Array<string>} options.excludePaths - 制限しないパスの前方一致
+   * @param {Function} options.resolveUser - req からユーザーIDを返す関数（取得できなければnull）
+   * @returns {Function}
+   */
+  middleware({ excludePaths = [], resolveUser = () => null } = {}) {
+    return (req, res, next) => {
+      if (!this.config || excludePaths.some((prefix) => req.path.startsWith(prefix))) {
+        return next();
+      }
+
+      const key = this.resolveKey(req, resolveUser);
+      const result = this.take(key);
+
+      res.set('X-RateLimit-Limit', String(this.config.limit));
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+      res.set('X-RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+
+      if (!result.allowed) {
+        const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          error: 'リクエストが多すぎます。しばらく待ってから再試行してください',
+          retryAfter
+        });
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * 設定に応じてクライアントの識別キーを決める
+   *
+   * user / api-key で識別できない場合はIPアドレスにフォールバックする
+   */
+  resolveKey(req, resolveUser) {
+    const { keyBy, apiKeyHeader } = this.config;
+
+    if (keyBy === 'user') {
+      const user = resolveUser(req);
+      if (user) {
+        return `user:${user}`;
+      }
+    }
+    if (keyBy === 'api-key') {
+      const apiKey = req.get(apiKeyHeader);
+      if (apiKey) {
+        return `api-key:${apiKey}`;
+      }
+    }
+    return `ip:${req.ip}`;
+  }
+
+  purgeIdle() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.isIdle(now)) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { RateLimitConfigError, RateLimiter };
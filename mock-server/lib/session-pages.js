@@ -0,0 +1,114 @@
+const { CSRF_FIELD } = require('./session-store');
+
+/**
+ * ログイン画面のHTMLページ（セッションログイン /session/* と OAuth2 の /oauth/authorize）
+ *
+ * セッションログインのフォームには隠しフィールドで CSRF トークンを埋め込みます。
+ * k6 からは parseHTML() で input[name="csrf_token"] の value を取り出して送り返します。
+ */
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function layout(title, body) {
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>
+`;
+}
+
+function csrfInput(session) {
+  return `<input type="hidden" name="${CSRF_FIELD}" value="${escapeHtml(session.csrfToken)}">`;
+}
+
+/**
+ * ログインフォーム
+ *
+ * @param {Object} session - ログイン前のセッション
+ * @param {Object} [options]
+ * @param {string} [options.error] - 表示するエラーメッセージ
+ * @param {string} [options.username] - 入力済みのユーザー名
+ * @returns {string}
+ */
+function loginPage(session, { error = null, username = '' } = {}) {
+  return layout('ログイン', `  ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+  <form id="login-form" method="post" action="/session/login">
+    ${csrfInput(session)}
+    <label>ユーザー名 <input type="text" name="username" value="${escapeHtml(username)}" required></label>
+    <label>パスワード <input type="password" name="password" required></label>
+    <button type="submit">ログイン</button>
+  </form>`);
+}
+
+/**
+ * ログイン後のアカウントページ（プロフィール変更とログアウトのフォーム）
+ *
+ * @param {Object} session - ログイン済みのセッション
+ * @returns {string}
+ */
+function accountPage(session) {
+  return layout('アカウント', `  <p id="greeting">ようこそ、<span id="display-name">${escapeHtml(session.displayName)}</span> さん</p>
+  <dl>
+    <dt>ユーザー名</dt><dd id="username">${escapeHtml(session.username)}</dd>
+    <dt>セッションの有効期限</dt><dd id="expires-at">${new Date(session.expiresAt).toISOString()}</dd>
+  </dl>
+  <form id="profile-form" method="post" action="/session/profile">
+    ${csrfInput(session)}
+    <label>表示名 <input type="text" name="display_name" value="${escapeHtml(session.displayName)}" required></label>
+    <button type="submit">変更</button>
+  </form>
+  <form id="logout-form" method="post" action="/session/logout">
+    ${csrfInput(session)}
+    <button type="submit">ログアウト</button>
+  </form>`);
+}
+
+// 認可リクエストのうち、ログインフォームの隠しフィールドで引き継ぐパラメーター
+const AUTHORIZE_PARAMS = [
+  'response_type', 'client_id', 'redirect_uri', 'scope', 'state',
+  'code_challenge', 'code_challenge_method', 'nonce'
+];
+
+/**
+ * OAuth2 認可エンドポイントのログインフォーム
+ *
+ * 認可リクエストのパラメーターは隠しフィールドでそのまま POST /oauth/authorize に引き継ぐ
+ * （CSRF の対策は、クライアントが state を照合して行う）
+ *
+ * @param {Object} params - 認可リクエストのパラメーター
+ * @param {Object} [options]
+ * @param {string} [options.error] - 表示するエラーメッセージ
+ * @param {string} [options.username] - 入力済みのユーザー名
+ * @returns {string}
+ */
+function authorizePage(params, { error = null, username = '' } = {}) {
+  const hidden = AUTHORIZE_PARAMS
+    .filter((name) => typeof params[name] === 'string')
+    .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+    .join('\n    ');
+
+  return layout('ログイン', `  ${error ? `<p class="error" role="alert">${escapeHtml(error)}</p>` : ''}
+  <p id="client-id">${escapeHtml(params.client_id)} がアクセスを求めています（スコープ: <span id="scope">${escapeHtml(params.scope || 'openid')}</span>）</p>
+  <form id="authorize-form" method="post" action="/oauth/authorize">
+    ${hidden}
+    <label>ユーザー名 <input type="text" name="username" value="${escapeHtml(username)}" required></label>
+    <label>パスワード <input type="password" name="password" required></label>
+    <button type="submit">ログインして許可</button>
+  </form>`);
+}
+
+module.exports = { loginPage, accountPage, authorizePage };
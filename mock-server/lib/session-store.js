@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+
+/**
+ * Cookieによるサーバーセッションと CSRF トークン
+ *
+ * Bearerトークンではなく、サーバー側に状態を持つ古典的なWebアプリのログインを再現します。
+ * - セッションIDは HttpOnly の Cookie で渡し、中身（ユーザー・CSRFトークン）はサーバーのメモリに持つ
+ * - セッションは最後のアクセスから ttlSeconds 秒で期限切れになる（アクセスのたびに延長）
+ * - ログイン前にもセッションを作り、ログインフォームの CSRF トークンを発行する
+ * - ログインに成功するとセッションIDと CSRF トークンを作り直す（セッション固定攻撃の対策）
+ * - 状態を変えるリクエスト（POST / PUT / PATCH / DELETE）は、セッションの CSRF トークンが
+ *   フォームの csrf_token または X-CSRF-Token ヘッダーと一致しなければ403
+ */
+
+const COOKIE_NAME = 'sid';
+const CSRF_FIELD = 'csrf_token';
+const CSRF_HEADER = 'X-CSRF-Token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+class SessionConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SessionConfigError';
+  }
+}
+
+class CsrfError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CsrfError';
+  }
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Cookie ヘッダーから値を取り出す
+ */
+function readCookie(header, name) {
+  if (!header) {
+    return null;
+  }
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+    if (index !== -1 && pair.slice(0, index).trim() === name) {
+      // デコードできない値（%E0 など）は Cookie がないものとして扱う
+      try {
+        return decodeURIComponent(pair.slice(index + 1).trim());
+      } catch (e) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * 長さに左右されずに文字列を比較（タイミング攻撃の対策）
+ */
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(String(a)).digest();
+  const right = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+class SessionStore {
+  /**
+   * @param {Object} config - configure() と同じ形式
+   */
+  constructor(config = {}) {
+    // セッションID -> { id, csrfToken, username, displayName, createdAt, expiresAt }
+    this.sessions = new Map();
+    this.stats = { created: 0, loggedIn: 0, expired: 0, csrfRejected: 0 };
+    this.configure(config);
+
+    // 期限切れのセッションを定期的に掃除（プロセス終了は妨げない）
+    setInterval(() => this.purgeExpired(), 60 * 1000).unref();
+  }
+
+  /**
+   * 設定を変更（短くした場合は、既存のセッションの有効期限もすぐに縮める）
+   *
+   * @param {Object} config
+   * @param {number} [config.ttlSeconds] - 最後のアクセスからセッションが期限切れになるまでの秒数
+   * @returns {Object} - 適用された設定
+   * @throws {SessionConfigError}
+   */
+  configure({ ttlSeconds = 30 * 60 } = {}) {
+    if (!Number.isInteger(ttlSeconds) || ttlSeconds < 1) {
+      throw new SessionConfigError('ttlSeconds は1以上の整数で指定してください');
+    }
+    this.ttlMs = ttlSeconds * 1000;
+
+    const latest = Date.now() + this.ttlMs;
+    for (const session of this.sessions.values()) {
+      session.expiresAt = Math.min(session.expiresAt, latest);
+    }
+    return { ttlSeconds };
+  }
+
+  purgeExpired() {
+    const now = Date.now();
+    for (const [id, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(id);
+        this.stats.expired++;
+      }
+    }
+  }
+
+  /**
+   * 新しいセッションを作成し、Cookie を設定
+   *
+   * @param {Object} res
+   * @param {string|null} username - ログイン済みならユーザー名
+   * @returns {Object} - セッション
+   */
+  create(res, username = null) {
+    const id = randomToken();
+    const now = Date.now();
+    const session = {
+      id,
+      csrfToken: randomToken(),
+      username,
+      displayName: username,
+      createdAt: now,
+      expiresAt: now + this.ttlMs
+    };
+    this.sessions.set(id, session);
+    this.stats.created++;
+
+    // 有効期限はサーバー側で管理するため、Cookie はブラウザを閉じるまでのセッションCookieにする
+    res.cookie(COOKIE_NAME, id, { httpOnly: true, sameSite: 'lax', path: '/' });
+    return session;
+  }
+
+  /**
+   * ログインしたセッションに切り替える（古いセッションは破棄し、IDとCSRFトークンを作り直す）
+   *
+   * @param {Object} req
+   * @param {Object} res
+   * @param {string} username
+   * @returns {Object} - 新しいセッション
+   */
+  login(req, res, username) {
+    if (req.session) {
+      this.sessions.delete(req.session.id);
+    }
+    this.stats.loggedIn++;
+    req.session = this.create(res, username);
+    return req.session;
+  }
+
+  /**
+   * セッションを破棄し、Cookie を削除
+   *
+   * @param {Object} req
+   * @param {Object} res
+   */
+  destroy(req, res) {
+    if (req.session) {
+      this.sessions.delete(req.session.id);
+      req.session = null;
+    }
+    res.clearCookie(COOKIE_NAME, { path: '/' });
+  }
+
+  /**
+   * すべてのセッションを破棄（再ログインの負荷を再現する）
+   *
+   * @returns {number} - 破棄した件数
+   */
+  clear() {
+    const count = this.sessions.size;
+    this.sessions.clear();
+    return count;
+  }
+
+  /**
+   * 現在の状態
+   *
+   * @returns {Object}
+   */
+  status() {
+    let authenticated = 0;
+    for (const session of this.sessions.values()) {
+      if (session.username !== null) {
+        authenticated++;
+      }
+    }
+    return {
+      ttlSeconds: this.ttlMs / 1000,
+      active: this.sessions.size,
+      authenticated,
+      ...this.stats
+    };
+  }
+
+  /**
+   * CSRF トークンを検証
+   *
+   * @param {Object} req
+   * @throws {CsrfError}
+   */
+  verifyCsrf(req) {
+    const token = (req.body && req.body[CSRF_FIELD]) || req.get(CSRF_HEADER);
+    if (!req.session || !token || !safeEqual(token, req.session.csrfToken)) {
+      this.stats.csrfRejected++;
+      throw new CsrfError('CSRFトークンが無効です');
+    }
+  }
+
+  /**
+   * Cookie からセッションを読み込むExpressミドルウェア
+   *
+   * 有効なセッションがあれば req.session に設定して有効期限を延長する（なければnull）
+   *
+   * @returns {Function}
+   */
+  middleware() {
+    return (req, res, next) => {
+      const id = readCookie(req.headers.cookie, COOKIE_NAME);
+      const session = id ? this.sessions.get(id) : undefined;
+      const now = Date.now();
+
+      if (session && session.expiresAt <= now) {
+        this.sessions.delete(id);
+        this.stats.expired++;
+      }
+      if (session && session.expiresAt > now) {
+        session.expiresAt = now + this.ttlMs;
+        req.session = session;
+      } else {
+        req.session = null;
+      }
+      next();
+    };
+  }
+
+  /**
+   * 状態を変えるリクエストの CSRF トークンを検証するExpressミドルウェア
+   *
+   * ボディの解析のあと、ルートのハンドラーの直前に置く
+   *
+   * @returns {Function}
+   */
+  csrfProtection() {
+    return (req, res, next) => {
+      if (!SAFE_METHODS.includes(req.method)) {
+        this.verifyCsrf(req);
+      }
+      next();
+    };
+  }
+}
+
+module.exports = { SessionConfigError, CsrfError, SessionStore, CSRF_FIELD };
@@ -0,0 +1,271 @@
+/**
+ * ECサイトのドメイン（商品・カート・注文）
+ *
+ * 商品は在庫数を持ち、チェックアウト時に在庫を引き当てます。
+ * 在庫が足りない場合は注文全体を拒否するため（409）、
+ * 多数のVUが同じ商品を購入したときの在庫の奪い合いを再現できます。
+ *
+ * カートと注文はユーザー名（JWTの username）ごとに保持します。
+ */
+
+const CATEGORIES = ['本', '家電', '食品', 'ファッション', 'おもちゃ'];
+
+class ShopError extends Error {
+  /**
+   * @param {string} message
+   * @param {number} statusCode - レスポンスのHTTPステータス
+   * @param {Object} details - レスポンスに含める追加情報
+   */
+  constructor(message, statusCode = 400, details = undefined) {
+    super(message);
+    this.name = 'ShopError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class Shop {
+  /**
+   * @param {Object} options
+   * @param {number} options.productCount - 起動時に投入する商品数
+   * @param {number} options.initialStock - 各商品の初期在庫数
+   */
+  constructor({ productCount = 100, initialStock = 100 } = {}) {
+    this.products = new Map();
+    this.carts = new Map();
+    this.orders = new Map();
+    this.nextOrderId = 1;
+    this.seed(productCount, initialStock);
+  }
+
+  /**
+   * 初期データを投入
+   *
+   * @param {number} count - 商品数
+   * @param {number} stock - 各商品の在庫数
+   */
+  seed(count, stock) {
+    for (let id = 1; id <= count; id++) {
+      this.products.set(id, {
+        id,
+        name: `商品${id}`,
+        category: CATEGORIES[(id - 1) % CATEGORIES.length],
+        price: 500 + ((id * 317) % 50) * 100,
+        stock
+      });
+    }
+  }
+
+  /**
+   * 商品一覧を取得（ID昇順）
+   *
+   * @returns {Array<Object>}
+   */
+  listProducts() {
+    return Array.from(this.products.values());
+  }
+
+  /**
+   * IDで商品を取得
+   *
+   * @param {number} id
+   * @returns {Object|null}
+   */
+  getProduct(id) {
+    return this.products.get(id) || null;
+  }
+
+  /**
+   * 在庫数を変更（負荷テストの準備用）
+   *
+   * @param {number} id
+   * @param {number} stock
+   * @returns {Object} - 変更後の商品
+   * @throws {ShopError}
+   */
+  setStock(id, stock) {
+    const product = this.requireProduct(id);
+    if (!Number.isInteger(stock) || stock < 0) {
+      throw new ShopError('stock は0以上の整数で指定してください');
+    }
+    product.stock = stock;
+    return product;
+  }
+
+  /**
+   * カートの内容を取得
+   *
+   * @param {string} owner - ユーザー名
+   * @returns {Object} - { items, totalQuantity, totalPrice }
+   */
+  getCart(owner) {
+    return this.serializeCart(this.carts.get(owner) || new Map());
+  }
+
+  /**
+   * カートに商品を追加（すでにある場合は数量を加算）
+   *
+   * 在庫はチェックアウト時に引き当てるため、ここでは確認しない
+   *
+   * @param {string} owner
+   * @param {Object} item - { productId, quantity }
+   * @returns {Object} - 追加後のカート
+   * @throws {ShopError}
+   */
+  addToCart(owner, { productId, quantity = 1 } = {}) {
+    const product = this.requireProduct(productId);
+    this.validateQuantity(quantity);
+
+    const cart = this.cartOf(owner);
+    cart.set(product.id, (cart.get(product.id) || 0) + quantity);
+    return this.serializeCart(cart);
+  }
+
+  /**
+   * カート内の商品の数量を変更（0なら削除）
+   *
+   * @param {string} owner
+   * @param {number} productId
+   * @param {number} quantity
+   * @returns {Object} - 変更後のカート
+   * @throws {ShopError}
+   */
+  updateCartItem(owner, productId, quantity) {
+    const cart = this.cartOf(owner);
+    if (!cart.has(productId)) {
+      throw new ShopError('カートに商品がありません', 404);
+    }
+    if (quantity !== 0) {
+      this.validateQuantity(quantity);
+    }
+
+    if (quantity === 0) {
+      cart.delete(productId);
+    } else {
+      cart.set(productId, quantity);
+    }
+    return this.serializeCart(cart);
+  }
+
+  /**
+   * カートを空にする
+   *
+   * @param {string} owner
+   */
+  clearCart(owner) {
+    this.carts.delete(owner);
+  }
+
+  /**
+   * カートの内容で注文を確定
+   *
+   * すべての商品の在庫を確認してから引き当てる。1つでも足りなければ
+   * 在庫は一切減らさずに409を返す（カートはそのまま残る）
+   *
+   * @param {string} owner
+   * @returns {Object} - 作成した注文
+   * @throws {ShopError}
+   */
+  checkout(owner) {
+    const cart = this.carts.get(owner);
+    if (!cart || cart.size === 0) {
+      throw new ShopError('カートが空です');
+    }
+
+    const shortages = [];
+    for (const [productId, quantity] of cart) {
+      const product = this.products.get(productId);
+      if (product.stock < quantity) {
+        shortages.push({ productId, requested: quantity, available: product.stock });
+      }
+    }
+    if (shortages.length > 0) {
+      throw new ShopError('在庫が不足しています', 409, { shortages });
+    }
+
+    const items = [];
+    for (const [productId, quantity] of cart) {
+      const product = this.products.get(productId);
+      product.stock -= quantity;
+      items.push({ productId, name: product.name, price: product.price, quantity });
+    }
+
+    const order = {
+      id: this.nextOrderId++,
+      owner,
+      items,
+      totalPrice: items.reduce((sum, item) => sum + item.price * item.quantity, 0),
+      status: 'confirmed',
+      createdAt: new Date().toISOString()
+    };
+    this.orders.set(order.id, order);
+    this.carts.delete(owner);
+    return order;
+  }
+
+  /**
+   * 注文履歴を取得（新しい順）
+   *
+   * @param {string} owner
+   * @returns {Array<Object>}
+   */
+  listOrders(owner) {
+    return Array.from(this.orders.values())
+      .filter((order) => order.owner === owner)
+      .reverse();
+  }
+
+  /**
+   * 注文を取得（他のユーザーの注文は存在しないものとして扱う）
+   *
+   * @param {string} owner
+   * @param {number} id
+   * @returns {Object|null}
+   */
+  getOrder(owner, id) {
+    const order = this.orders.get(id);
+    return order && order.owner === owner ? order : null;
+  }
+
+  /**
+   * 商品を取得し、存在しなければ404
+   */
+  requireProduct(id) {
+    const product = this.products.get(id);
+    if (!product) {
+      throw new ShopError('商品が見つかりません', 404);
+    }
+    return product;
+  }
+
+  validateQuantity(quantity) {
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new ShopError('quantity は1以上の整数で指定してください');
+    }
+  }
+
+  cartOf(owner) {
+    if (!this.carts.has(owner)) {
+      this.carts.set(owner, new Map());
+    }
+    return this.carts.get(owner);
+  }
+
+  /**
+   * レスポンス用にカートを変換
+   */
+  serializeCart(cart) {
+    const items = Array.from(cart, ([productId, quantity]) => {
+      const product = this.products.get(productId);
+      return { productId, name: product.name, price: product.price, quantity };
+    });
+
+    return {
+      items,
+      totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
+      totalPrice: items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+    };
+  }
+}
+
+module.exports = { ShopError, Shop };
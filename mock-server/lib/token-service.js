@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * アクセストークン・リフレッシュトークンの発行と失効管理
+ *
+ * ログインごとに「セッション」を作り、アクセストークン（JWT）には
+ * セッションID（sid）を含めます。リフレッシュトークンは使い捨てで、
+ * 使うたびに新しいトークンへローテーションします。
+ * 使用済みのリフレッシュトークンが再送された場合は漏洩とみなし、
+ * セッションごと失効させます。
+ */
+
+/**
+ * トークンが無効な場合に投げるエラー（401として返す）
+ */
+class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+class TokenService {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - JWTの署名鍵
+   * @param {number} options.accessTokenTtl - アクセストークンの有効期間（秒）
+   * @param {number} options.refreshTokenTtl - リフレッシュトークンの有効期間（秒）
+   */
+  constructor({ secret, accessTokenTtl, refreshTokenTtl }) {
+    this.secret = secret;
+    this.accessTokenTtl = accessTokenTtl;
+    this.refreshTokenTtl = refreshTokenTtl;
+
+    // sid -> { userId, username, refreshToken, expiresAt, revoked }
+    this.sessions = new Map();
+    // リフレッシュトークン -> sid（使用済みのトークンも再利用検知のため保持）
+    this.refreshTokens = new Map();
+
+    // 期限切れのセッションを定期的に掃除（プロセス終了は妨げない）
+    setInterval(() => this.purgeExpired(), 60 * 1000).unref();
+  }
+
+  /**
+   * 新しいセッションを作成してトークンを発行
+   *
+   * @param {Object} user - { userId, username }
+   * @returns {Object} - レスポンス用のトークン情報
+   */
+  issue({ userId, username }) {
+    const sid = crypto.randomUUID();
+    this.sessions.set(sid, {
+      userId,
+      username,
+      refreshToken: null,
+      expiresAt: Date.now() + this.refreshTokenTtl * 1000,
+      revoked: false
+    });
+    return this.rotate(sid);
+  }
+
+  /**
+   * アクセストークンを検証
+   *
+   * @param {string} token
+   * @returns {Object} - デコード済みのペイロード
+   * @throws {TokenError}
+   */
+  verifyAccessToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.secret);
+    } catch (error) {
+      throw new TokenError(
+        error.name === 'TokenExpiredError' ? 'トークンの有効期限が切れています' : 'トークンが無効です'
+      );
+    }
+
+    const session = this.sessions.get(decoded.sid);
+    if (!session || session.revoked) {
+      throw new TokenError('トークンは失効しています');
+    }
+    return decoded;
+  }
+
+  /**
+   * リフレッシュトークンを使って新しいトークンを発行（ローテーション）
+   *
+   * @param {string} refreshToken
+   * @returns {Object} - レスポンス用のトークン情報
+   * @throws {TokenError}
+   */
+  refresh(refreshToken) {
+    const sid = this.refreshTokens.get(refreshToken);
+    const session = sid && this.sessions.get(sid);
+
+    if (!session || session.revoked) {
+      throw new TokenError('リフレッシュトークンが無効です');
+    }
+    if (session.expiresAt <= Date.now()) {
+      this.revoke(sid);
+      throw new TokenError('リフレッシュトークンの有効期限が切れています');
+    }
+    if (session.refreshToken !== refreshToken) {
+      // ローテーション済みのトークンが再利用された
+      this.revoke(sid);
+      throw new TokenError('使用済みのリフレッシュトークンです。セッションを失効させました');
+    }
+
+    return this.rotate(sid);
+  }
+
+  /**
+   * セッションを失効させる（アクセストークン・リフレッシュトークンとも無効になる）
+   *
+   * @param {string} sid
+   */
+  revoke(sid) {
+    const session = this.sessions.get(sid);
+    if (session) {
+      session.revoked = true;
+    }
+  }
+
+  /**
+   * セッションに新しいトークンの組を発行
+   */
+  rotate(sid) {
+    const session = this.sessions.get(sid);
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+
+    session.refreshToken = refreshToken;
+    this.refreshTokens.set(refreshToken, sid);
+
+    const token = jwt.sign(
+      { userId: session.userId, username: session.username, sid },
+      this.secret,
+      { expiresIn: this.accessTokenTtl, jwtid: crypto.randomUUID() }
+    );
+
+    return {
+      token,
+      tokenType: 'Bearer',
+      expiresIn: this.accessTokenTtl,
+      refreshToken,
+      refreshExpiresIn: Math.max(0, Math.floor((session.expiresAt - Date.now()) / 1000))
+    };
+  }
+
+  /**
+   * 期限切れのセッションとリフレッシュトークンを削除
+   */
+  purgeExpired() {
+    const now = Date.now();
+    for (const [token, sid] of this.refreshTokens) {
+      const session = this.sessions.get(sid);
+      if (!session || session.expiresAt <= now) {
+        this.refreshTokens.delete(token);
+      }
+    }
+    for (const [sid, session] of this.sessions) {
+      if (session.expiresAt <= now) {
+        this.sessions.delete(sid);
+      }
+    }
+  }
+}
+
+module.exports = { TokenError, TokenService };
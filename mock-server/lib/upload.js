@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const multer = require('multer');
+
+/**
+ * ファイルアップロードの解析と検証
+ *
+ * multipart/form-data と JSON（content を文字列またはbase64で送る形式）の
+ * 両方を受け付け、実際に受信したファイル名・バイト数・Content-Type・SHA-256を返します。
+ */
+
+/**
+ * アップロードが不正な場合に投げるエラー
+ *
+ * statusCode はレスポンスのステータスコード（400、413 など）
+ */
+class UploadError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * 受信したバイト列からアップロード結果を組み立てる
+ *
+ * @param {Buffer} buffer
+ * @param {Object} meta - { filename, contentType }
+ * @returns {Object}
+ */
+function describe(buffer, { filename, contentType }) {
+  return {
+    filename,
+    size: buffer.length,
+    contentType,
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+}
+
+/**
+ * multipart/form-data を解析するミドルウェアを生成
+ *
+ * ファイルは "file" フィールドで1つだけ受け付け、メモリ上に保持する。
+ * 上限を超えた場合は413、それ以外の解析エラーは400として next() に渡す
+ *
+ * @param {Object} options
+ * @param {number} options.maxBytes - ファイルサイズの上限
+ * @returns {Function}
+ */
+function multipartParser({ maxBytes }) {
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 }
+  }).single('file');
+
+  return (req, res, next) => {
+    parse(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+      if (error instanceof multer.MulterError) {
+        return next(error.code === 'LIMIT_FILE_SIZE'
+          ? new UploadError(`ファイルサイズが上限（${maxBytes} bytes）を超えています`, 413)
+          : new UploadError(`マルチパートの解析に失敗しました: ${error.message}`));
+      }
+      next(new UploadError(`マルチパートの解析に失敗しました: ${error.message}`));
+    });
+  };
+}
+
+/**
+ * multipart で受信したファイルを検証
+ *
+ * @param {Object} file - multer が設定した req.file
+ * @returns {Object} - アップロード結果
+ * @throws {UploadError}
+ */
+function fromMultipart(file) {
+  if (!file) {
+    throw new UploadError('file フィールドが必要です');
+  }
+
+  return describe(file.buffer, {
+    filename: file.originalname,
+    contentType: file.mimetype
+  });
+}
+
+/**
+ * JSON で受信したファイルを検証
+ *
+ * body の形式:
+ *   { filename, content, encoding?: "utf8" | "base64", contentType?, size?, sha256? }
+ * size や sha256 を指定した場合は受信内容と一致するかを確認する
+ *
+ * @param {Object} body
+ * @param {Object} options
+ * @param {number} options.maxBytes - ファイルサイズの上限
+ * @returns {Object} - アップロード結果
+ * @throws {UploadError}
+ */
+function fromJson(body, { maxBytes }) {
+  const { filename, content, encoding = 'utf8', contentType = 'text/plain', size, sha256 } = body || {};
+
+  if (!filename || typeof content !== 'string') {
+    throw new UploadError('filename と content は必須です');
+  }
+  if (encoding !== 'utf8' && encoding !== 'base64') {
+    throw new UploadError('encoding には utf8 または base64 を指定してください');
+  }
+
+  const buffer = Buffer.from(content, encoding);
+  if (buffer.length > maxBytes) {
+    throw new UploadError(`ファイルサイズが上限（${maxBytes} bytes）を超えています`, 413);
+  }
+
+  const result = describe(buffer, { filename, contentType });
+
+  if (size !== undefined && size !== result.size) {
+    throw new UploadError(`size が一致しません（指定: ${size}, 受信: ${result.size}）`);
+  }
+  if (sha256 !== undefined && sha256 !== result.sha256) {
+    throw new UploadError('sha256 が一致しません');
+  }
+
+  return result;
+}
+
+module.exports = {
+  UploadError,
+  multipartParser,
+  fromMultipart,
+  fromJson
+};
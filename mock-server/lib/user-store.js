@@ -0,0 +1,145 @@
+/**
+ * インメモリのユーザーストア
+ *
+ * /api/users のCRUDエンドポイントが共有する状態を保持します。
+ * サーバープロセスが生きている間だけデータが残り、再起動で初期化されます。
+ */
+
+// 起動時に投入するユーザー（既存シナリオが参照する先頭のID）
+const DEFAULT_USERS = [
+  { name: '田中太郎', email: 'tanaka@example.com' },
+  { name: '佐藤花子', email: 'sato@example.com' },
+  { name: '鈴木一郎', email: 'suzuki@example.com' }
+];
+
+class UserStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.seedCount - 起動時に投入するユーザー数
+   */
+  constructor({ seedCount = DEFAULT_USERS.length } = {}) {
+    this.users = new Map();
+    this.nextId = 1;
+    // 一覧の Last-Modified に使う、最後に作成・更新・削除した日時
+    this.modifiedAt = new Date();
+    this.seed(seedCount);
+  }
+
+  /**
+   * 初期データを投入
+   *
+   * DEFAULT_USERS を先頭に使い、足りない分は連番のユーザーで埋める。
+   * createdAt でのソートが意味を持つよう、作成日時は1分ずつずらす
+   *
+   * @param {number} count - 投入するユーザー数
+   */
+  seed(count) {
+    const baseTime = Date.now() - count * 60 * 1000;
+
+    for (let i = 0; i < count; i++) {
+      const id = this.nextId;
+      const user = this.create(DEFAULT_USERS[i] || {
+        name: `ユーザー${id}`,
+        email: `user${id}@example.com`
+      });
+      user.createdAt = user.updatedAt = new Date(baseTime + i * 60 * 1000).toISOString();
+    }
+  }
+
+  /**
+   * ユーザー一覧を取得（ID昇順）
+   *
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.users.values());
+  }
+
+  /**
+   * 登録件数
+   *
+   * @returns {number}
+   */
+  count() {
+    return this.users.size;
+  }
+
+  /**
+   * 最後に作成・更新・削除した日時
+   *
+   * @returns {Date}
+   */
+  lastModified() {
+    return this.modifiedAt;
+  }
+
+  /**
+   * IDでユーザーを取得
+   *
+   * @param {number} id
+   * @returns {Object|null} - 存在しない場合はnull
+   */
+  get(id) {
+    return this.users.get(id) || null;
+  }
+
+  /**
+   * ユーザーを作成
+   *
+   * @param {Object} attrs - { name, email }
+   * @returns {Object} - 作成したユーザー
+   */
+  create({ name, email }) {
+    const now = new Date().toISOString();
+    const user = {
+      id: this.nextId++,
+      name,
+      email,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.users.set(user.id, user);
+    this.modifiedAt = new Date(now);
+    return user;
+  }
+
+  /**
+   * ユーザーを更新（指定されたフィールドのみ上書き）
+   *
+   * @param {number} id
+   * @param {Object} attrs - { name, email }
+   * @returns {Object|null} - 更新後のユーザー、存在しない場合はnull
+   */
+  update(id, { name, email }) {
+    const user = this.users.get(id);
+    if (!user) {
+      return null;
+    }
+
+    const updated = {
+      ...user,
+      name: name || user.name,
+      email: email || user.email,
+      updatedAt: new Date().toISOString()
+    };
+    this.users.set(id, updated);
+    this.modifiedAt = new Date(updated.updatedAt);
+    return updated;
+  }
+
+  /**
+   * ユーザーを削除
+   *
+   * @param {number} id
+   * @returns {boolean} - 削除できた場合はtrue
+   */
+  remove(id) {
+    const removed = this.users.delete(id);
+    if (removed) {
+      this.modifiedAt = new Date();
+    }
+    return removed;
+  }
+}
+
+module.exports = { UserStore };
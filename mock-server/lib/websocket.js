@@ -0,0 +1,164 @@
+const { WebSocketServer } = require('ws');
+
+/**
+ * WebSocketエンドポイント
+ *
+ * 3種類のチャンネルを提供します。
+ * - /ws/echo          受信したメッセージをそのまま返す（往復レイテンシの測定用）
+ * - /ws/rooms/:room   同じルームの全員にメッセージを配信する（チャット想定）
+ * - /ws/ticker        サーバーから一定間隔でメッセージを送り続ける（?interval=ミリ秒）
+ */
+
+const MIN_TICK_INTERVAL_MS = 10;
+const DEFAULT_TICK_INTERVAL_MS = 1000;
+
+/**
+ * JSONとして送信
+ */
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * エコー: 受信したメッセージをそのまま返す
+ *
+ * 各チャンネルのハンドラーは、切断時の後片付けをする関数を返す
+ */
+function handleEcho(socket) {
+  socket.on('message', (data, isBinary) => {
+    socket.send(data, { binary: isBinary });
+  });
+  return () => {};
+}
+
+/**
+ * ルーム: 同じルームに接続している全員（送信者を含む）に配信する
+ *
+ * 送信するメッセージ: { text, sentAt? }
+ * 配信されるメッセージ: { type: "message", room, from, text, sentAt, serverTime }
+ */
+function handleRoom(socket, room, rooms, clientId) {
+  if (!rooms.has(room)) {
+    rooms.set(room, new Set());
+  }
+  const members = rooms.get(room);
+  members.add(socket);
+
+  const broadcast = (message) => {
+    for (const member of members) {
+      send(member, message);
+    }
+  };
+
+  broadcast({ type: 'join', room, clientId, members: members.size, serverTime: Date.now() });
+
+  socket.on('message', (data) => {
+    let payload;
+    try {
+      payload = JSON.parse(data.toString());
+    } catch (e) {
+      return send(socket, { type: 'error', error: 'JSON形式で送信してください' });
+    }
+    // null や配列・数値などはメッセージとして扱わない
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+      return send(socket, { type: 'error', error: 'JSONオブジェクトで送信してください' });
+    }
+
+    broadcast({
+      type: 'message',
+      room,
+      from: clientId,
+      text: payload.text,
+      sentAt: payload.sentAt,
+      serverTime: Date.now()
+    });
+  });
+
+  return () => {
+    members.delete(socket);
+    if (members.size === 0) {
+      rooms.delete(room);
+      return;
+    }
+    broadcast({ type: 'leave', room, clientId, members: members.size, serverTime: Date.now() });
+  };
+}
+
+/**
+ * ティッカー: 一定間隔でサーバーからメッセージを送り続ける
+ *
+ * 配信されるメッセージ: { type: "tick", seq, serverTime }
+ */
+function handleTicker(socket, intervalMs) {
+  let seq = 0;
+  const timer = setInterval(() => {
+    send(socket, { type: 'tick', seq: ++seq, serverTime: Date.now() });
+  }, intervalMs);
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * HTTPサーバーにWebSocketのエンドポイントを追加
+ *
+ * @param {http.Server} server
+ * @returns {WebSocketServer}
+ */
+function attachWebSocketServer(server) {
+  const wss = new WebSocketServer({ noServer: true });
+  const rooms = new Map();
+  let nextClientId = 1;
+
+  server.on('upgrade', (req, socket, head) => {
+    // 'upgrade' の中で投げた例外はプロセスを落とすため、不正なURLはここで400にする
+    let url;
+    let room;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      const roomMatch = url.pathname.match(/^\/ws\/rooms\/([^/]+)$/);
+      room = roomMatch ? decodeURIComponent(roomMatch[1]) : null;
+    } catch (e) {
+      socket.write('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return socket.destroy();
+    }
+
+    let handler;
+    if (url.pathname === '/ws/echo') {
+      handler = (ws) => handleEcho(ws);
+    } else if (room !== null) {
+      handler = (ws) => handleRoom(ws, room, rooms, nextClientId++);
+    } else if (url.pathname === '/ws/ticker') {
+      const interval = Math.max(
+        MIN_TICK_INTERVAL_MS,
+        parseInt(url.searchParams.get('interval')) || DEFAULT_TICK_INTERVAL_MS
+      );
+      handler = (ws) => handleTicker(ws, interval);
+    } else {
+      socket.write('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return socket.destroy();
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const cleanup = handler(ws);
+      let closed = false;
+      const onClose = () => {
+        if (!closed) {
+          closed = true;
+          cleanup();
+        }
+      };
+      ws.on('close', onClose);
+      // ws は 'error' のリスナーがないと例外を投げてプロセスを落とす（不正なUTF-8のフレームなど）
+      ws.on('error', () => {
+        onClose();
+        ws.terminate();
+      });
+    });
+  });
+
+  return wss;
+}
+
+module.exports = { attachWebSocketServer };
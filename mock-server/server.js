@@ -1,48 +1,252 @@
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
-const jwt = require('jsonwebtoken');
+const { UserStore } = require('./lib/user-store');
+const { QueryError, paginate, buildLinkHeader } = require('./lib/pagination');
+const { TokenError, TokenService } = require('./lib/token-service');
+const { FaultRuleError, FaultInjector } = require('./lib/fault-injector');
+const { RateLimitConfigError, RateLimiter } = require('./lib/rate-limiter');
+const { UploadError, multipartParser, fromMultipart, fromJson } = require('./lib/upload');
+const { ChunkedUploadStore } = require('./lib/chunked-upload');
+const { attachWebSocketServer } = require('./lib/websocket');
+const { createGraphQLHandler } = require('./lib/graphql');
+const { startGrpcServer } = require('./lib/grpc-server');
+const { MetricsCollector } = require('./lib/metrics');
+const { LatencyDistributionError, sampleLatency } = require('./lib/latency-distribution');
+const { ShopError, Shop } = require('./lib/shop');
+const { CapacityConfigError, CapacityLimiter } = require('./lib/capacity-limiter');
+const { LeakConfigError, LeakSimulator } = require('./lib/leak-simulator');
+const { DeclarativeRoutes } = require('./lib/declarative-routes');
+const { OpenApiValidator } = require('./lib/openapi-validator');
+const { HarConfigError, HarRecorder } = require('./lib/har-recorder');
+const { NetworkChaosError, parseChaosOptions, applyChaos } = require('./lib/network-chaos');
+const { IdempotencyStore } = require('./lib/idempotency');
+const { CacheConfigError, HttpCache } = require('./lib/http-cache');
+const { PayloadError, parsePayloadOptions, sendLargePayload } = require('./lib/large-payload');
+const { SessionConfigError, CsrfError, SessionStore } = require('./lib/session-store');
+const { loginPage, accountPage, authorizePage } = require('./lib/session-pages');
+const { OAuthError, OAuthServer } = require('./lib/oauth-server');
+const { asyncHandler } = require('./lib/async-handler');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const GRPC_PORT = process.env.GRPC_PORT || 50051;
 const JWT_SECRET = 'k6-test-secret-key';
+const UPLOAD_MAX_BYTES = parseInt(process.env.UPLOAD_MAX_BYTES) || 10 * 1024 * 1024; // 10MB
+const CHUNKED_UPLOAD_MAX_BYTES = parseInt(process.env.CHUNKED_UPLOAD_MAX_BYTES) || 100 * 1024 * 1024; // 100MB
+const PAYLOAD_STREAM_THRESHOLD = parseInt(process.env.PAYLOAD_STREAM_THRESHOLD) || 10000; // これを超える size はストリーミング
+
+// ユーザーデータ（インメモリ、再起動で初期化）
+const userStore = new UserStore({
+  seedCount: parseInt(process.env.USER_SEED_COUNT) || 1000
+});
+
+// トークン管理（有効期間は秒で指定）
+const tokenService = new TokenService({
+  secret: JWT_SECRET,
+  accessTokenTtl: parseInt(process.env.ACCESS_TOKEN_TTL) || 3600,
+  refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL) || 86400
+});
+
+// OAuth2 / OpenID Connect の認可サーバー（署名鍵は起動ごとに生成、/admin/oauth でローテーション）
+const oauthServer = new OAuthServer({
+  accessTokenTtl: parseInt(process.env.OAUTH_ACCESS_TOKEN_TTL) || 300
+});
+
+// ECサイトの商品・カート・注文（インメモリ、再起動で初期化）
+const shop = new Shop({
+  productCount: parseInt(process.env.PRODUCT_COUNT) || 100,
+  initialStock: parseInt(process.env.PRODUCT_INITIAL_STOCK) || 100
+});
+
+// 分割アップロードのセッション
+const chunkedUploads = new ChunkedUploadStore({ maxBytes: CHUNKED_UPLOAD_MAX_BYTES });
+
+// 設定ファイルで定義するルート（ROUTES_FILE 未指定なら無効、変更を検知して読み込み直す）
+const declarativeRoutes = new DeclarativeRoutes({ file: process.env.ROUTES_FILE });
+
+// API仕様（/openapi.json で公開、OPENAPI_VALIDATION=true でリクエスト・レスポンスを検証）
+const openApi = new OpenApiValidator({ file: path.join(__dirname, 'openapi.yaml') });
+const OPENAPI_VALIDATION = process.env.OPENAPI_VALIDATION === 'true';
+
+// 障害注入ルール（/admin/faults で実行中に変更）
+const faultInjector = new FaultInjector();
+
+// レートリミット（RATE_LIMIT 未指定なら無効、/admin/rate-limit で実行中に変更）
+const rateLimiter = new RateLimiter({
+  limit: parseInt(process.env.RATE_LIMIT) || null,
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || undefined,
+  algorithm: process.env.RATE_LIMIT_ALGORITHM,
+  keyBy: process.env.RATE_LIMIT_KEY_BY,
+  apiKeyHeader: process.env.RATE_LIMIT_API_KEY_HEADER
+});
+
+// 同時処理数の上限（CAPACITY_WORKERS 未指定なら無効、/admin/capacity で実行中に変更）
+const capacityLimiter = new CapacityLimiter({
+  workers: parseInt(process.env.CAPACITY_WORKERS) || null,
+  queueSize: process.env.CAPACITY_QUEUE_SIZE !== undefined ? parseInt(process.env.CAPACITY_QUEUE_SIZE) : undefined,
+  serviceTimeMs: process.env.CAPACITY_SERVICE_TIME_MS !== undefined ? parseInt(process.env.CAPACITY_SERVICE_TIME_MS) : undefined,
+  queueTimeoutMs: parseInt(process.env.CAPACITY_QUEUE_TIMEOUT_MS) || undefined
+});
+
+// リソースリークの再現（LEAK_MODES 未指定なら無効、/admin/leaks で実行中に変更）
+const leakSimulator = new LeakSimulator({
+  modes: process.env.LEAK_MODES ? process.env.LEAK_MODES.split(',').map((mode) => mode.trim()) : [],
+  heapBytesPerRequest: parseInt(process.env.LEAK_HEAP_BYTES_PER_REQUEST) || undefined,
+  latencyStepMs: parseInt(process.env.LEAK_LATENCY_STEP_MS) || undefined,
+  latencyEveryRequests: parseInt(process.env.LEAK_LATENCY_EVERY_REQUESTS) || undefined,
+  poolSize: parseInt(process.env.LEAK_POOL_SIZE) || undefined,
+  poolLeakEveryRequests: parseInt(process.env.LEAK_POOL_LEAK_EVERY_REQUESTS) || undefined
+});
+
+// リクエスト・レスポンスのHAR記録（HAR_RECORD=true で起動時から記録、/admin/recording で実行中に変更）
+const harRecorder = new HarRecorder({
+  file: process.env.HAR_FILE,
+  record: process.env.HAR_RECORD === 'true',
+  paths: process.env.HAR_RECORD_PATHS ? process.env.HAR_RECORD_PATHS.split(',').map((pattern) => pattern.trim()) : undefined,
+  header: process.env.HAR_RECORD_HEADER || undefined,
+  headerValue: process.env.HAR_RECORD_HEADER_VALUE || undefined,
+  maxEntries: parseInt(process.env.HAR_MAX_ENTRIES) || undefined,
+  maxBodyBytes: process.env.HAR_MAX_BODY_BYTES !== undefined ? parseInt(process.env.HAR_MAX_BODY_BYTES) : undefined
+});
+
+// Idempotency-Key による再送の重複排除（作成・アップロード・注文確定のルートで使用）
+const idempotency = new IdempotencyStore({
+  ttlMs: (parseInt(process.env.IDEMPOTENCY_TTL_SECONDS) || 24 * 60 * 60) * 1000
+});
+
+// Cookieによるサーバーセッション（/session/*、/admin/sessions で実行中に変更）
+const sessionStore = new SessionStore({
+  ttlSeconds: parseInt(process.env.SESSION_TTL_SECONDS) || undefined
+});
+
+// 読み取り系ルートの ETag / Last-Modified と Cache-Control（/admin/cache で実行中に変更）
+const httpCache = new HttpCache({
+  cacheControl: process.env.CACHE_CONTROL || undefined
+});
+
+// サーバー側のメトリクス（/metrics でPrometheus形式で公開）
+const metrics = new MetricsCollector();
 
 // ミドルウェア
+// 429や障害注入のレスポンスも計測できるよう、メトリクスを最初に登録する
+app.use(metrics.middleware({ excludePaths: ['/metrics'] }));
+// ボディを読み出す前に登録する（express.json() や multer が読んだ内容も記録できるように）
+app.use(harRecorder.middleware({ excludePaths: ['/metrics', '/admin'] }));
 app.use(cors());
-app.use(express.json());
+// JSONアップロード（base64）もファイル上限まで受け付けられるよう、ボディ上限を合わせる
+app.use(express.json({ limit: Math.ceil(UPLOAD_MAX_BYTES * 4 / 3) + 1024 * 1024 }));
 app.use(morgan('combined'));
+app.use(rateLimiter.middleware({
+  excludePaths: ['/health', '/metrics', '/admin'],
+  resolveUser: (req) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return null;
+    }
+    try {
+      return tokenService.verifyAccessToken(authHeader.substring(7)).username;
+    } catch (error) {
+      return null;
+    }
+  }
+}));
+// 長時間つながり続けるSSEはワーカーを占有しないよう除外する
+app.use(capacityLimiter.middleware({ excludePaths: ['/health', '/metrics', '/admin', '/api/events'] }));
+app.use(leakSimulator.middleware({ excludePaths: ['/health', '/metrics', '/admin'] }));
+app.use(faultInjector.middleware({ excludePaths: ['/metrics', '/admin'] }));
+// 障害注入などで返したレスポンスは仕様の対象外のため、最後に登録する
+if (OPENAPI_VALIDATION) {
+  app.use(openApi.middleware({ excludePaths: ['/metrics'] }));
+}
+
+/**
+ * Bearerトークンを検証するミドルウェア
+ *
+ * 検証に成功すると req.auth にトークンのペイロードを設定する
+ */
+function authenticate(req, res, next) {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({
+      success: false,
+      error: '認証トークンが必要です'
+    });
+  }
+
+  try {
+    req.auth = tokenService.verifyAccessToken(authHeader.substring(7));
+    next();
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+}
 
 // ヘルスチェック
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Prometheusメトリクス
+app.get('/metrics', metrics.handler());
+
+// API仕様（OpenAPI 3.1）
+app.get('/openapi.json', (req, res) => {
+  res.json(openApi.document);
+});
+
 // ===== 基本的なRESTエンドポイント =====
 
-// ユーザー一覧取得
-app.get('/api/users', (req, res) => {
-  const users = [
-    { id: 1, name: '田中太郎', email: 'tanaka@example.com' },
-    { id: 2, name: '佐藤花子', email: 'sato@example.com' },
-    { id: 3, name: '鈴木一郎', email: 'suzuki@example.com' }
-  ];
-  res.json({ success: true, data: users });
+// ユーザー一覧取得（ページネーション・ソート・フィルタ対応、条件付きGET対応）
+app.get('/api/users', httpCache.middleware(), (req, res) => {
+  let result;
+  try {
+    result = paginate(userStore.list(), req.query, {
+      sortFields: ['id', 'name', 'email', 'createdAt', 'updatedAt'],
+      filterFields: ['name', 'email']
+    });
+  } catch (error) {
+    if (error instanceof QueryError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+
+  const baseUrl = `${req.protocol}://${req.get('host')}${req.path}`;
+  res.set('X-Total-Count', String(result.pagination.total));
+  res.set('Link', buildLinkHeader(baseUrl, req.query, result.links));
+  res.locals.lastModified = userStore.lastModified();
+
+  res.json({
+    success: true,
+    count: result.data.length,
+    data: result.data,
+    pagination: result.pagination
+  });
 });
 
-// ユーザー詳細取得
-app.get('/api/users/:id', (req, res) => {
-  const userId = parseInt(req.params.id);
-  const user = {
-    id: userId,
-    name: `ユーザー${userId}`,
-    email: `user${userId}@example.com`,
-    createdAt: new Date().toISOString()
-  };
+// ユーザー詳細取得（条件付きGET対応）
+app.get('/api/users/:id', httpCache.middleware(), (req, res) => {
+  const user = userStore.get(parseInt(req.params.id));
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: 'ユーザーが見つかりません'
+    });
+  }
+
+  res.locals.lastModified = user.updatedAt;
   res.json({ success: true, data: user });
 });
 
-// ユーザー作成
-app.post('/api/users', (req, res) => {
+// ユーザー作成（Idempotency-Key で再送を重複排除）
+app.post('/api/users', idempotency.middleware(), (req, res) => {
   const { name, email } = req.body;
 
   if (!name || !email) {
@@ -52,27 +256,22 @@ app.post('/api/users', (req, res) => {
     });
   }
 
-  const newUser = {
-    id: Math.floor(Math.random() * 10000),
-    name,
-    email,
-    createdAt: new Date().toISOString()
-  };
+  const newUser = userStore.create({ name, email });
 
   res.status(201).json({ success: true, data: newUser });
 });
 
 // ユーザー更新
 app.put('/api/users/:id', (req, res) => {
-  const userId = parseInt(req.params.id);
   const { name, email } = req.body;
+  const updatedUser = userStore.update(parseInt(req.params.id), { name, email });
 
-  const updatedUser = {
-    id: userId,
-    name: name || `ユーザー${userId}`,
-    email: email || `user${userId}@example.com`,
-    updatedAt: new Date().toISOString()
-  };
+  if (!updatedUser) {
+    return res.status(404).json({
+      success: false,
+      error: 'ユーザーが見つかりません'
+    });
+  }
 
   res.json({ success: true, data: updatedUser });
 });
@@ -80,6 +279,14 @@ app.put('/api/users/:id', (req, res) => {
 // ユーザー削除
 app.delete('/api/users/:id', (req, res) => {
   const userId = parseInt(req.params.id);
+
+  if (!userStore.remove(userId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'ユーザーが見つかりません'
+    });
+  }
+
   res.json({
     success: true,
     message: `ユーザーID ${userId} を削除しました`
@@ -107,49 +314,386 @@ app.post('/api/auth/login', (req, res) => {
     });
   }
 
-  const token = jwt.sign(
-    { userId: Math.floor(Math.random() * 1000), username },
-    JWT_SECRET,
-    { expiresIn: '1h' }
-  );
+  const tokens = tokenService.issue({
+    userId: Math.floor(Math.random() * 1000),
+    username
+  });
 
   res.json({
     success: true,
-    data: {
-      token,
-      expiresIn: 3600
-    }
+    data: tokens
   });
 });
 
-// トークン検証エンドポイント（認証が必要）
-app.get('/api/auth/me', (req, res) => {
-  const authHeader = req.headers.authorization;
+// トークンのリフレッシュ（リフレッシュトークンはローテーションされる）
+app.post('/api/auth/refresh', (req, res) => {
+  const { refreshToken } = req.body;
 
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({
+  if (!refreshToken) {
+    return res.status(400).json({
       success: false,
-      error: '認証トークンが必要です'
+      error: 'refreshToken は必須です'
     });
   }
 
-  const token = authHeader.substring(7);
-
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
     res.json({
       success: true,
-      data: {
-        userId: decoded.userId,
-        username: decoded.username
-      }
+      data: tokenService.refresh(refreshToken)
+    });
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return res.status(401).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+});
+
+// ログアウト（アクセストークン・リフレッシュトークンを両方失効させる）
+app.post('/api/auth/logout', authenticate, (req, res) => {
+  tokenService.revoke(req.auth.sid);
+  res.json({
+    success: true,
+    message: 'ログアウトしました'
+  });
+});
+
+// トークン検証エンドポイント（認証が必要）
+app.get('/api/auth/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      userId: req.auth.userId,
+      username: req.auth.username
+    }
+  });
+});
+
+// ===== セッション認証（Cookie + CSRFトークン） =====
+
+const loadSession = sessionStore.middleware();
+const csrfProtection = sessionStore.csrfProtection();
+const parseForm = express.urlencoded({ extended: false });
+
+/**
+ * ログイン済みのセッションを要求するミドルウェア
+ *
+ * ページ（GET）はログインフォームへリダイレクトし、それ以外は401を返す
+ */
+function requireLogin(req, res, next) {
+  if (req.session && req.session.username !== null) {
+    return next();
+  }
+  if (req.method === 'GET') {
+    return res.redirect(303, '/session/login');
+  }
+  res.status(401).json({ success: false, error: 'ログインが必要です' });
+}
+
+// ログインフォーム（ログイン前のセッションを作り、CSRFトークンを埋め込む）
+app.get('/session/login', loadSession, (req, res) => {
+  if (req.session && req.session.username !== null) {
+    return res.redirect(303, '/session/account');
+  }
+  const session = req.session || sessionStore.create(res);
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(loginPage(session));
+});
+
+// ログイン（成功するとセッションIDを作り直してアカウントページへ）
+app.post('/session/login', loadSession, parseForm, csrfProtection, (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).type('html').send(loginPage(req.session, {
+      error: 'ユーザー名とパスワードを入力してください',
+      username
+    }));
+  }
+
+  // 簡易認証（/api/auth/login と同じく、パスワードが "wrong" のときだけ失敗）
+  if (password === 'wrong') {
+    return res.status(401).type('html').send(loginPage(req.session, {
+      error: 'ユーザー名またはパスワードが正しくありません',
+      username
+    }));
+  }
+
+  sessionStore.login(req, res, username);
+  res.redirect(303, '/session/account');
+});
+
+// アカウントページ（ログインしていなければログインフォームへ）
+app.get('/session/account', loadSession, requireLogin, (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(accountPage(req.session));
+});
+
+// 表示名の変更（状態を変えるためCSRFトークンが必要）
+app.post('/session/profile', loadSession, requireLogin, parseForm, csrfProtection, (req, res) => {
+  const displayName = req.body.display_name;
+
+  if (!displayName) {
+    return res.status(400).json({ success: false, error: 'display_name は必須です' });
+  }
+
+  req.session.displayName = displayName;
+  res.redirect(303, '/session/account');
+});
+
+// ログアウト（セッションを破棄してCookieを削除）
+app.post('/session/logout', loadSession, parseForm, csrfProtection, (req, res) => {
+  sessionStore.destroy(req, res);
+  res.redirect(303, '/session/login');
+});
+
+// セッションの内容（JSON、ログインしていなければリダイレクトせずに401）
+app.get('/session/me', loadSession, (req, res) => {
+  if (!req.session || req.session.username === null) {
+    return res.status(401).json({ success: false, error: 'ログインが必要です' });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      username: req.session.username,
+      displayName: req.session.displayName,
+      expiresAt: new Date(req.session.expiresAt).toISOString()
+    }
+  });
+});
+
+// ===== OAuth2 / OpenID Connect =====
+
+/**
+ * リクエストのホストから発行者（iss）を組み立てる
+ */
+function oauthIssuer(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * RFC 6749 の形式でエラーを返す
+ */
+function sendOAuthError(res, error) {
+  if (error.code === 'invalid_client') {
+    res.set('WWW-Authenticate', 'Basic realm="oauth"');
+  } else if (error.statusCode === 401 || error.statusCode === 403) {
+    res.set('WWW-Authenticate', `Bearer error="${error.code}"`);
+  }
+  res.set('Cache-Control', 'no-store');
+  res.status(error.statusCode).json(error.toJSON());
+}
+
+/**
+ * 認可リクエストのエラーを返す（redirect_uri が確認できていればリダイレクトで返す）
+ */
+function sendAuthorizeError(res, error) {
+  if (!error.redirectUri) {
+    return sendOAuthError(res, error);
+  }
+  const location = new URL(error.redirectUri);
+  location.searchParams.set('error', error.code);
+  location.searchParams.set('error_description', error.message);
+  if (error.state !== undefined) {
+    location.searchParams.set('state', error.state);
+  }
+  res.redirect(302, location.toString());
+}
+
+// OpenID Connect Discovery
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json(oauthServer.discovery(oauthIssuer(req)));
+});
+
+// 署名の検証に使う公開鍵（JWKS）
+app.get('/oauth/jwks', (req, res) => {
+  res.json(oauthServer.jwks());
+});
+
+// 認可エンドポイント（ログインフォームを表示）
+app.get('/oauth/authorize', (req, res) => {
+  try {
+    oauthServer.validateAuthorizeRequest(req.query);
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return sendAuthorizeError(res, error);
+    }
+    throw error;
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.type('html').send(authorizePage(req.query));
+});
+
+// ログインして認可コードを発行し、redirect_uri へリダイレクト
+app.post('/oauth/authorize', parseForm, (req, res) => {
+  let request;
+  try {
+    request = oauthServer.validateAuthorizeRequest(req.body);
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return sendAuthorizeError(res, error);
+    }
+    throw error;
+  }
+
+  const { username, password } = req.body;
+  // 簡易認証（/api/auth/login と同じく、パスワードが "wrong" のときだけ失敗）
+  if (!username || !password || password === 'wrong') {
+    return res.status(401).type('html').send(authorizePage(req.body, {
+      error: 'ユーザー名またはパスワードが正しくありません',
+      username
+    }));
+  }
+
+  const location = new URL(request.redirectUri);
+  location.searchParams.set('code', oauthServer.issueAuthorizationCode(request, username));
+  if (request.state !== undefined) {
+    location.searchParams.set('state', request.state);
+  }
+  res.redirect(302, location.toString());
+});
+
+// トークンエンドポイント（client_credentials / authorization_code）
+app.post('/oauth/token', parseForm, (req, res) => {
+  try {
+    const tokens = oauthServer.token(req, oauthIssuer(req));
+    res.set('Cache-Control', 'no-store');
+    res.json(tokens);
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return sendOAuthError(res, error);
+    }
+    throw error;
+  }
+});
+
+// トークンイントロスペクション（RFC 7662）
+app.post('/oauth/introspect', parseForm, (req, res) => {
+  try {
+    res.json(oauthServer.introspect(req));
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return sendOAuthError(res, error);
+    }
+    throw error;
+  }
+});
+
+// UserInfo（openid スコープのアクセストークンが必要）
+app.get('/oauth/userinfo', (req, res) => {
+  try {
+    res.json(oauthServer.userInfo(req));
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      return sendOAuthError(res, error);
+    }
+    throw error;
+  }
+});
+
+// ===== ECサイト（商品・カート・注文） =====
+
+// 商品一覧（ページネーション・ソート・フィルタ対応、在庫が変わるため ETag のみで条件付きGET）
+app.get('/api/products', httpCache.middleware(), (req, res) => {
+  let result;
+  try {
+    result = paginate(shop.listProducts(), req.query, {
+      sortFields: ['id', 'name', 'price', 'stock'],
+      filterFields: ['name', 'category']
     });
   } catch (error) {
-    res.status(401).json({
+    if (error instanceof QueryError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+
+  const baseUrl = `${req.protocol}://${req.get('host')}${req.path}`;
+  res.set('X-Total-Count', String(result.pagination.total));
+  res.set('Link', buildLinkHeader(baseUrl, req.query, result.links));
+
+  res.json({
+    success: true,
+    count: result.data.length,
+    data: result.data,
+    pagination: result.pagination
+  });
+});
+
+// 商品詳細（在庫数を含む、ETag のみで条件付きGET）
+app.get('/api/products/:id', httpCache.middleware(), (req, res) => {
+  const product = shop.getProduct(parseInt(req.params.id));
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      error: '商品が見つかりません'
+    });
+  }
+
+  res.json({ success: true, data: product });
+});
+
+// カートの内容
+app.get('/api/cart', authenticate, (req, res) => {
+  res.json({ success: true, data: shop.getCart(req.auth.username) });
+});
+
+// カートに商品を追加
+app.post('/api/cart/items', authenticate, (req, res) => {
+  res.status(201).json({ success: true, data: shop.addToCart(req.auth.username, req.body) });
+});
+
+// カート内の商品の数量を変更（0で削除）
+app.put('/api/cart/items/:productId', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: shop.updateCartItem(req.auth.username, parseInt(req.params.productId), req.body.quantity)
+  });
+});
+
+// カート内の商品を削除
+app.delete('/api/cart/items/:productId', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: shop.updateCartItem(req.auth.username, parseInt(req.params.productId), 0)
+  });
+});
+
+// カートを空にする
+app.delete('/api/cart', authenticate, (req, res) => {
+  shop.clearCart(req.auth.username);
+  res.json({ success: true, data: shop.getCart(req.auth.username) });
+});
+
+// 注文を確定（在庫が足りなければ409、Idempotency-Key で再送を重複排除）
+app.post('/api/checkout', authenticate, idempotency.middleware(), (req, res) => {
+  const order = shop.checkout(req.auth.username);
+
+  res.set('Location', `/api/orders/${order.id}`);
+  res.status(201).json({ success: true, data: order });
+});
+
+// 注文履歴（新しい順）
+app.get('/api/orders', authenticate, (req, res) => {
+  const orders = shop.listOrders(req.auth.username);
+  res.json({ success: true, count: orders.length, data: orders });
+});
+
+// 注文詳細
+app.get('/api/orders/:id', authenticate, (req, res) => {
+  const order = shop.getOrder(req.auth.username, parseInt(req.params.id));
+
+  if (!order) {
+    return res.status(404).json({
       success: false,
-      error: 'トークンが無効です'
+      error: '注文が見つかりません'
     });
   }
+
+  res.json({ success: true, data: order });
 });
 
 // ===== レスポンスタイム可変エンドポイント =====
@@ -173,20 +717,40 @@ app.get('/api/delay/:ms', async (req, res) => {
   });
 });
 
-// ランダムなレスポンスタイム（100ms～2000ms）
-app.get('/api/random-delay', async (req, res) => {
-  const delay = Math.floor(Math.random() * 1900) + 100;
+/**
+ * 分布に従う遅延を生成して待ってから応答する
+ *
+ * @param {string} defaultDistribution - dist 未指定時の分布
+ */
+function distributedDelay(defaultDistribution) {
+  return asyncHandler(async (req, res) => {
+    let latency;
+    try {
+      latency = sampleLatency(req.query, { defaultDistribution });
+    } catch (error) {
+      if (error instanceof LatencyDistributionError) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      throw error;
+    }
 
-  await new Promise(resolve => setTimeout(resolve, delay));
+    await new Promise(resolve => setTimeout(resolve, latency.delay));
 
-  res.json({
-    success: true,
-    data: {
-      delay,
-      timestamp: new Date().toISOString()
-    }
+    res.json({
+      success: true,
+      data: {
+        ...latency,
+        timestamp: new Date().toISOString()
+      }
+    });
   });
-});
+}
+
+// 統計分布に従うレスポンスタイム（?dist=lognormal&median=100&sigma=0.8&seed=42 など）
+app.get('/api/delay', distributedDelay('lognormal'));
+
+// ランダムなレスポンスタイム（デフォルトは100ms～2000msの一様分布、?dist= で変更可）
+app.get('/api/random-delay', distributedDelay('uniform'));
 
 // ===== エラー生成エンドポイント =====
 
@@ -227,37 +791,463 @@ app.get('/api/random-error', (req, res) => {
   });
 });
 
+// 壊れたレスポンス（reset / truncated / invalid-json / trickle / hang / wrong-length）
+app.get('/api/chaos/:mode', (req, res) => {
+  let options;
+  try {
+    options = parseChaosOptions(req.params.mode, req.query);
+  } catch (error) {
+    if (error instanceof NetworkChaosError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+  applyChaos(req, res, options);
+});
+
 // ===== その他のエンドポイント =====
 
-// 大きなJSONレスポンス（ペイロードサイズテスト用）
+// 大きなJSONレスポンス（ペイロードサイズテスト用、Accept-Encoding で圧縮、大きなサイズはストリーミング）
 app.get('/api/large-payload', (req, res) => {
-  const size = parseInt(req.query.size) || 100;
-  const items = Array.from({ length: size }, (_, i) => ({
-    id: i + 1,
-    name: `アイテム${i + 1}`,
-    description: 'これは大きなペイロードをテストするためのダミーデータです。'.repeat(5),
-    timestamp: new Date().toISOString()
-  }));
+  let options;
+  try {
+    options = parsePayloadOptions(req.query, { streamThreshold: PAYLOAD_STREAM_THRESHOLD });
+  } catch (error) {
+    if (error instanceof PayloadError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+
+  sendLargePayload(req, res, options);
+});
+
+// ファイルアップロード（multipart/form-data または JSON）
+app.post('/api/upload', multipartParser({ maxBytes: UPLOAD_MAX_BYTES }), idempotency.middleware(), (req, res) => {
+  let file;
+  let fields = {};
+
+  if (req.is('multipart/form-data')) {
+    file = fromMultipart(req.file);
+    fields = req.body;
+  } else if (req.is('application/json')) {
+    file = fromJson(req.body, { maxBytes: UPLOAD_MAX_BYTES });
+  } else {
+    return res.status(415).json({
+      success: false,
+      error: 'multipart/form-data または application/json で送信してください'
+    });
+  }
 
   res.json({
     success: true,
-    count: items.length,
-    data: items
+    data: {
+      ...file,
+      fields,
+      uploadedAt: new Date().toISOString()
+    }
+  });
+});
+
+// ===== 分割アップロード（再開可能） =====
+
+// アップロードセッションを作成
+app.post('/api/uploads', idempotency.middleware(), (req, res) => {
+  const session = chunkedUploads.create(req.body);
+
+  res.set('Location', `/api/uploads/${session.id}`);
+  res.set('Upload-Offset', '0');
+  res.set('Upload-Length', String(session.size));
+  res.status(201).json({ success: true, data: session });
+});
+
+// 現在のオフセットを問い合わせ（再開時に使用）
+app.head('/api/uploads/:id', (req, res) => {
+  const session = chunkedUploads.get(req.params.id);
+
+  if (!session) {
+    return res.status(404).end();
+  }
+
+  res.set('Upload-Offset', String(session.offset));
+  res.set('Upload-Length', String(session.size));
+  res.set('Cache-Control', 'no-store');
+  res.status(200).end();
+});
+
+// セッションの状態を取得
+app.get('/api/uploads/:id', (req, res) => {
+  const session = chunkedUploads.get(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: 'アップロードセッションが見つかりません'
+    });
+  }
+
+  res.json({ success: true, data: session });
+});
+
+// チャンクを送信（Upload-Offset ヘッダーで書き込み位置を指定）
+app.patch(
+  '/api/uploads/:id',
+  express.raw({ type: 'application/offset+octet-stream', limit: CHUNKED_UPLOAD_MAX_BYTES }),
+  (req, res) => {
+    if (!req.is('application/offset+octet-stream')) {
+      return res.status(415).json({
+        success: false,
+        error: 'Content-Type は application/offset+octet-stream で送信してください'
+      });
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload-Offset ヘッダーは0以上の整数で指定してください'
+      });
+    }
+
+    const session = chunkedUploads.append(req.params.id, offset, req.body);
+
+    res.set('Upload-Offset', String(session.offset));
+    res.status(204).end();
+  }
+);
+
+// アップロードを完了（サーバー側で結合し、チェックサムを検証）
+app.post('/api/uploads/:id/complete', (req, res) => {
+  res.json({ success: true, data: chunkedUploads.complete(req.params.id) });
+});
+
+// アップロードを中止
+app.delete('/api/uploads/:id', (req, res) => {
+  if (!chunkedUploads.remove(req.params.id)) {
+    return res.status(404).json({
+      success: false,
+      error: 'アップロードセッションが見つかりません'
+    });
+  }
+
+  res.json({ success: true, message: 'アップロードを中止しました' });
+});
+
+// ===== GraphQL =====
+
+// ユーザー・投稿・コメントのGraphQL API（深さと件数に応じてレイテンシが増える）
+const graphqlHandler = createGraphQLHandler({
+  userStore,
+  latencyPerDepthMs: parseFloat(process.env.GRAPHQL_LATENCY_PER_DEPTH_MS || '5'),
+  latencyPerItemMs: parseFloat(process.env.GRAPHQL_LATENCY_PER_ITEM_MS || '1')
+});
+app.get('/graphql', graphqlHandler);
+app.post('/graphql', graphqlHandler);
+
+// ===== ストリーミング =====
+
+// Server-Sent Events（rate: 1秒あたりのイベント数、count: 総イベント数）
+// Last-Event-ID ヘッダーを指定すると、その次のイベントから再開する
+app.get('/api/events', (req, res) => {
+  const rate = Math.min(Math.max(parseFloat(req.query.rate) || 1, 0.1), 1000);
+  const count = Math.min(Math.max(parseInt(req.query.count) || 10, 1), 100000);
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+
+  if (lastEventId >= count) {
+    // すべて送信済み（204でクライアントに再接続をやめさせる）
+    return res.status(204).end();
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
   });
+
+  let seq = lastEventId;
+
+  // ヘッダーは最初のイベントと一緒に送る（TTFB = 最初のイベントまでの時間になる）
+  const emit = () => {
+    seq++;
+    const event = {
+      seq,
+      total: count,
+      serverTime: Date.now()
+    };
+
+    // 最初のイベントにだけ再接続間隔（retry）を付ける
+    res.write(
+      (seq === lastEventId + 1 ? 'retry: 1000\n' : '') +
+      `id: ${seq}\nevent: tick\ndata: ${JSON.stringify(event)}\n\n`
+    );
+
+    if (seq >= count) {
+      clearInterval(timer);
+      res.end();
+    }
+  };
+
+  const timer = setInterval(emit, 1000 / rate);
+
+  req.on('close', () => clearInterval(timer));
+});
+
+// ===== 管理エンドポイント =====
+
+// 障害注入ルール一覧
+app.get('/admin/faults', (req, res) => {
+  res.json({ success: true, data: faultInjector.list() });
 });
 
-// ファイルアップロードのモック
-app.post('/api/upload', (req, res) => {
+// 障害注入ルールを追加
+app.post('/admin/faults', (req, res) => {
+  try {
+    res.status(201).json({ success: true, data: faultInjector.add(req.body) });
+  } catch (error) {
+    if (error instanceof FaultRuleError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+});
+
+// 障害注入ルールを削除
+app.delete('/admin/faults/:id', (req, res) => {
+  const ruleId = parseInt(req.params.id);
+
+  if (!faultInjector.remove(ruleId)) {
+    return res.status(404).json({
+      success: false,
+      error: 'ルールが見つかりません'
+    });
+  }
+
   res.json({
     success: true,
-    data: {
-      filename: 'uploaded-file.txt',
-      size: Math.floor(Math.random() * 1000000),
-      uploadedAt: new Date().toISOString()
+    message: `ルールID ${ruleId} を削除しました`
+  });
+});
+
+// 障害注入ルールをすべて削除
+app.delete('/admin/faults', (req, res) => {
+  const count = faultInjector.clear();
+  res.json({
+    success: true,
+    message: `${count} 件のルールを削除しました`
+  });
+});
+
+// レートリミット設定の取得
+app.get('/admin/rate-limit', (req, res) => {
+  res.json({
+    success: true,
+    data: { enabled: rateLimiter.config !== null, config: rateLimiter.config }
+  });
+});
+
+// レートリミット設定の変更（カウンターはリセットされる）
+app.put('/admin/rate-limit', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: { enabled: true, config: rateLimiter.configure(req.body) }
+    });
+  } catch (error) {
+    if (error instanceof RateLimitConfigError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+});
+
+// レートリミットの無効化
+app.delete('/admin/rate-limit', (req, res) => {
+  rateLimiter.disable();
+  res.json({ success: true, data: { enabled: false, config: null } });
+});
+
+// キャッシュ設定と304の集計（304の割合・送らずに済んだバイト数）
+app.get('/admin/cache', (req, res) => {
+  res.json({ success: true, data: httpCache.status() });
+});
+
+// Cache-Control を変更（集計はリセットされる）
+app.put('/admin/cache', (req, res) => {
+  try {
+    httpCache.configure(req.body);
+    res.json({ success: true, data: httpCache.status() });
+  } catch (error) {
+    if (error instanceof CacheConfigError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+});
+
+// キャッシュ設定をデフォルト（no-cache）に戻す
+app.delete('/admin/cache', (req, res) => {
+  httpCache.configure();
+  res.json({ success: true, data: httpCache.status() });
+});
+
+// セッションの設定と件数（有効なセッション数・CSRFで拒否した件数など）
+app.get('/admin/sessions', (req, res) => {
+  res.json({ success: true, data: sessionStore.status() });
+});
+
+// セッションの有効期限を変更
+app.put('/admin/sessions', (req, res) => {
+  try {
+    sessionStore.configure(req.body);
+    res.json({ success: true, data: sessionStore.status() });
+  } catch (error) {
+    if (error instanceof SessionConfigError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+});
+
+// すべてのセッションを破棄（全ユーザーの再ログインを再現する）
+app.delete('/admin/sessions', (req, res) => {
+  const count = sessionStore.clear();
+  res.json({
+    success: true,
+    message: `${count} 件のセッションを破棄しました`
+  });
+});
+
+// 同時処理数の上限と現在の状態（処理中・待機中・503の件数）
+app.get('/admin/capacity', (req, res) => {
+  res.json({ success: true, data: capacityLimiter.status() });
+});
+
+// 同時処理数の上限を変更
+app.put('/admin/capacity', (req, res) => {
+  try {
+    capacityLimiter.configure(req.body);
+    res.json({ success: true, data: capacityLimiter.status() });
+  } catch (error) {
+    if (error instanceof CapacityConfigError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+});
+
+// 同時処理数の上限を無効化
+app.delete('/admin/capacity', (req, res) => {
+  capacityLimiter.disable();
+  res.json({ success: true, data: capacityLimiter.status() });
+});
+
+// リソースリークの設定と劣化の度合い
+app.get('/admin/leaks', (req, res) => {
+  res.json({ success: true, data: leakSimulator.status() });
+});
+
+// リソースリークを有効化・設定変更
+app.put('/admin/leaks', (req, res) => {
+  try {
+    leakSimulator.configure(req.body);
+    res.json({ success: true, data: leakSimulator.status() });
+  } catch (error) {
+    if (error instanceof LeakConfigError) {
+      return res.status(400).json({ success: false, error: error.message });
     }
+    throw error;
+  }
+});
+
+// リソースリークを無効化し、漏れたリソースを解放
+app.delete('/admin/leaks', (req, res) => {
+  leakSimulator.disable();
+  leakSimulator.reset();
+  res.json({ success: true, data: leakSimulator.status() });
+});
+
+// 設定ファイルで定義したルートの一覧と読み込み状況
+app.get('/admin/routes', (req, res) => {
+  res.json({ success: true, data: declarativeRoutes.status() });
+});
+
+// 設定ファイルを読み込み直す
+app.post('/admin/routes/reload', (req, res) => {
+  if (!declarativeRoutes.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'ROUTES_FILE が指定されていません'
+    });
+  }
+
+  const reloaded = declarativeRoutes.reload();
+  res.status(reloaded ? 200 : 400).json({
+    success: reloaded,
+    data: declarativeRoutes.status()
   });
 });
 
+// HAR記録の状況
+app.get('/admin/recording', (req, res) => {
+  res.json({ success: true, data: harRecorder.status() });
+});
+
+// HAR記録を開始・設定変更
+app.put('/admin/recording', (req, res) => {
+  try {
+    harRecorder.configure(req.body);
+    res.json({ success: true, data: harRecorder.status() });
+  } catch (error) {
+    if (error instanceof HarConfigError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    throw error;
+  }
+});
+
+// HAR記録を停止（記録済みのエントリーは残る）
+app.delete('/admin/recording', (req, res) => {
+  harRecorder.disable();
+  res.json({ success: true, data: harRecorder.status() });
+});
+
+// 記録済みのエントリーをHARファイルとしてダウンロード
+app.get('/admin/recording/har', (req, res) => {
+  res.set('Content-Disposition', 'attachment; filename="mock-server.har"');
+  res.json(harRecorder.har());
+});
+
+// 記録済みのエントリーを削除
+app.delete('/admin/recording/entries', (req, res) => {
+  const count = harRecorder.clear();
+  res.json({
+    success: true,
+    message: `${count} 件のエントリーを削除しました`
+  });
+});
+
+// OAuth2 認可サーバーの状態（クライアント・署名鍵・発行数）
+app.get('/admin/oauth', (req, res) => {
+  res.json({ success: true, data: oauthServer.status() });
+});
+
+// 署名鍵をローテーション（1つ前の鍵は JWKS に残る）
+app.post('/admin/oauth/keys', (req, res) => {
+  res.status(201).json({ success: true, data: oauthServer.rotateKeys() });
+});
+
+// 商品の在庫数を変更（在庫の奪い合いを試す準備用）
+app.put('/admin/products/:id/stock', (req, res) => {
+  res.json({
+    success: true,
+    data: shop.setStock(parseInt(req.params.id), req.body.stock)
+  });
+});
+
+// 設定ファイルで定義したルート（組み込みのルートに一致しなかったリクエストが対象）
+app.use(declarativeRoutes.middleware());
+
 // 404ハンドラー
 app.use((req, res) => {
   res.status(404).json({
@@ -268,6 +1258,23 @@ app.use((req, res) => {
 
 // エラーハンドラー
 app.use((err, req, res, next) => {
+  if (err instanceof UploadError) {
+    return res.status(err.statusCode).json({ success: false, error: err.message });
+  }
+
+  if (err instanceof ShopError) {
+    return res.status(err.statusCode).json({ success: false, error: err.message, ...err.details });
+  }
+
+  if (err instanceof CsrfError) {
+    return res.status(403).json({ success: false, error: err.message });
+  }
+
+  // express.json() のボディ上限超過
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ success: false, error: 'リクエストボディが大きすぎます' });
+  }
+
   console.error(err.stack);
   res.status(500).json({
     success: false,
@@ -275,7 +1282,18 @@ app.use((err, req, res, next) => {
   });
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🚀 モックAPIサーバーが起動しました: http://localhost:${PORT}`);
   console.log(`📊 ヘルスチェック: http://localhost:${PORT}/health`);
+  console.log(`📈 メトリクス: http://localhost:${PORT}/metrics`);
+  console.log(`📘 API仕様: http://localhost:${PORT}/openapi.json${OPENAPI_VALIDATION ? '（検証モード）' : ''}`);
+  console.log(`🔌 WebSocket: ws://localhost:${PORT}/ws/echo`);
 });
+
+// WebSocket（/ws/echo, /ws/rooms/:room, /ws/ticker）
+attachWebSocketServer(server);
+
+// gRPC（proto/user.proto の UserService）
+startGrpcServer({ userStore, port: GRPC_PORT })
+  .then(() => console.log(`📡 gRPC: localhost:${GRPC_PORT}`))
+  .catch((error) => console.error(`gRPCサーバーの起動に失敗しました: ${error.message}`));
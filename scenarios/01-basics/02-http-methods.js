@@ -41,6 +41,9 @@ export default function () {
   console.log(`POST Status: ${response.status}`);
   console.log(`Created User: ${response.body}`);
 
+  // 作成したユーザーのIDを以降の更新・削除で使う
+  const userId = JSON.parse(response.body).data.id;
+
   // 3. PUT - ユーザー情報を更新
   console.log('\n=== PUT Request ===');
   const updatePayload = JSON.stringify({
@@ -48,12 +51,12 @@ export default function () {
     email: 'yamada.hanako@example.com',
   });
 
-  response = http.put(`${baseUrl}/users/1`, updatePayload, params);
+  response = http.put(`${baseUrl}/users/${userId}`, updatePayload, params);
   console.log(`PUT Status: ${response.status}`);
 
   // 4. DELETE - ユーザーを削除
   console.log('\n=== DELETE Request ===');
-  response = http.del(`${baseUrl}/users/1`);
+  response = http.del(`${baseUrl}/users/${userId}`);
   console.log(`DELETE Status: ${response.status}`);
 
   sleep(1);
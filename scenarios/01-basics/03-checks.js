@@ -1,5 +1,6 @@
 import http from 'k6/http';
 import { check, sleep } from 'k6';
+import { parseJson } from '../../utils/response.js';
 
 /**
  * 03. レスポンスの検証（Checks）
@@ -12,6 +13,8 @@ import { check, sleep } from 'k6';
  * 
  * 注意: checkが失敗してもテストは停止しません。
  * メトリクスとして記録され、最後にサマリーで表示されます。
+ * ただし、check の中で例外が投げられると、そのイテレーションは中断されます。
+ * 途中で切れたボディや壊れたJSONでも中断しないよう、パースには parseJson() を使います。
  */
 
 export const options = {
@@ -29,8 +32,8 @@ export default function () {
     'ヘルスチェック: ステータスは200': (r) => r.status === 200,
     'ヘルスチェック: レスポンスタイムは200ms以下': (r) => r.timings.duration < 200,
     'ヘルスチェック: statusフィールドは"ok"': (r) => {
-      const body = JSON.parse(r.body);
-      return body.status === 'ok';
+      const body = parseJson(r);
+      return body !== null && body.status === 'ok';
     },
   });
   
@@ -40,16 +43,16 @@ export default function () {
   check(response, {
     'ユーザー取得: ステータスは200': (r) => r.status === 200,
     'ユーザー取得: successフィールドはtrue': (r) => {
-      const body = JSON.parse(r.body);
-      return body.success === true;
+      const body = parseJson(r);
+      return body !== null && body.success === true;
     },
     'ユーザー取得: dataフィールドが配列': (r) => {
-      const body = JSON.parse(r.body);
-      return Array.isArray(body.data);
+      const body = parseJson(r);
+      return body !== null && Array.isArray(body.data);
     },
     'ユーザー取得: 最低1件のユーザーが存在': (r) => {
-      const body = JSON.parse(r.body);
-      return body.data.length > 0;
+      const body = parseJson(r);
+      return body !== null && Array.isArray(body.data) && body.data.length > 0;
     },
   });
   
@@ -66,8 +69,8 @@ export default function () {
   check(response, {
     'ユーザー作成: ステータスは201': (r) => r.status === 201,
     'ユーザー作成: IDが生成されている': (r) => {
-      const body = JSON.parse(r.body);
-      return body.data && body.data.id !== undefined;
+      const body = parseJson(r);
+      return body !== null && body.data && body.data.id !== undefined;
     },
   });
   
@@ -1,5 +1,6 @@
 import http from 'k6/http';
 import { check, sleep } from 'k6';
+import { Rate } from 'k6/metrics';
 
 /**
  * 03. ストレステスト（Stress Test）
@@ -40,16 +41,25 @@ export const options = {
 
 const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
 
+// レートリミット（429）で弾かれたリクエストの割合
+const rateLimited = new Rate('rate_limited');
+
+// 容量オーバー（503）で弾かれたリクエストの割合
+const overloaded = new Rate('server_overloaded');
+
 export default function () {
   // シンプルなリクエストパターン
   
   const response = http.get(`${BASE_URL}/api/users`);
   
   check(response, {
-    'ステータスは200または503': (r) => r.status === 200 || r.status === 503,
+    'ステータスは200、429または503': (r) => [200, 429, 503].includes(r.status),
     'レスポンスタイムは5秒以内': (r) => r.timings.duration < 5000,
   });
   
+  rateLimited.add(response.status === 429);
+  overloaded.add(response.status === 503);
+  
   sleep(1);
 }
 
@@ -62,6 +72,12 @@ export default function () {
  * 2. どの時点でエラー率が上昇するか
  * 3. 負荷が下がった後、システムが正常に回復するか
  * 4. CPU、メモリ、データベース接続数などのリソース使用率
+ * 5. レートリミット有効時（RATE_LIMIT=...）に rate_limited がどの負荷から増えるか
+ * 6. 容量モデル有効時に server_overloaded がどの負荷から増え、負荷が下がると0に戻るか
+ * 
+ * 容量モデルを有効にしたモックサーバーで実行する場合:
+ *   CAPACITY_WORKERS=8 CAPACITY_SERVICE_TIME_MS=200 CAPACITY_QUEUE_SIZE=80 npm start
+ *   （処理能力は約40リクエスト/秒: 20 VUは余裕、50 VUで待ち行列が伸び、100 VUで503が出る）
  * 
  * 注意:
  * - 本番環境では実行しないこと
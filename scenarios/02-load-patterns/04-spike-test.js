@@ -1,5 +1,6 @@
 import http from 'k6/http';
 import { check, sleep } from 'k6';
+import { Rate } from 'k6/metrics';
 
 /**
  * 04. スパイクテスト（Spike Test）
@@ -34,18 +35,37 @@ export const options = {
   thresholds: {
     http_req_failed: ['rate<0.15'],     // 失敗率15%未満（スパイク時は許容）
     http_req_duration: ['p(99)<5000'],  // 99%のリクエストが5秒未満
+    rate_limited: ['rate<0.5'],         // 429で弾かれたリクエストは50%未満
   },
 };
 
 const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
 
+// レートリミット（429）で弾かれたリクエストの割合
+const rateLimited = new Rate('rate_limited');
+
+// 容量オーバー（503）で弾かれたリクエストの割合
+const overloaded = new Rate('server_overloaded');
+
 export default function () {
-  const response = http.get(`${BASE_URL}/api/users`);
+  const response = http.get(`${BASE_URL}/api/users`, {
+    // 429は想定内の応答として http_req_failed に含めない
+    responseCallback: http.expectedStatuses({ min: 200, max: 399 }, 429),
+  });
 
   check(response, {
     'リクエスト成功': (r) => r.status === 200 || r.status === 429 || r.status === 503,
   });
 
+  rateLimited.add(response.status === 429);
+  overloaded.add(response.status === 503);
+
+  // 429のときは Retry-After に従って待機（行儀のよいクライアント）
+  if (response.status === 429) {
+    sleep(parseInt(response.headers['Retry-After']) || 1);
+    return;
+  }
+
   // スパイク時は待機時間を短くして、より多くのリクエストを送信
   sleep(0.5);
 }
@@ -54,6 +74,15 @@ export default function () {
  * 実行方法:
  * k6 run scenarios/02-load-patterns/04-spike-test.js
  * 
+ * レートリミットを有効にしたモックサーバーで実行する場合:
+ *   RATE_LIMIT=20 RATE_LIMIT_WINDOW_MS=1000 npm start   # IPごとに毎秒20リクエスト
+ *   （実行中に変更: curl -X PUT http://localhost:3000/admin/rate-limit \
+ *      -H 'Content-Type: application/json' -d '{"limit": 20, "windowMs": 1000}'）
+ * 
+ * 容量モデル（ワーカー数と待ち行列）を有効にしたモックサーバーで実行する場合:
+ *   CAPACITY_WORKERS=8 CAPACITY_SERVICE_TIME_MS=100 CAPACITY_QUEUE_SIZE=50 npm start
+ *   （スパイク中は待ち行列があふれて503が増え、スパイク後に server_overloaded が0に戻るかを確認）
+ * 
  * 観察ポイント:
  * 1. スパイク発生時のレスポンスタイム
  * 2. エラー率の変化
@@ -1,5 +1,6 @@
 import http from 'k6/http';
 import { check, sleep } from 'k6';
+import exec from 'k6/execution';
 
 /**
  * 05. ソークテスト（Soak Test / Endurance Test）
@@ -36,16 +37,37 @@ export const options = {
       'p(99)<1000',                     // 99%のリクエストが1000ms未満
     ],
     checks: ['rate>0.99'],              // チェック成功率99%以上
+
+    // 緩やかな劣化の検知: 序盤だけでなく終盤も同じ基準を満たしているか
+    'http_req_duration{phase:early}': ['p(95)<500'],
+    'http_req_duration{phase:late}': ['p(95)<500'],
+    'http_req_failed{phase:late}': ['rate<0.01'],
   },
 };
 
 const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
 
+// 序盤・終盤の区切り（stages に合わせて調整する）
+const EARLY_PHASE_END_MS = 20 * 60 * 1000;    // 開始から20分まで
+const LATE_PHASE_START_MS = 45 * 60 * 1000;   // 45分以降（ランプダウン前の20分）
+
+/**
+ * 経過時間からフェーズを判定（序盤と終盤のレイテンシを比較するためのタグ）
+ */
+function currentPhase() {
+  const elapsed = exec.instance.currentTestRunDuration;
+  if (elapsed < EARLY_PHASE_END_MS) {
+    return 'early';
+  }
+  return elapsed >= LATE_PHASE_START_MS ? 'late' : 'middle';
+}
+
 export default function () {
   // 典型的なユーザー行動をシミュレート
+  const params = { tags: { phase: currentPhase() } };
 
   // 1. ユーザー一覧取得
-  let response = http.get(`${BASE_URL}/api/users`);
+  let response = http.get(`${BASE_URL}/api/users`, params);
   check(response, {
     'ユーザー一覧取得成功': (r) => r.status === 200,
   });
@@ -53,7 +75,7 @@ export default function () {
 
   // 2. ユーザー詳細取得
   const userId = Math.floor(Math.random() * 10) + 1;
-  response = http.get(`${BASE_URL}/api/users/${userId}`);
+  response = http.get(`${BASE_URL}/api/users/${userId}`, params);
   check(response, {
     'ユーザー詳細取得成功': (r) => r.status === 200,
   });
@@ -68,6 +90,7 @@ export default function () {
 
     response = http.post(`${BASE_URL}/api/users`, payload, {
       headers: { 'Content-Type': 'application/json' },
+      tags: params.tags,
     });
 
     check(response, {
@@ -97,6 +120,23 @@ export default function () {
  * 5. レスポンスタイムが時間経過で劣化していないか
  * 6. エラー率が徐々に上昇していないか
  * 
+ * サーバー側の監視（モックサーバーの /metrics）:
+ * docker compose up -d で Prometheus が /metrics を収集する
+ * k6 run --out influxdb=http://localhost:8086/k6 scenarios/02-load-patterns/05-soak-test.js
+ * Grafanaで以下を k6 の http_req_duration と並べて確認:
+ * - nodejs_heap_size_used_bytes: ヒープが右肩上がりならメモリリーク
+ * - nodejs_gc_duration_seconds: GCの停止時間が伸びていないか
+ * - nodejs_eventloop_lag_seconds: イベントループの遅延が増えていないか
+ * - http_request_duration_seconds: サーバー側のレイテンシ（k6との差はネットワーク・待ち行列）
+ * 
+ * 劣化を検知できるかを確かめる（モックサーバーのリーク再現モード）:
+ * LEAK_MODES=heap,latency,pool LEAK_LATENCY_EVERY_REQUESTS=50 LEAK_POOL_LEAK_EVERY_REQUESTS=200 npm start
+ * （このシナリオは1時間で約2.5万リクエスト）
+ * - heap: 1リクエストごとに10KBを保持し続ける → nodejs_heap_size_used_bytes が右肩上がり
+ * - latency: 50リクエストごとに1msずつ遅くなる → 終盤は約+500ms、phase:late の p95 が不合格
+ * - pool: 200リクエストごとにコネクションを返し忘れ、2万リクエストで100件が枯渇 → 以降は500
+ * 実行中の確認・解除: GET /admin/leaks、DELETE /admin/leaks
+ * 
  * 注意:
  * - システムの監視を必ず並行して行うこと
  * - ログのローテーション設定を確認すること
@@ -1,5 +1,6 @@
 import http from 'k6/http';
 import { check, sleep } from 'k6';
+import { Rate, Trend } from 'k6/metrics';
 
 /**
  * 06. ブレークポイントテスト（Breakpoint Test）
@@ -54,6 +55,12 @@ export const options = {
 
 const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
 
+// 容量オーバー（503）で弾かれたリクエストの割合
+const overloaded = new Rate('server_overloaded');
+
+// サーバーの待ち行列で待たされた時間（容量モデル有効時の X-Queue-Time ヘッダー）
+const queueTime = new Trend('server_queue_time', true);
+
 export default function () {
   const response = http.get(`${BASE_URL}/api/users`);
 
@@ -62,6 +69,11 @@ export default function () {
     'レスポンスタイムが10秒以内': (r) => r.timings.duration < 10000,
   });
 
+  overloaded.add(response.status === 503);
+  if (response.headers['X-Queue-Time'] !== undefined) {
+    queueTime.add(parseInt(response.headers['X-Queue-Time']));
+  }
+
   sleep(1);
 }
 
@@ -69,6 +81,14 @@ export default function () {
  * 実行方法:
  * k6 run scenarios/02-load-patterns/06-breakpoint-test.js
  * 
+ * モックサーバーはそのままでは高速に応答し続けるため、容量モデルを有効にして実行する:
+ *   CAPACITY_WORKERS=8 CAPACITY_SERVICE_TIME_MS=200 CAPACITY_QUEUE_SIZE=80 npm start
+ *   - 処理能力は約40リクエスト/秒（8ワーカー ÷ 200ms）
+ *   - 約40 VUを超えると server_queue_time が伸び始める（ニー）
+ *   - 待ち行列（80件）があふれると server_overloaded（503）が増える（飽和）
+ *   （実行中に変更: curl -X PUT http://localhost:3000/admin/capacity \
+ *      -H 'Content-Type: application/json' -d '{"workers": 8, "serviceTimeMs": 200}'）
+ * 
  * 結果の分析:
  * 1. レスポンスタイムのグラフを確認
  *    - どの時点から急激に劣化するか
@@ -11,6 +11,8 @@ import { check, group, sleep } from 'k6';
  * 1. ログインしてトークンを取得
  * 2. トークンを使って認証が必要なAPIにアクセス
  * 3. トークンの有効性を確認
+ * 4. リフレッシュトークンでトークンを更新（ローテーション）
+ * 5. ログアウトしてトークンが失効したことを確認
  * 
  * 学べること:
  * - 認証トークンの取得と使用
@@ -28,6 +30,8 @@ export const options = {
     'http_req_duration{name:authenticated}': ['p(95)<300'],
     'group_duration{group:::01_Login}': ['p(95)<1000'],
     'group_duration{group:::02_Authenticated_Request}': ['p(95)<500'],
+    'http_req_duration{name:refresh}': ['p(95)<300'],
+    'http_req_duration{name:logout}': ['p(95)<300'],
   },
 };
 
@@ -35,6 +39,7 @@ const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
 
 export default function () {
   let authToken;
+  let refreshToken;
   
   // グループ1: ログイン
   group('01_Login', () => {
@@ -64,6 +69,7 @@ export default function () {
     if (loginRes.status === 200) {
       const body = JSON.parse(loginRes.body);
       authToken = body.data.token;
+      refreshToken = body.data.refreshToken;
     }
   });
   
@@ -113,6 +119,105 @@ export default function () {
   });
   
   sleep(1);
+  
+  // グループ4: リフレッシュトークンによる更新
+  if (refreshToken) {
+    group('04_Refresh_Token', () => {
+      const refreshRes = http.post(
+        `${BASE_URL}/api/auth/refresh`,
+        JSON.stringify({ refreshToken }),
+        {
+          headers: { 'Content-Type': 'application/json' },
+          tags: { name: 'refresh' },
+        }
+      );
+      
+      check(refreshRes, {
+        'リフレッシュ: ステータスは200': (r) => r.status === 200,
+        'リフレッシュ: 新しいリフレッシュトークンが発行された': (r) => {
+          const body = JSON.parse(r.body);
+          return body.data && body.data.refreshToken && body.data.refreshToken !== refreshToken;
+        },
+      });
+      
+      const usedRefreshToken = refreshToken;
+      if (refreshRes.status === 200) {
+        const body = JSON.parse(refreshRes.body);
+        authToken = body.data.token;
+        refreshToken = body.data.refreshToken;
+      }
+      
+      // リフレッシュに失敗した場合は再利用の検証をスキップ
+      if (usedRefreshToken === refreshToken) {
+        return;
+      }
+      
+      // 使用済みのリフレッシュトークンは再利用できない
+      // （再利用を検知するとサーバーはセッションごと失効させる）
+      const reuseRes = http.post(
+        `${BASE_URL}/api/auth/refresh`,
+        JSON.stringify({ refreshToken: usedRefreshToken }),
+        {
+          headers: { 'Content-Type': 'application/json' },
+          tags: { name: 'refresh_reuse' },
+          responseCallback: http.expectedStatuses(401),
+        }
+      );
+      
+      check(reuseRes, {
+        '使用済みトークンの再利用: ステータスは401': (r) => r.status === 401,
+      });
+    });
+  }
+  
+  sleep(1);
+  
+  // グループ5: ログアウト
+  group('05_Logout', () => {
+    const loginRes = http.post(
+      `${BASE_URL}/api/auth/login`,
+      JSON.stringify({ username: 'testuser', password: 'testpass' }),
+      {
+        headers: { 'Content-Type': 'application/json' },
+        tags: { name: 'login' },
+      }
+    );
+    
+    if (loginRes.status !== 200) {
+      return;
+    }
+    const { token, refreshToken: sessionRefreshToken } = JSON.parse(loginRes.body).data;
+    
+    const logoutRes = http.post(`${BASE_URL}/api/auth/logout`, null, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      tags: { name: 'logout' },
+    });
+    
+    check(logoutRes, {
+      'ログアウト: ステータスは200': (r) => r.status === 200,
+    });
+    
+    // ログアウト後はアクセストークンもリフレッシュトークンも使えない
+    const meRes = http.get(`${BASE_URL}/api/auth/me`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      responseCallback: http.expectedStatuses(401),
+    });
+    const refreshRes = http.post(
+      `${BASE_URL}/api/auth/refresh`,
+      JSON.stringify({ refreshToken: sessionRefreshToken }),
+      {
+        headers: { 'Content-Type': 'application/json' },
+        responseCallback: http.expectedStatuses(401),
+      }
+    );
+    
+    check(null, {
+      'ログアウト後: アクセストークンは401': () => meRes.status === 401,
+      'ログアウト後: リフレッシュトークンは401': () => refreshRes.status === 401,
+    });
+  });
+  
+  sleep(1);
 }
 
 /**
@@ -120,10 +225,8 @@ export default function () {
  * k6 run scenarios/03-realistic/01-authentication.js
  * 
  * 実践的な応用:
- * 1. トークンの有効期限テスト
- * 2. リフレッシュトークンのフロー
- * 3. 複数ユーザーでの同時ログイン
- * 4. ログアウト処理
+ * 1. トークンの有効期限テスト（07-token-refresh.js）
+ * 2. 複数ユーザーでの同時ログイン
  * 
  * ポイント:
  * - group() でリクエストをグループ化すると分析が容易
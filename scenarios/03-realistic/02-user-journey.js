@@ -1,29 +1,37 @@
 import http from 'k6/http';
 import { check, group, sleep } from 'k6';
-import { Counter } from 'k6/metrics';
+import { Counter, Rate } from 'k6/metrics';
+import { getData } from '../../utils/response.js';
 
 /**
  * 02. 複雑なユーザーフロー（User Journey）
- * 
+ *
  * 実際のユーザーが行う一連の操作をシミュレートします。
- * 
+ *
  * シナリオ: ECサイトでの買い物フロー
  * 1. ログイン
  * 2. 商品一覧を閲覧
  * 3. 商品詳細を表示（複数）
  * 4. カートに商品を追加
- * 5. ログアウト
- * 
+ * 5. 購入（チェックアウト）
+ * 6. 注文履歴を確認
+ *
+ * 一部のユーザーは在庫の少ない人気商品を購入しようとするため、
+ * 在庫がなくなると購入が409で拒否されます（在庫の奪い合い）。
+ *
  * 学べること:
  * - 複数ステップの連続したフロー
  * - セッション管理
- * - カスタムメトリクスの定義
+ * - カスタムメトリクスの定義（コンバージョン率・在庫切れ）
  * - think time（ユーザーの思考時間）の実装
+ * - setup() によるテストデータの準備
  */
 
 // カスタムメトリクス
 const purchaseAttempts = new Counter('purchase_attempts');
 const purchaseSuccess = new Counter('purchase_success');
+const outOfStock = new Counter('purchase_out_of_stock');
+const conversionRate = new Rate('purchase_conversion');
 
 export const options = {
   scenarios: {
@@ -33,20 +41,38 @@ export const options = {
       duration: '2m',
     },
   },
-  
+
   thresholds: {
     http_req_failed: ['rate<0.05'],
     'http_req_duration{journey:login}': ['p(95)<500'],
     'http_req_duration{journey:browse}': ['p(95)<300'],
-    'group_duration{group:::User_Journey}': ['avg<10000'],
+    'http_req_duration{journey:checkout}': ['p(95)<500'],
+    'group_duration{group:::User_Journey}': ['avg<20000'],
   },
 };
 
 const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+const HOT_PRODUCT_ID = 1;                                // 人気商品
+const HOT_PRODUCT_STOCK = parseInt(__ENV.HOT_PRODUCT_STOCK) || 20;
+const HOT_PRODUCT_RATIO = 0.5;                           // 人気商品を狙うユーザーの割合
+
+export function setup() {
+  // 人気商品の在庫を少なくしておく
+  const res = http.put(
+    `${BASE_URL}/admin/products/${HOT_PRODUCT_ID}/stock`,
+    JSON.stringify({ stock: HOT_PRODUCT_STOCK }),
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+
+  check(res, {
+    '人気商品の在庫を設定': (r) => r.status === 200,
+  });
+}
 
 export default function () {
   let authToken;
-  
+  let productIds = [];
+
   group('User_Journey', () => {
     // ステップ1: ログイン
     group('Step1_Login', () => {
@@ -54,7 +80,7 @@ export default function () {
         username: `user_${__VU}`,
         password: 'password123',
       });
-      
+
       const loginRes = http.post(
         `${BASE_URL}/api/auth/login`,
         loginPayload,
@@ -63,123 +89,180 @@ export default function () {
           tags: { journey: 'login' },
         }
       );
-      
+
       check(loginRes, {
         'ログイン成功': (r) => r.status === 200,
       });
-      
-      if (loginRes.status === 200) {
-        const body = JSON.parse(loginRes.body);
-        authToken = body.data.token;
+
+      const session = loginRes.status === 200 ? getData(loginRes) : null;
+      if (session) {
+        authToken = session.token;
       }
-      
+
       sleep(1); // think time
     });
-    
+
     if (!authToken) {
       return; // ログイン失敗時は処理を中断
     }
-    
+
     const headers = {
       'Authorization': `Bearer ${authToken}`,
       'Content-Type': 'application/json',
     };
-    
+
     // ステップ2: 商品一覧を閲覧
     group('Step2_Browse_Products', () => {
       const productsRes = http.get(
-        `${BASE_URL}/api/users`, // ユーザー一覧をプロダクト一覧に見立てる
+        `${BASE_URL}/api/products?limit=20&sort=price`,
         {
           tags: { journey: 'browse' },
         }
       );
-      
+
       check(productsRes, {
         '商品一覧取得成功': (r) => r.status === 200,
       });
-      
+
+      const products = productsRes.status === 200 ? getData(productsRes) : null;
+      if (Array.isArray(products)) {
+        productIds = products.map((product) => product.id);
+      }
+
       sleep(2); // ユーザーが一覧を眺める時間
     });
-    
+
+    if (productIds.length === 0) {
+      return;
+    }
+
     // ステップ3: 商品詳細を表示（3つの商品を見る）
+    const viewedIds = [];
     group('Step3_View_Product_Details', () => {
       for (let i = 1; i <= 3; i++) {
-        const productId = Math.floor(Math.random() * 10) + 1;
-        
+        const productId = productIds[Math.floor(Math.random() * productIds.length)];
+
         const detailRes = http.get(
-          `${BASE_URL}/api/users/${productId}`,
-          { tags: { journey: 'product_detail' } }
+          `${BASE_URL}/api/products/${productId}`,
+          { tags: { journey: 'product_detail', name: 'product_detail' } }
         );
-        
+
         check(detailRes, {
           [`商品詳細取得成功 (${i}/3)`]: (r) => r.status === 200,
         });
-        
+        viewedIds.push(productId);
+
         sleep(3); // 商品詳細を読む時間
       }
     });
-    
-    // ステップ4: カートに追加（購入を想定）
+
+    // ステップ4: カートに追加
     group('Step4_Add_To_Cart', () => {
-      purchaseAttempts.add(1);
-      
-      const cartPayload = JSON.stringify({
-        name: `商品_${Date.now()}`,
-        email: `user_${__VU}@example.com`,
-      });
-      
+      // 前回の購入に失敗したカートが残っていれば空にする
+      http.del(`${BASE_URL}/api/cart`, null, { headers });
+
+      const productId = Math.random() < HOT_PRODUCT_RATIO
+        ? HOT_PRODUCT_ID
+        : viewedIds[viewedIds.length - 1];
+
       const cartRes = http.post(
-        `${BASE_URL}/api/users`, // ユーザー作成を購入に見立てる
-        cartPayload,
-        { headers }
+        `${BASE_URL}/api/cart/items`,
+        JSON.stringify({ productId, quantity: 1 }),
+        { headers, tags: { journey: 'cart' } }
       );
-      
-      const success = check(cartRes, {
+
+      check(cartRes, {
         'カート追加成功': (r) => r.status === 201,
       });
-      
+
+      sleep(2);
+    });
+
+    // ステップ5: 購入
+    group('Step5_Checkout', () => {
+      purchaseAttempts.add(1);
+
+      const checkoutRes = http.post(`${BASE_URL}/api/checkout`, null, {
+        headers,
+        tags: { journey: 'checkout' },
+        // 在庫切れ（409）は想定内の結果として扱う
+        responseCallback: http.expectedStatuses(201, 409),
+      });
+
+      check(checkoutRes, {
+        '購入が確定または在庫切れ': (r) => r.status === 201 || r.status === 409,
+      });
+
+      const success = checkoutRes.status === 201;
+      conversionRate.add(success);
       if (success) {
         purchaseSuccess.add(1);
+      } else if (checkoutRes.status === 409) {
+        outOfStock.add(1);
       }
-      
-      sleep(2);
+
+      sleep(1);
     });
-    
-    // ステップ5: マイページを確認
-    group('Step5_My_Page', () => {
-      const myPageRes = http.get(
-        `${BASE_URL}/api/auth/me`,
-        { headers }
+
+    // ステップ6: 注文履歴を確認
+    group('Step6_Order_History', () => {
+      const ordersRes = http.get(
+        `${BASE_URL}/api/orders`,
+        { headers, tags: { journey: 'orders' } }
       );
-      
-      check(myPageRes, {
-        'マイページ表示成功': (r) => r.status === 200,
+
+      check(ordersRes, {
+        '注文履歴表示成功': (r) => r.status === 200,
       });
-      
+
       sleep(1);
     });
   });
-  
+
   sleep(5); // 次のユーザージャーニーまでの間隔
 }
 
+export function teardown() {
+  // 人気商品の在庫が負になっていない（売り越していない）ことを確認
+  const res = http.get(`${BASE_URL}/api/products/${HOT_PRODUCT_ID}`);
+
+  check(res, {
+    '人気商品の在庫は0以上': (r) => {
+      const product = getData(r);
+      return r.status === 200 && product !== null && product.stock >= 0;
+    },
+  });
+}
+
 /**
  * 実行方法:
  * k6 run scenarios/03-realistic/02-user-journey.js
- * 
+ *
+ * 人気商品の在庫を変える:
+ * k6 run -e HOT_PRODUCT_STOCK=5 scenarios/03-realistic/02-user-journey.js
+ *
  * 結果の確認:
  * - group_duration で各ステップの所要時間を確認
- * - purchase_success / purchase_attempts でコンバージョン率を計算
- * 
+ * - purchase_conversion で購入まで到達した割合（コンバージョン率）を確認
+ * - purchase_out_of_stock で在庫切れにより購入できなかった回数を確認
+ *
+ * モックAPI:
+ * - GET  /api/products, /api/products/:id   商品一覧・詳細（在庫数を含む）
+ * - POST /api/cart/items                    カートに追加
+ * - POST /api/checkout                      購入（在庫が足りなければ409）
+ * - GET  /api/orders                        注文履歴
+ * - PUT  /admin/products/:id/stock          在庫数の変更（テスト準備用）
+ *
  * 実践的な応用:
  * 1. 異なるユーザージャーニーパターンを定義
  *    - 新規ユーザー vs リピーター
  *    - モバイル vs デスクトップ
  * 2. 離脱率の測定
  * 3. ファネル分析
- * 
+ *
  * ポイント:
  * - think time（sleep）を適切に設定して実際のユーザー行動を再現
  * - カスタムメトリクスでビジネスKPIを測定
  * - group()で各ステップを明確に分離
+ * - 想定内のエラー（在庫切れの409）は responseCallback で失敗率から除外
  */
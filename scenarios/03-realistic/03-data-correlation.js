@@ -12,8 +12,9 @@ import { SharedArray } from 'k6/data';
  * 1. ユーザー一覧を取得
  * 2. レスポンスからランダムにユーザーIDを抽出
  * 3. そのユーザーIDで詳細を取得
- * 4. ユーザー情報を更新
- * 5. 更新したユーザーを削除
+ * 4. 新しいユーザーを作成
+ * 5. ユーザー情報を更新し、再取得して反映を確認
+ * 6. 更新したユーザーを削除し、404になることを確認
  * 
  * 学べること:
  * - レスポンスデータの抽出と再利用
@@ -169,6 +170,36 @@ export default function () {
         
         check(updateRes, {
           'ユーザー更新成功': (r) => r.status === 200,
+          '更新後のnameが反映されている': (r) => {
+            try {
+              const body = JSON.parse(r.body);
+              return body.data.name === `${userName}_updated`;
+            } catch (e) {
+              return false;
+            }
+          },
+          'updatedAtがcreatedAt以降': (r) => {
+            try {
+              const body = JSON.parse(r.body);
+              return Date.parse(body.data.updatedAt) >= Date.parse(body.data.createdAt);
+            } catch (e) {
+              return false;
+            }
+          },
+        });
+        
+        // 再取得してサーバー側に保存されていることを確認
+        const verifyRes = http.get(`${BASE_URL}/api/users/${userId}`);
+        
+        check(verifyRes, {
+          '再取得: 更新内容が保存されている': (r) => {
+            try {
+              const body = JSON.parse(r.body);
+              return r.status === 200 && body.data.email === `updated_${userEmail}`;
+            } catch (e) {
+              return false;
+            }
+          },
         });
         
         sleep(1);
@@ -182,6 +213,15 @@ export default function () {
           'ユーザー削除成功': (r) => r.status === 200,
         });
         
+        // 削除済みのIDを取得すると404になる
+        const deletedRes = http.get(`${BASE_URL}/api/users/${userId}`, {
+          responseCallback: http.expectedStatuses(404),
+        });
+        
+        check(deletedRes, {
+          '削除後の取得は404': (r) => r.status === 404,
+        });
+        
         sleep(1);
       });
     }
@@ -205,6 +245,8 @@ export default function () {
  * - SharedArray でメモリ効率的にテストデータを管理
  * - console.log でデバッグ情報を出力
  * - 各ステップで前のステップの結果を使用
+ * - 書き込み後に再取得し、サーバー側の状態まで検証する
+ * - 想定内の404は responseCallback で http_req_failed から除外
  * 
  * 応用:
  * - 正規表現でHTMLから値を抽出
@@ -1,5 +1,6 @@
 import http from 'k6/http';
 import { check, sleep } from 'k6';
+import { sha256 } from 'k6/crypto';
 import { FormData } from 'https://jslib.k6.io/formdata/0.0.2/index.js';
 
 /**
@@ -11,12 +12,18 @@ import { FormData } from 'https://jslib.k6.io/formdata/0.0.2/index.js';
  * 1. 小さなファイルのアップロード
  * 2. 中サイズのファイルのアップロード
  * 3. マルチパートフォームデータの送信
+ * 4. 上限を超えるファイルの送信（413）
+ * 
+ * 各アップロードで、サーバーが受信したバイト数とSHA-256が
+ * 送信した内容と一致することを確認します。
  * 
  * 学べること:
  * - バイナリデータの送信
  * - FormDataの使用
  * - マルチパートフォームの扱い
  * - ファイルサイズによる負荷の違い
+ * - チェックサムによるペイロードの完全性確認
+ * - 相関IDヘッダーによるリクエストの追跡（サーバー側のHAR記録と組み合わせる）
  */
 
 export const options = {
@@ -31,6 +38,22 @@ export const options = {
 };
 
 const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+// モックサーバーの UPLOAD_MAX_BYTES と合わせる（指定時のみ413のパターンを実行）
+const UPLOAD_MAX_BYTES = parseInt(__ENV.UPLOAD_MAX_BYTES) || 0;
+
+// VU・イテレーションごとの相関ID（モックサーバーのHAR記録でこの値を指定して絞り込める）
+function correlationId(step) {
+  return `upload-vu${__VU}-iter${__ITER}-${step}`;
+}
+
+// レスポンスの data を取り出す（パースできなければnull）
+function uploadedFile(response) {
+  try {
+    return JSON.parse(response.body).data || null;
+  } catch (e) {
+    return null;
+  }
+}
 
 // ダミーファイルデータを生成
 function generateFileContent(sizeInKB) {
@@ -47,9 +70,10 @@ function generateFileContent(sizeInKB) {
 
 export default function () {
   // パターン1: シンプルなJSONペイロード（小さなデータ）
+  const smallContent = generateFileContent(1); // 1KB
   const smallPayload = JSON.stringify({
     filename: 'small_file.txt',
-    content: generateFileContent(1), // 1KB
+    content: smallContent,
     size: 1024,
   });
   
@@ -57,50 +81,57 @@ export default function () {
     `${BASE_URL}/api/upload`,
     smallPayload,
     {
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'X-Correlation-ID': correlationId('small') },
       tags: { type: 'small_file' },
     }
   );
   
   check(response, {
     '小ファイル: アップロード成功': (r) => r.status === 200,
-    '小ファイル: レスポンスにファイル名': (r) => {
-      try {
-        const body = JSON.parse(r.body);
-        return body.data && body.data.filename !== undefined;
-      } catch (e) {
-        return false;
-      }
+    '小ファイル: ファイル名が一致': (r) => {
+      const file = uploadedFile(r);
+      return file !== null && file.filename === 'small_file.txt';
+    },
+    '小ファイル: チェックサムが一致': (r) => {
+      const file = uploadedFile(r);
+      return file !== null && file.sha256 === sha256(smallContent, 'hex');
     },
   });
   
   sleep(1);
   
-  // パターン2: 中サイズのファイル
+  // パターン2: 中サイズのファイル（チェックサムを送り、サーバー側で検証させる）
+  const mediumContent = generateFileContent(10); // 10KB
   const mediumPayload = JSON.stringify({
     filename: 'medium_file.txt',
-    content: generateFileContent(10), // 10KB
+    content: mediumContent,
     size: 10240,
+    sha256: sha256(mediumContent, 'hex'),
   });
   
   response = http.post(
     `${BASE_URL}/api/upload`,
     mediumPayload,
     {
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'X-Correlation-ID': correlationId('medium') },
       tags: { type: 'medium_file' },
     }
   );
   
   check(response, {
     '中ファイル: アップロード成功': (r) => r.status === 200,
+    '中ファイル: バイト数が一致': (r) => {
+      const file = uploadedFile(r);
+      return file !== null && file.size === 10240;
+    },
   });
   
   sleep(1);
   
   // パターン3: FormDataを使用したマルチパートアップロード
+  const multipartContent = generateFileContent(5); // 5KB
   const fd = new FormData();
-  fd.append('file', http.file(generateFileContent(5), 'test.txt'));
+  fd.append('file', http.file(multipartContent, 'test.txt', 'text/plain'));
   fd.append('description', 'テストファイル');
   fd.append('category', 'document');
   
@@ -108,15 +139,53 @@ export default function () {
     `${BASE_URL}/api/upload`,
     fd.body(),
     {
-      headers: { 'Content-Type': 'multipart/form-data; boundary=' + fd.boundary },
+      headers: {
+        'Content-Type': 'multipart/form-data; boundary=' + fd.boundary,
+        'X-Correlation-ID': correlationId('multipart'),
+      },
       tags: { type: 'multipart' },
     }
   );
   
   check(response, {
     'マルチパート: アップロード成功': (r) => r.status === 200,
+    'マルチパート: ファイル名とContent-Typeが一致': (r) => {
+      const file = uploadedFile(r);
+      return file !== null && file.filename === 'test.txt' && file.contentType === 'text/plain';
+    },
+    'マルチパート: バイト数とチェックサムが一致': (r) => {
+      const file = uploadedFile(r);
+      return file !== null && file.size === 5120 && file.sha256 === sha256(multipartContent, 'hex');
+    },
+    'マルチパート: フォームフィールドを受信': (r) => {
+      const file = uploadedFile(r);
+      return file !== null && file.fields.category === 'document';
+    },
   });
   
+  // パターン4: 上限を超えるファイル（413 Payload Too Large）
+  if (UPLOAD_MAX_BYTES > 0) {
+    const oversizedFd = new FormData();
+    oversizedFd.append('file', http.file('x'.repeat(UPLOAD_MAX_BYTES + 1), 'oversized.bin'));
+    
+    response = http.post(
+      `${BASE_URL}/api/upload`,
+      oversizedFd.body(),
+      {
+        headers: {
+          'Content-Type': 'multipart/form-data; boundary=' + oversizedFd.boundary,
+          'X-Correlation-ID': correlationId('oversized'),
+        },
+        tags: { type: 'oversized' },
+        responseCallback: http.expectedStatuses(413),
+      }
+    );
+    
+    check(response, {
+      '上限超過: ステータスは413': (r) => r.status === 413,
+    });
+  }
+  
   sleep(2);
 }
 
@@ -124,6 +193,17 @@ export default function () {
  * 実行方法:
  * k6 run scenarios/03-realistic/04-file-upload.js
  * 
+ * 上限超過（413）も確認する場合（モックサーバーと同じ値を指定）:
+ * UPLOAD_MAX_BYTES=102400 k6 run scenarios/03-realistic/04-file-upload.js
+ * 
+ * 実際に送ったマルチパートのボディを確認する（モックサーバーのHAR記録）:
+ * curl -X PUT http://localhost:3000/admin/recording \
+ *   -H 'Content-Type: application/json' \
+ *   -d '{"paths":["/api/upload"],"header":"X-Correlation-ID","headerValue":"upload-vu1-iter0-multipart"}'
+ * k6 run --iterations 1 --vus 1 scenarios/03-realistic/04-file-upload.js
+ * curl -o upload.har http://localhost:3000/admin/recording/har
+ * ⇒ ブラウザの開発者ツールやHARビューアーで開く
+ * 
  * ファイルアップロードのテストポイント:
  * 1. ファイルサイズによるレスポンスタイムの違い
  * 2. 同時アップロード数の制限
@@ -133,8 +213,7 @@ export default function () {
  * 実践的な応用:
  * - 大容量ファイル（数MB～数GB）のアップロード
  * - 複数ファイルの同時アップロード
- * - チャンクアップロード（分割アップロード）
- * - レジューム可能なアップロード
+ * - チャンクアップロード・レジューム可能なアップロード（09-chunked-upload.js）
  * 
  * 注意点:
  * - 大きなファイルはk6実行マシンのメモリを消費
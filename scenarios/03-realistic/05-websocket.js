@@ -0,0 +1,162 @@
+import ws from 'k6/ws';
+import { check } from 'k6';
+import { Counter, Trend } from 'k6/metrics';
+
+/**
+ * 05. WebSocket（リアルタイム通信）
+ *
+ * 多数のWebSocket接続を同時に張り、接続時間・メッセージの往復時間・
+ * 配信スループットを測定するシナリオです。チャット機能の負荷テストを想定しています。
+ *
+ * シナリオ:
+ * 1. echo:   メッセージを送って返ってくるまでの往復時間（RTT）を測定
+ * 2. chat:   同じルームの全員に配信されるまでの時間を測定
+ * 3. ticker: サーバーからのプッシュを受け続け、受信数を測定
+ *
+ * 学べること:
+ * - k6/ws による WebSocket 接続
+ * - socket.setInterval / setTimeout によるイベント駆動の処理
+ * - WebSocket の組み込みメトリクス（ws_connecting, ws_msgs_received など）
+ * - 複数の scenarios を同時に実行する設計
+ */
+
+export const options = {
+  scenarios: {
+    echo: {
+      executor: 'constant-vus',
+      vus: 20,
+      duration: '1m',
+      exec: 'echo',
+    },
+    chat: {
+      executor: 'constant-vus',
+      vus: 50,
+      duration: '1m',
+      exec: 'chat',
+    },
+    ticker: {
+      executor: 'constant-vus',
+      vus: 30,
+      duration: '1m',
+      exec: 'ticker',
+    },
+  },
+
+  thresholds: {
+    ws_connecting: ['p(95)<500'],                 // 接続確立まで500ms未満
+    ws_echo_rtt: ['p(95)<100'],                   // 往復100ms未満
+    ws_chat_delivery: ['p(95)<200'],              // ルーム配信200ms未満
+    'checks{scenario:echo}': ['rate>0.99'],
+    'checks{scenario:ticker}': ['rate>0.99'],
+  },
+};
+
+const WS_URL = (__ENV.BASE_URL || 'http://localhost:3000').replace(/^http/, 'ws');
+const SESSION_MS = 10000;     // 1接続あたりの維持時間
+const ROOM_COUNT = 5;         // chat シナリオのルーム数
+const TICK_INTERVAL_MS = 100; // ticker のプッシュ間隔
+
+const echoRtt = new Trend('ws_echo_rtt', true);
+const chatDelivery = new Trend('ws_chat_delivery', true);
+const chatReceived = new Counter('ws_chat_received');
+const ticksReceived = new Counter('ws_ticks_received');
+
+export function echo() {
+  const res = ws.connect(`${WS_URL}/ws/echo`, null, (socket) => {
+    socket.on('open', () => {
+      // 100msごとにタイムスタンプ付きのメッセージを送る
+      socket.setInterval(() => {
+        socket.send(JSON.stringify({ sentAt: Date.now() }));
+      }, 100);
+
+      socket.setTimeout(() => socket.close(), SESSION_MS);
+    });
+
+    socket.on('message', (data) => {
+      const message = JSON.parse(data);
+      echoRtt.add(Date.now() - message.sentAt);
+    });
+
+    socket.on('error', (e) => {
+      console.error(`echo: ${e.error()}`);
+    });
+  });
+
+  check(res, { 'echo: ステータスは101': (r) => r && r.status === 101 });
+}
+
+export function chat() {
+  // VUをルームに振り分ける（1ルームあたり約10人）
+  const room = `room-${__VU % ROOM_COUNT}`;
+
+  const res = ws.connect(`${WS_URL}/ws/rooms/${room}`, null, (socket) => {
+    socket.on('open', () => {
+      // 1秒ごとに発言
+      socket.setInterval(() => {
+        socket.send(JSON.stringify({ text: `VU${__VU}の発言`, sentAt: Date.now() }));
+      }, 1000);
+
+      socket.setTimeout(() => socket.close(), SESSION_MS);
+    });
+
+    socket.on('message', (data) => {
+      const message = JSON.parse(data);
+      if (message.type === 'message') {
+        chatReceived.add(1);
+        chatDelivery.add(Date.now() - message.sentAt);
+      }
+    });
+  });
+
+  check(res, { 'chat: ステータスは101': (r) => r && r.status === 101 });
+}
+
+export function ticker() {
+  let received = 0;
+  let lastSeq = 0;
+  let outOfOrder = false;
+
+  const res = ws.connect(`${WS_URL}/ws/ticker?interval=${TICK_INTERVAL_MS}`, null, (socket) => {
+    socket.on('message', (data) => {
+      const message = JSON.parse(data);
+      if (message.seq !== lastSeq + 1) {
+        outOfOrder = true;
+      }
+      lastSeq = message.seq;
+      received++;
+      ticksReceived.add(1);
+    });
+
+    socket.setTimeout(() => socket.close(), SESSION_MS);
+  });
+
+  const expected = SESSION_MS / TICK_INTERVAL_MS;
+
+  check(res, { 'ticker: ステータスは101': (r) => r && r.status === 101 });
+  check(received, {
+    'ticker: 想定の8割以上を受信': (n) => n >= expected * 0.8,
+    'ticker: 順序どおりに受信': () => !outOfOrder,
+  });
+}
+
+/**
+ * 実行方法:
+ * k6 run scenarios/03-realistic/05-websocket.js
+ *
+ * WebSocketエンドポイント:
+ * - ws://localhost:3000/ws/echo            エコー
+ * - ws://localhost:3000/ws/rooms/:room     ルーム内ブロードキャスト
+ * - ws://localhost:3000/ws/ticker?interval=100  サーバープッシュ
+ *
+ * 主なメトリクス:
+ * - ws_connecting: 接続確立までの時間（組み込み）
+ * - ws_msgs_sent / ws_msgs_received: 送受信メッセージ数（組み込み、/s でスループット）
+ * - ws_session_duration: 接続の維持時間（組み込み）
+ * - ws_echo_rtt: メッセージの往復時間
+ * - ws_chat_delivery: ルームの全員に届くまでの時間
+ *
+ * ポイント:
+ * - ws.connect() は接続が閉じるまで戻らない（1イテレーション = 1接続）
+ * - 時間の計測はk6側の Date.now() を使い、サーバーとの時計のずれを避ける
+ * - chat はルームの人数が増えるほど配信数が二乗で増える点に注意
+ */
@@ -10,12 +10,12 @@ import { check, sleep } from 'k6';
  * シナリオ:
  * 1. 複数のAPIを並列で呼び出し
  * 2. バッチリクエスト
- * 3. ページネーション処理
+ * 3. ページネーション処理（オフセット方式・カーソル方式）
  * 
  * 学べること:
  * - http.batch() による並列リクエスト
  * - 複数エンドポイントの同時負荷
- * - ページネーションの実装
+ * - ページネーションの実装（Linkヘッダー、next カーソル）
  * - レスポンスタイムの最適化
  */
 
@@ -28,10 +28,35 @@ export const options = {
     http_req_duration: ['p(95)<1000'],
     'http_req_duration{type:parallel}': ['p(95)<500'],
     'http_req_duration{type:sequential}': ['p(95)<800'],
+    'http_req_duration{type:pagination}': ['p(95)<500'],
   },
 };
 
 const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+const OFFSET_PAGES = 3;
+const MAX_CURSOR_PAGES = 100; // 無限ループ防止
+
+/**
+ * Linkヘッダーを { rel: url } 形式に変換
+ * 
+ * @param {string} header - 例: '<http://...?page=2>; rel="next", <...>; rel="last"'
+ * @returns {Object}
+ */
+function parseLinkHeader(header) {
+  const links = {};
+  if (!header) {
+    return links;
+  }
+  
+  header.split(',').forEach((part) => {
+    const match = part.match(/<([^>]+)>;\s*rel="([^"]+)"/);
+    if (match) {
+      links[match[2]] = match[1];
+    }
+  });
+  
+  return links;
+}
 
 export default function () {
   // パターン1: 順次実行（比較用）
@@ -90,21 +115,81 @@ export default function () {
   
   sleep(2);
   
-  // パターン4: ページネーション（順次）
-  console.log('=== ページネーション ===');
-  const pages = 3;
+  // パターン4: オフセット方式のページネーション（Linkヘッダーをたどる）
+  console.log('=== ページネーション（オフセット） ===');
+  let nextUrl = `${BASE_URL}/api/users?page=1&limit=20&sort=-createdAt`;
   
-  for (let page = 1; page <= pages; page++) {
-    const pageRes = http.get(
-      `${BASE_URL}/api/large-payload?size=${10 * page}`,
-      { tags: { type: 'pagination', page: `page_${page}` } }
-    );
+  for (let page = 1; page <= OFFSET_PAGES && nextUrl; page++) {
+    const pageRes = http.get(nextUrl, {
+      tags: { type: 'pagination', mode: 'offset', name: 'users_page' },
+    });
     
     check(pageRes, {
       [`ページ${page}: 取得成功`]: (r) => r.status === 200,
+      [`ページ${page}: 総件数ヘッダーあり`]: (r) => parseInt(r.headers['X-Total-Count']) > 0,
+      [`ページ${page}: ページ番号が一致`]: (r) => {
+        try {
+          return JSON.parse(r.body).pagination.page === page;
+        } catch (e) {
+          return false;
+        }
+      },
     });
+    
+    nextUrl = parseLinkHeader(pageRes.headers['Link']).next;
   }
   
+  sleep(2);
+  
+  // パターン5: カーソル方式で全ページを取得
+  // 取得中に他のVUがユーザーを追加しても、重複や取りこぼしが起きない
+  console.log('=== ページネーション（カーソル） ===');
+  const seenIds = {};
+  let duplicated = 0;
+  let initialTotal = 0;
+  let pages = 0;
+  let cursor = '';
+  
+  do {
+    const cursorRes = http.get(
+      `${BASE_URL}/api/users?limit=100${cursor ? `&cursor=${cursor}` : ''}`,
+      { tags: { type: 'pagination', mode: 'cursor', name: 'users_cursor' } }
+    );
+    
+    if (cursorRes.status !== 200) {
+      break;
+    }
+    
+    let body;
+    try {
+      body = JSON.parse(cursorRes.body);
+    } catch (e) {
+      console.error('JSONパースエラー:', e);
+      break;
+    }
+    
+    if (pages === 0) {
+      initialTotal = body.pagination.total;
+    }
+    body.data.forEach((user) => {
+      if (seenIds[user.id]) {
+        duplicated++;
+      }
+      seenIds[user.id] = true;
+    });
+    
+    cursor = body.pagination.next;
+    pages++;
+  } while (cursor && pages < MAX_CURSOR_PAGES);
+  
+  const collected = Object.keys(seenIds).length;
+  console.log(`カーソル: ${pages}ページ / ${collected}件`);
+  
+  check(null, {
+    'カーソル: 重複なし': () => duplicated === 0,
+    'カーソル: 全件を取得': () => collected >= initialTotal,
+  });
+  
   sleep(3);
 }
 
@@ -130,6 +215,11 @@ export default function () {
  * - あまり多くのリクエストを詰め込みすぎない
  * - サーバー側の同時接続数制限に注意
  * 
+ * ページネーション:
+ * - オフセット方式: ?page=N&limit=M（Linkヘッダーの rel="next" をたどる）
+ * - カーソル方式: ?cursor=<pagination.next>（データ追加中も重複しない）
+ * - sort（例: -createdAt）、name / email の部分一致フィルタも指定可能
+ * 
  * ベストプラクティス:
  * - 関連するリクエストをグループ化
  * - 独立したリクエストのみを並列化
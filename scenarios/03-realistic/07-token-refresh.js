@@ -0,0 +1,147 @@
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Counter } from 'k6/metrics';
+import { refreshTokens, getAuthHeaders } from '../../utils/auth.js';
+
+/**
+ * 07. トークンの有効期限とリフレッシュ
+ *
+ * アクセストークンの有効期限が短い環境で、長時間APIを呼び続ける
+ * クライアントの挙動を再現します。
+ *
+ * 前提:
+ * モックサーバーを短いアクセストークン有効期間で起動しておく
+ *   ACCESS_TOKEN_TTL=30 npm start
+ *   （Docker Composeの場合は environment に ACCESS_TOKEN_TTL=30 を追加）
+ *
+ * フロー:
+ * 1. VUごとに一度だけログイン
+ * 2. 認証APIを呼び続ける
+ * 3. 401が返ったらリフレッシュトークンで更新して再試行
+ * 4. 期限切れの直前には先回りしてリフレッシュ
+ *
+ * 学べること:
+ * - イテレーションをまたいで状態を保持する（モジュールスコープの変数）
+ * - 401を起点にしたリトライ
+ * - リフレッシュトークンのローテーション
+ */
+
+export const options = {
+  vus: 10,
+  duration: '3m',
+
+  thresholds: {
+    http_req_failed: ['rate<0.05'],
+    'http_req_duration{name:refresh}': ['p(95)<300'],
+    'http_req_duration{name:authenticated}': ['p(95)<300'],
+    token_refresh_failures: ['count<1'],
+  },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+const REFRESH_MARGIN_MS = 5000; // 期限切れの5秒前に先回りしてリフレッシュ
+
+const tokenRefreshes = new Counter('token_refreshes');
+const tokenRefreshFailures = new Counter('token_refresh_failures');
+const expiredTokenResponses = new Counter('expired_token_responses');
+
+// VUごとのトークン状態（イテレーションをまたいで保持される）
+let session = null;
+
+function startSession() {
+  const res = http.post(
+    `${BASE_URL}/api/auth/login`,
+    JSON.stringify({ username: `vu${__VU}`, password: 'testpass' }),
+    {
+      headers: { 'Content-Type': 'application/json' },
+      tags: { name: 'login' },
+    }
+  );
+
+  if (res.status !== 200) {
+    return null;
+  }
+  return toSession(JSON.parse(res.body).data);
+}
+
+function toSession(tokens) {
+  return {
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    expiresAt: Date.now() + tokens.expiresIn * 1000,
+  };
+}
+
+function renewSession() {
+  const tokens = refreshTokens(BASE_URL, session.refreshToken);
+
+  if (!tokens) {
+    tokenRefreshFailures.add(1);
+    // リフレッシュトークンも使えない場合はログインからやり直す
+    session = startSession();
+    return;
+  }
+
+  tokenRefreshes.add(1);
+  session = toSession(tokens);
+}
+
+export default function () {
+  if (!session) {
+    session = startSession();
+    if (!session) {
+      sleep(1);
+      return;
+    }
+  }
+
+  // 期限切れ直前なら先回りしてリフレッシュ
+  if (session.expiresAt - Date.now() < REFRESH_MARGIN_MS) {
+    renewSession();
+    if (!session) {
+      sleep(1);
+      return;
+    }
+  }
+
+  let res = http.get(`${BASE_URL}/api/auth/me`, {
+    headers: getAuthHeaders(session.token),
+    tags: { name: 'authenticated' },
+    responseCallback: http.expectedStatuses(200, 401),
+  });
+
+  // 時計のずれなどで期限切れになった場合は、リフレッシュして再試行
+  if (res.status === 401) {
+    expiredTokenResponses.add(1);
+    renewSession();
+
+    if (session) {
+      res = http.get(`${BASE_URL}/api/auth/me`, {
+        headers: getAuthHeaders(session.token),
+        tags: { name: 'authenticated' },
+      });
+    }
+  }
+
+  check(res, {
+    '認証リクエスト: ステータスは200': (r) => r.status === 200,
+  });
+
+  sleep(1);
+}
+
+/**
+ * 実行方法:
+ * ACCESS_TOKEN_TTL=30 で起動したモックサーバーに対して
+ * k6 run scenarios/03-realistic/07-token-refresh.js
+ *
+ * カスタムメトリクス:
+ * - token_refreshes: リフレッシュ成功回数
+ * - token_refresh_failures: リフレッシュ失敗回数（ログインからやり直した回数）
+ * - expired_token_responses: 期限切れで401になった回数
+ *
+ * ポイント:
+ * - リフレッシュトークンは使い捨て。古いトークンを再送するとセッションごと失効する
+ * - 先回りのリフレッシュで、ユーザーから見た401をほぼゼロにできる
+ * - ACCESS_TOKEN_TTL を短くするほどリフレッシュAPIへの負荷が増える
+ */
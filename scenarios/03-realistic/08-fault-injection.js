@@ -0,0 +1,153 @@
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import exec from 'k6/execution';
+
+/**
+ * 08. 障害注入（フォールトインジェクション）
+ *
+ * テストの途中でモックサーバーに障害を注入し、
+ * チェックや閾値がどう反応するかを観察するシナリオです。
+ *
+ * シナリオ:
+ * 1. 0〜30秒: 正常状態（baseline）
+ * 2. 30〜60秒: /api/users* に30%のエラーと300ms±200msの遅延を注入（degraded）
+ * 3. 60〜90秒: 障害を解除して回復を確認（recovery）
+ *
+ * 学べること:
+ * - 複数の scenarios を組み合わせたテスト設計
+ * - テスト中のサーバー状態の切り替え（/admin/faults）
+ * - フェーズごとのタグ付けと閾値
+ * - 劣化時に閾値が失敗することの確認
+ */
+
+const PHASE_SECONDS = 30;
+
+export const options = {
+  scenarios: {
+    // 通常のトラフィック
+    traffic: {
+      executor: 'constant-vus',
+      vus: 10,
+      duration: `${PHASE_SECONDS * 3}s`,
+      exec: 'traffic',
+    },
+    // 障害の注入と解除（1VUで1回だけ実行）
+    chaos: {
+      executor: 'shared-iterations',
+      vus: 1,
+      iterations: 1,
+      startTime: `${PHASE_SECONDS}s`,
+      maxDuration: `${PHASE_SECONDS * 2}s`,
+      exec: 'chaos',
+    },
+  },
+
+  thresholds: {
+    // 正常時・回復後は厳しい基準を満たすこと
+    'http_req_failed{phase:baseline}': ['rate<0.01'],
+    'http_req_failed{phase:recovery}': ['rate<0.01'],
+    'http_req_duration{phase:baseline}': ['p(95)<200'],
+    'http_req_duration{phase:recovery}': ['p(95)<200'],
+
+    // 劣化中はこの閾値が失敗するはず（検知できることの確認）
+    'http_req_failed{phase:degraded}': ['rate<0.05'],
+    'http_req_duration{phase:degraded}': ['p(95)<200'],
+  },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+
+/**
+ * 経過時間から現在のフェーズを求める
+ */
+function currentPhase() {
+  const elapsedSeconds = exec.instance.currentTestRunDuration / 1000;
+
+  if (elapsedSeconds < PHASE_SECONDS) {
+    return 'baseline';
+  }
+  if (elapsedSeconds < PHASE_SECONDS * 2) {
+    return 'degraded';
+  }
+  return 'recovery';
+}
+
+export function setup() {
+  // 前回の実行で残ったルールを削除
+  http.del(`${BASE_URL}/admin/faults`);
+}
+
+export function traffic() {
+  const phase = currentPhase();
+
+  const response = http.get(`${BASE_URL}/api/users/${Math.floor(Math.random() * 10) + 1}`, {
+    tags: { phase },
+  });
+
+  check(response, {
+    'ステータスは200': (r) => r.status === 200,
+    'レスポンスタイム < 200ms': (r) => r.timings.duration < 200,
+  }, { phase });
+
+  sleep(0.5);
+}
+
+export function chaos() {
+  const ruleRes = http.post(
+    `${BASE_URL}/admin/faults`,
+    JSON.stringify({
+      path: '/api/users*',
+      errorRate: 0.3,
+      statuses: [500, 503],
+      latencyMs: 300,
+      jitterMs: 200,
+    }),
+    {
+      headers: { 'Content-Type': 'application/json' },
+      tags: { phase: 'control' },
+    }
+  );
+
+  check(ruleRes, {
+    '障害注入ルールを追加': (r) => r.status === 201,
+  });
+  console.log('障害を注入しました');
+
+  sleep(PHASE_SECONDS);
+
+  const clearRes = http.del(`${BASE_URL}/admin/faults`, null, {
+    tags: { phase: 'control' },
+  });
+
+  check(clearRes, {
+    '障害注入ルールを解除': (r) => r.status === 200,
+  });
+  console.log('障害を解除しました');
+}
+
+export function teardown() {
+  // テストが中断されても障害が残らないようにする
+  http.del(`${BASE_URL}/admin/faults`);
+}
+
+/**
+ * 実行方法:
+ * k6 run scenarios/03-realistic/08-fault-injection.js
+ *
+ * 期待される結果:
+ * - phase:baseline と phase:recovery の閾値は成功
+ * - phase:degraded の閾値は失敗（k6の終了コードは99になる）
+ *
+ * 障害注入API（curlでも操作可能）:
+ * - GET    /admin/faults       ルール一覧（hits / injectedErrors で発生状況を確認）
+ * - POST   /admin/faults       ルール追加
+ *   { "path": "/api/*", "method": "GET", "errorRate": 0.2,
+ *     "statuses": [503], "latencyMs": 500, "jitterMs": 100 }
+ * - DELETE /admin/faults/:id   ルール削除
+ * - DELETE /admin/faults       すべて削除
+ *
+ * ポイント:
+ * - 注入されたエラーには X-Fault-Injected ヘッダーが付く
+ * - setup / teardown でルールを掃除し、他のテストに影響させない
+ * - 回復フェーズで閾値が戻ることも確認する（自己回復性）
+ */
@@ -0,0 +1,205 @@
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { sha256 } from 'k6/crypto';
+import { Counter, Trend } from 'k6/metrics';
+
+/**
+ * 09. 再開可能な分割アップロード（チャンクアップロード）
+ *
+ * 数MBのファイルをチャンクに分けて送信し、途中で失敗しても
+ * サーバーが受信済みのオフセットから再開するパターンをテストします。
+ *
+ * シナリオ:
+ * 1. アップロードセッションを作成（サイズとSHA-256を宣言）
+ * 2. Upload-Offset を指定してチャンクを順に送信
+ * 3. チャンクの送信に失敗したら HEAD で現在のオフセットを確認して再開
+ * 4. 完了を通知し、サーバー側で結合したファイルのチェックサムを確認
+ *
+ * チャンクの失敗は setup() で障害注入ルール（/admin/faults）を追加して発生させます。
+ *
+ * 学べること:
+ * - http.patch() によるバイナリ送信
+ * - レスポンスヘッダーを使った再開処理
+ * - setup / teardown によるテスト環境の準備と後片付け
+ * - 再送回数などのカスタムメトリクス
+ */
+
+export const options = {
+  vus: 3,
+  duration: '1m',
+
+  thresholds: {
+    'http_req_duration{name:upload_chunk}': ['p(95)<2000'],
+    chunk_upload_failures: ['count>0'],       // 障害注入が効いていること
+    chunked_upload_incomplete: ['count<1'],   // すべてのアップロードが最後まで完了すること
+  },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+const FILE_SIZE_MB = parseInt(__ENV.FILE_SIZE_MB) || 5;
+const CHUNK_SIZE = (parseInt(__ENV.CHUNK_SIZE_KB) || 512) * 1024;
+const CHUNK_ERROR_RATE = parseFloat(__ENV.CHUNK_ERROR_RATE || '0.2');
+const MAX_RETRIES = 10;
+
+const chunkUploadFailures = new Counter('chunk_upload_failures');
+const chunkedUploadIncomplete = new Counter('chunked_upload_incomplete');
+const chunkedUploadDuration = new Trend('chunked_upload_duration', true);
+
+/**
+ * テスト用のファイル内容を生成（VUごとに一度だけ）
+ *
+ * 64KBのランダムな文字列を繰り返して指定サイズにする
+ */
+function generateFile(sizeInMB) {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let block = '';
+  for (let i = 0; i < 64 * 1024; i++) {
+    block += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return block.repeat(sizeInMB * 16);
+}
+
+const fileContent = generateFile(FILE_SIZE_MB);
+const fileChecksum = sha256(fileContent, 'hex');
+
+export function setup() {
+  // チャンク送信だけを一定の確率で失敗させる
+  const res = http.post(
+    `${BASE_URL}/admin/faults`,
+    JSON.stringify({
+      path: '/api/uploads/*',
+      method: 'PATCH',
+      errorRate: CHUNK_ERROR_RATE,
+      statuses: [500, 503],
+    }),
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+
+  return { faultRuleId: res.status === 201 ? JSON.parse(res.body).data.id : null };
+}
+
+/**
+ * サーバーが受信済みのオフセットを問い合わせる
+ */
+function fetchOffset(uploadUrl) {
+  const res = http.request('HEAD', uploadUrl, null, { tags: { name: 'upload_offset' } });
+  return res.status === 200 ? parseInt(res.headers['Upload-Offset']) : null;
+}
+
+export default function () {
+  const startTime = Date.now();
+
+  // ステップ1: セッションを作成
+  const createRes = http.post(
+    `${BASE_URL}/api/uploads`,
+    JSON.stringify({
+      filename: `vu${__VU}_iter${__ITER}.txt`,
+      size: fileContent.length,
+      contentType: 'text/plain',
+      sha256: fileChecksum,
+    }),
+    {
+      headers: { 'Content-Type': 'application/json' },
+      tags: { name: 'upload_create' },
+    }
+  );
+
+  if (!check(createRes, { 'セッション作成: ステータスは201': (r) => r.status === 201 })) {
+    chunkedUploadIncomplete.add(1);
+    return;
+  }
+
+  const uploadUrl = `${BASE_URL}${createRes.headers['Location']}`;
+
+  // ステップ2: チャンクを送信（失敗したらオフセットを確認して再開）
+  let offset = 0;
+  let retries = 0;
+
+  while (offset < fileContent.length && retries <= MAX_RETRIES) {
+    const chunk = fileContent.substring(offset, offset + CHUNK_SIZE);
+
+    const patchRes = http.patch(uploadUrl, chunk, {
+      headers: {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(offset),
+      },
+      tags: { name: 'upload_chunk' },
+      // 障害注入による失敗は想定内
+      responseCallback: http.expectedStatuses(204, 500, 503),
+    });
+
+    if (patchRes.status === 204) {
+      offset = parseInt(patchRes.headers['Upload-Offset']);
+      retries = 0;
+      continue;
+    }
+
+    // ステップ3: 失敗したチャンクはサーバーのオフセットから再開
+    chunkUploadFailures.add(1);
+    retries++;
+    const serverOffset = fetchOffset(uploadUrl);
+    if (serverOffset !== null) {
+      offset = serverOffset;
+    }
+    sleep(0.2);
+  }
+
+  // ステップ4: 完了を通知
+  const completeRes = http.post(`${uploadUrl}/complete`, null, {
+    tags: { name: 'upload_complete' },
+  });
+
+  const completed = check(completeRes, {
+    '完了: ステータスは200': (r) => r.status === 200,
+    '完了: サイズが一致': (r) => {
+      try {
+        return JSON.parse(r.body).data.size === fileContent.length;
+      } catch (e) {
+        return false;
+      }
+    },
+    '完了: チェックサムが一致': (r) => {
+      try {
+        return JSON.parse(r.body).data.sha256 === fileChecksum;
+      } catch (e) {
+        return false;
+      }
+    },
+  });
+
+  if (completed) {
+    chunkedUploadDuration.add(Date.now() - startTime);
+  } else {
+    chunkedUploadIncomplete.add(1);
+  }
+
+  sleep(1);
+}
+
+export function teardown(data) {
+  if (data.faultRuleId) {
+    http.del(`${BASE_URL}/admin/faults/${data.faultRuleId}`);
+  }
+}
+
+/**
+ * 実行方法:
+ * k6 run scenarios/03-realistic/09-chunked-upload.js
+ *
+ * 設定（環境変数）:
+ * - FILE_SIZE_MB: ファイルサイズ（デフォルト5MB）
+ * - CHUNK_SIZE_KB: チャンクサイズ（デフォルト512KB）
+ * - CHUNK_ERROR_RATE: チャンク送信の失敗率（デフォルト0.2）
+ *
+ * 分割アップロードAPI:
+ * - POST   /api/uploads              セッション作成（Location ヘッダーでURLを返す）
+ * - HEAD   /api/uploads/:id          現在のオフセット（Upload-Offset ヘッダー）
+ * - PATCH  /api/uploads/:id          チャンク送信（Upload-Offset ヘッダー必須）
+ * - POST   /api/uploads/:id/complete 結合してチェックサムを検証
+ * - DELETE /api/uploads/:id          中止
+ *
+ * ポイント:
+ * - チャンクサイズが小さいほど再送の無駄は減るが、リクエスト数が増える
+ * - 再開時はクライアントの記憶ではなくサーバーのオフセットを信頼する
+ * - ファイル内容はVUごとにメモリに載るため、VU数×ファイルサイズに注意
+ */
@@ -0,0 +1,137 @@
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Counter, Trend } from 'k6/metrics';
+
+/**
+ * 10. Server-Sent Events（ストリーミングレスポンス）
+ *
+ * 長時間開いたままのHTTPストリームを多数同時に保持し、
+ * 最初のイベントが届くまでの時間とイベント間隔を測定するシナリオです。
+ *
+ * シナリオ:
+ * 1. /api/events に接続し、指定レート・件数のイベントを最後まで受信
+ * 2. 一部のVUは Last-Event-ID を指定して途中から再開
+ * 3. 受信したイベントを解析して件数・順序・間隔を検証
+ *
+ * 学べること:
+ * - ストリーミングレスポンスの負荷テスト
+ * - text/event-stream の解析
+ * - timings.waiting を「最初のイベントまでの時間」として使う方法
+ * - Trend によるカスタムメトリクス
+ */
+
+export const options = {
+  stages: [
+    { duration: '30s', target: 100 },  // 30秒で100ストリームまで増やす
+    { duration: '1m', target: 100 },   // 1分間100ストリームを維持
+    { duration: '10s', target: 0 },
+  ],
+
+  thresholds: {
+    sse_time_to_first_event: ['p(95)<500'],
+    // 期待する間隔（1000 / EVENT_RATE ms）からの遅れ
+    sse_event_gap: ['p(95)<250'],
+    // 順序のチェックだけを assertion タグで絞り込む（README の「タグ付けとフィルタリング」を参照）
+    'checks{assertion:events_in_order}': ['rate>0.99'],
+  },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+const EVENT_RATE = 5;    // 1秒あたりのイベント数
+const EVENT_COUNT = 50;  // 1ストリームあたりのイベント数（約10秒）
+const RESUME_RATIO = 0.2;
+
+const timeToFirstEvent = new Trend('sse_time_to_first_event', true);
+const eventGap = new Trend('sse_event_gap', true);
+const eventsReceived = new Counter('sse_events_received');
+
+/**
+ * text/event-stream の本文をイベントの配列に変換
+ *
+ * @param {string} body
+ * @returns {Array<Object>} - [{ id, event, data }]
+ */
+function parseEvents(body) {
+  return body
+    .split('\n\n')
+    .filter((block) => block.trim() !== '')
+    .map((block) => {
+      const event = {};
+      block.split('\n').forEach((line) => {
+        const index = line.indexOf(':');
+        if (index > 0) {
+          event[line.substring(0, index)] = line.substring(index + 1).trim();
+        }
+      });
+      return event;
+    })
+    .filter((event) => event.data !== undefined);
+}
+
+export default function () {
+  // 一部のVUは途中のイベントIDから再開する
+  const resumeFrom = Math.random() < RESUME_RATIO ? EVENT_COUNT / 2 : 0;
+  const headers = { 'Accept': 'text/event-stream' };
+  if (resumeFrom > 0) {
+    headers['Last-Event-ID'] = String(resumeFrom);
+  }
+
+  const res = http.get(`${BASE_URL}/api/events?rate=${EVENT_RATE}&count=${EVENT_COUNT}`, {
+    headers,
+    timeout: '60s',
+    tags: { name: 'sse_stream', resumed: String(resumeFrom > 0) },
+  });
+
+  // ヘッダーは最初のイベントと一緒に届くため、TTFB = 最初のイベントまでの時間
+  timeToFirstEvent.add(res.timings.waiting);
+
+  const events = res.status === 200 ? parseEvents(res.body) : [];
+  eventsReceived.add(events.length);
+
+  // サーバーの送信時刻からイベント間隔を求め、期待値からの遅れを記録
+  const expectedGap = 1000 / EVENT_RATE;
+  let inOrder = true;
+  for (let i = 1; i < events.length; i++) {
+    const prev = JSON.parse(events[i - 1].data);
+    const current = JSON.parse(events[i].data);
+    eventGap.add(Math.max(0, current.serverTime - prev.serverTime - expectedGap));
+    if (current.seq !== prev.seq + 1) {
+      inOrder = false;
+    }
+  }
+
+  check(res, {
+    'ステータスは200': (r) => r.status === 200,
+    'Content-Type は text/event-stream': (r) =>
+      (r.headers['Content-Type'] || '').startsWith('text/event-stream'),
+  });
+  check(events, {
+    'すべてのイベントを受信': (e) => e.length === EVENT_COUNT - resumeFrom,
+    '再開位置が正しい': (e) => e.length > 0 && parseInt(e[0].id) === resumeFrom + 1,
+  });
+  check(inOrder, { '順序どおりに受信': (ok) => ok }, { assertion: 'events_in_order' });
+
+  sleep(1);
+}
+
+/**
+ * 実行方法:
+ * k6 run scenarios/03-realistic/10-server-sent-events.js
+ *
+ * SSEエンドポイント:
+ * GET /api/events?rate=5&count=50
+ * - rate: 1秒あたりのイベント数（0.1〜1000）
+ * - count: 総イベント数
+ * - Last-Event-ID ヘッダー: 指定したIDの次のイベントから再開
+ *
+ * カスタムメトリクス:
+ * - sse_time_to_first_event: 最初のイベントが届くまでの時間
+ * - sse_event_gap: イベント間隔の期待値からの遅れ（サーバーの送信時刻ベース）
+ * - sse_events_received: 受信したイベント数
+ *
+ * 注意:
+ * - k6 の http.get() はストリームが終わるまで戻らないため、count を必ず指定する
+ * - k6 標準ではイベントごとの到着時刻は取れないため、間隔はサーバーの送信時刻で測る
+ *   （ストリーム数が増えてサーバーのイベントループが詰まると、遅れとして現れる）
+ * - 到着時刻そのものを測る場合は xk6-sse などの拡張を検討する
+ */
@@ -0,0 +1,185 @@
+import grpc from 'k6/net/grpc';
+import { check, sleep } from 'k6';
+import { Counter, Trend } from 'k6/metrics';
+
+/**
+ * 11. gRPC（ユニタリ + サーバーストリーミング）
+ *
+ * モックサーバーのgRPCサービス（mock-server/proto/user.proto）に対して、
+ * HTTP/JSON と同じ負荷パターンでテストするシナリオです。
+ *
+ * シナリオ:
+ * 1. GetUser:    IDでユーザーを取得（ユニタリ）
+ * 2. CreateUser: ユーザーを作成（ユニタリ）
+ * 3. GetUser:    存在しないIDで NOT_FOUND が返ることを確認
+ * 4. ListUsers:  ユーザー一覧をストリームで受信（サーバーストリーミング）
+ *
+ * 学べること:
+ * - k6/net/grpc によるgRPCの呼び出し
+ * - .proto ファイルの読み込みと接続の使い回し
+ * - gRPCのステータスコードによるチェック
+ * - grpc.Stream によるストリーミングの受信
+ * - 環境変数で負荷パターンを切り替える方法
+ */
+
+// 02-load-patterns と同じ段階設定
+const LOAD_PATTERNS = {
+  smoke: [
+    { duration: '30s', target: 1 },
+    { duration: '1m', target: 1 },
+    { duration: '30s', target: 0 },
+  ],
+  load: [
+    { duration: '2m', target: 10 },
+    { duration: '5m', target: 10 },
+    { duration: '2m', target: 20 },
+    { duration: '5m', target: 20 },
+    { duration: '2m', target: 0 },
+  ],
+  stress: [
+    { duration: '2m', target: 20 },
+    { duration: '5m', target: 20 },
+    { duration: '2m', target: 50 },
+    { duration: '5m', target: 50 },
+    { duration: '2m', target: 100 },
+    { duration: '5m', target: 100 },
+    { duration: '5m', target: 0 },
+  ],
+  spike: [
+    { duration: '10s', target: 10 },
+    { duration: '1m', target: 10 },
+    { duration: '10s', target: 200 },
+    { duration: '3m', target: 200 },
+    { duration: '10s', target: 10 },
+    { duration: '3m', target: 10 },
+    { duration: '10s', target: 0 },
+  ],
+};
+
+const LOAD_PATTERN = __ENV.LOAD_PATTERN || 'smoke';
+
+export const options = {
+  stages: LOAD_PATTERNS[LOAD_PATTERN],
+
+  thresholds: {
+    // ユニタリ呼び出しのレイテンシ
+    'grpc_req_duration{name:GetUser}': ['p(95)<100'],
+    'grpc_req_duration{name:CreateUser}': ['p(95)<200'],
+    // ストリームの受信完了までの時間
+    grpc_stream_duration: ['p(95)<1000'],
+    checks: ['rate>0.99'],
+  },
+};
+
+const GRPC_ADDR = __ENV.GRPC_ADDR || 'localhost:50051';
+const SERVICE = 'k6sandbox.user.v1.UserService';
+const STREAM_LIMIT = 20;
+
+const streamDuration = new Trend('grpc_stream_duration', true);
+const streamMessages = new Counter('grpc_stream_messages');
+
+// .proto はinitコンテキストで読み込む（パスはこのファイルからの相対パス）
+const client = new grpc.Client();
+client.load(['../../mock-server/proto'], 'user.proto');
+
+export default function () {
+  // 接続はVUごとに1回だけ張って使い回す
+  if (__ITER === 0) {
+    client.connect(GRPC_ADDR, { plaintext: true });
+  }
+
+  // 1. ユーザー取得
+  const userId = Math.floor(Math.random() * 100) + 1;
+  let response = client.invoke(`${SERVICE}/GetUser`, { id: userId }, {
+    tags: { name: 'GetUser' },
+  });
+
+  check(response, {
+    'GetUser: ステータスはOK': (r) => r && r.status === grpc.StatusOK,
+    'GetUser: IDが一致': (r) => r && r.message && r.message.id === userId,
+  });
+
+  sleep(0.5);
+
+  // 2. ユーザー作成
+  const timestamp = Date.now();
+  response = client.invoke(`${SERVICE}/CreateUser`, {
+    name: `gRPCユーザー${timestamp}`,
+    email: `grpc_${timestamp}@example.com`,
+  }, {
+    tags: { name: 'CreateUser' },
+  });
+
+  check(response, {
+    'CreateUser: ステータスはOK': (r) => r && r.status === grpc.StatusOK,
+    'CreateUser: IDが採番された': (r) => r && r.message && r.message.id > 0,
+  });
+
+  sleep(0.5);
+
+  // 3. 存在しないユーザー（エラーもステータスコードで判定する）
+  response = client.invoke(`${SERVICE}/GetUser`, { id: 99999999 }, {
+    tags: { name: 'GetUserNotFound' },
+  });
+
+  check(response, {
+    'GetUser: 存在しないIDは NOT_FOUND': (r) => r && r.status === grpc.StatusNotFound,
+  });
+
+  sleep(0.5);
+
+  // 4. サーバーストリーミング
+  const stream = new grpc.Stream(client, `${SERVICE}/ListUsers`, {
+    tags: { name: 'ListUsers' },
+  });
+  const startedAt = Date.now();
+  let received = 0;
+
+  stream.on('data', () => {
+    received++;
+    streamMessages.add(1);
+  });
+
+  stream.on('error', (e) => {
+    console.error(`ListUsers: ${e.code} ${e.message}`);
+  });
+
+  stream.on('end', () => {
+    streamDuration.add(Date.now() - startedAt);
+    check(received, {
+      'ListUsers: 指定した件数を受信': (n) => n === STREAM_LIMIT,
+    });
+  });
+
+  // サーバーストリーミングはリクエストを1件送って送信側を閉じる
+  stream.write({ limit: STREAM_LIMIT, offset: 0, intervalMs: 10 });
+  stream.end();
+
+  sleep(1);
+}
+
+/**
+ * 実行方法:
+ * k6 run scenarios/03-realistic/11-grpc.js
+ *
+ * 負荷パターンを切り替える（smoke / load / stress / spike）:
+ * k6 run -e LOAD_PATTERN=load scenarios/03-realistic/11-grpc.js
+ *
+ * 接続先を変更:
+ * k6 run -e GRPC_ADDR=mock-server:50051 scenarios/03-realistic/11-grpc.js
+ *
+ * gRPCサービス（mock-server/proto/user.proto）:
+ * - GetUser(GetUserRequest) returns (User)
+ * - CreateUser(CreateUserRequest) returns (User)
+ * - ListUsers(ListUsersRequest) returns (stream User)
+ *
+ * 主なメトリクス:
+ * - grpc_req_duration: ユニタリ呼び出しの応答時間（組み込み）
+ * - grpc_streams / grpc_streams_msgs_received: ストリーム数と受信メッセージ数（組み込み）
+ * - grpc_stream_duration: ストリームの開始から受信完了までの時間
+ *
+ * ポイント:
+ * - gRPCはエラーでもHTTPステータスは200のため、response.status（gRPCステータス）で判定する
+ * - レスポンスのフィールド名は JSON 形式（created_at → createdAt）に変換される
+ * - ストリームのイベントはイテレーション内で処理され、終了を待ってから次のイテレーションに進む
+ */
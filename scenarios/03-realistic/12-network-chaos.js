@@ -0,0 +1,179 @@
+import http from 'k6/http';
+import { check, group, sleep } from 'k6';
+import { Counter, Rate } from 'k6/metrics';
+import { parseJson } from '../../utils/response.js';
+
+/**
+ * 12. ネットワーク障害（ネットワークカオス）
+ *
+ * ステータスコード付きのエラーではなく、HTTPやTCPのレベルで壊れたレスポンスを受け取ったときに、
+ * スクリプトが中断せず、http_req_failed がどう数えるかを確認します。
+ *
+ * モード（GET /api/chaos/:mode）:
+ * - reset:        ボディの途中でコネクションがリセットされる     → ステータス0（失敗）
+ * - wrong-length: Content-Length より短いまま切断される         → ステータス0（失敗）
+ * - hang:         レスポンスが返ってこない（timeout で打ち切る） → ステータス0（失敗）
+ * - truncated:    途中で切れたJSONが200で返る                   → 成功扱い、パースは失敗
+ * - invalid-json: 構文の壊れたJSONが200で返る                   → 成功扱い、パースは失敗
+ * - trickle:      ボディが少しずつ届く（slow-read）             → 成功、http_req_receiving が伸びる
+ *
+ * 加えて、障害注入ルール（chaos: truncated）で実在のAPI（/api/products/:id）の一部を壊します。
+ *
+ * 学べること:
+ * - 通信エラーと「200だが中身が壊れている」レスポンスの違い
+ * - http_req_failed が数えるもの・数えないもの
+ * - check の中で例外を投げずにJSONをパースする方法（utils/response.js）
+ * - timeout パラメーターによる応答のないリクエストの打ち切り
+ */
+
+// パースに失敗したレスポンスの割合（モード別）
+const jsonParseFailed = new Rate('json_parse_failed');
+// 最後まで実行できたイテレーション数（iterations と一致すれば途中で中断していない）
+const completedIterations = new Counter('completed_iterations');
+
+export const options = {
+  vus: 3,
+  duration: '1m',
+
+  thresholds: {
+    // 通信エラーは http_req_failed に数えられる
+    'http_req_failed{mode:reset}': ['rate==1'],
+    'http_req_failed{mode:wrong-length}': ['rate==1'],
+    'http_req_failed{mode:hang}': ['rate==1'],
+
+    // 200で返る壊れたボディは http_req_failed には数えられない（パースで検知する）
+    'http_req_failed{mode:truncated}': ['rate==0'],
+    'http_req_failed{mode:invalid-json}': ['rate==0'],
+    'json_parse_failed{mode:truncated}': ['rate==1'],
+    'json_parse_failed{mode:invalid-json}': ['rate==1'],
+
+    // slow-read はレスポンスの受信に時間がかかる
+    'http_req_receiving{mode:trickle}': ['avg>100'],
+
+    completed_iterations: ['count>0'],
+  },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+
+/**
+ * 壊れたレスポンスを要求する
+ *
+ * 失敗が前提のモードも含むため、http_req_failed の判定は既定のまま（200〜399が成功）にしておく
+ */
+function requestChaos(mode, query = '', params = {}) {
+  return http.get(`${BASE_URL}/api/chaos/${mode}${query}`, {
+    tags: { mode, name: `chaos_${mode}` },
+    ...params,
+  });
+}
+
+export function setup() {
+  // 商品詳細の30%を途中で切れたJSONにする
+  const res = http.post(
+    `${BASE_URL}/admin/faults`,
+    JSON.stringify({ path: '/api/products/*', method: 'GET', errorRate: 0.3, chaos: 'truncated' }),
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+
+  check(res, {
+    '障害注入ルールを追加': (r) => r.status === 201,
+  });
+
+  const rule = parseJson(res);
+  return { faultRuleId: rule && rule.data ? rule.data.id : null };
+}
+
+export default function () {
+  group('Connection_Errors', () => {
+    const reset = requestChaos('reset');
+    check(reset, {
+      'reset: 通信エラー（ステータス0）': (r) => r.status === 0 && r.error !== '',
+    });
+
+    const wrongLength = requestChaos('wrong-length', '?direction=long');
+    check(wrongLength, {
+      'wrong-length: 通信エラー（ステータス0）': (r) => r.status === 0,
+    });
+
+    // timeout を短くして、応答しないサーバーに待たされ続けないようにする
+    const hang = requestChaos('hang', '', { timeout: '2s' });
+    check(hang, {
+      'hang: タイムアウト（ステータス0）': (r) => r.status === 0,
+      'hang: エラーコードはタイムアウト': (r) => r.error_code === 1050,
+    });
+  });
+
+  group('Broken_Bodies', () => {
+    for (const mode of ['truncated', 'invalid-json']) {
+      const res = requestChaos(mode);
+      const body = parseJson(res);
+      jsonParseFailed.add(body === null, { mode });
+
+      check(res, {
+        [`${mode}: ステータスは200`]: (r) => r.status === 200,
+        [`${mode}: パースに失敗してもnullが返る`]: () => body === null,
+      });
+    }
+
+    // 申告より長いボディは切り捨てられ、200で途中までのJSONが届く
+    const short = requestChaos('wrong-length', '?direction=short', {
+      tags: { mode: 'wrong-length-short', name: 'chaos_wrong-length-short' },
+    });
+    check(short, {
+      'wrong-length(short): 途中で切れたJSON': (r) => r.status === 200 && parseJson(r) === null,
+    });
+  });
+
+  group('Slow_Read', () => {
+    const res = requestChaos('trickle', '?size=1&chunkBytes=16&intervalMs=20');
+    const body = parseJson(res);
+    jsonParseFailed.add(body === null, { mode: 'trickle' });
+
+    check(res, {
+      'trickle: 最後まで受信できる': () => body !== null && body.success === true,
+    });
+  });
+
+  // 実在のAPIに注入した壊れたレスポンス
+  group('Injected_Chaos', () => {
+    const res = http.get(`${BASE_URL}/api/products/1`, { tags: { name: 'product_detail' } });
+    const body = parseJson(res);
+    const injected = res.headers['X-Fault-Injected'] !== undefined;
+    jsonParseFailed.add(body === null, { mode: injected ? 'injected' : 'none' });
+
+    check(res, {
+      '商品詳細: 壊れていなければ商品を取得': () => injected || (body !== null && body.data.id === 1),
+    });
+  });
+
+  completedIterations.add(1);
+  sleep(1);
+}
+
+export function teardown(data) {
+  if (data.faultRuleId !== null) {
+    http.del(`${BASE_URL}/admin/faults/${data.faultRuleId}`);
+  }
+}
+
+/**
+ * 実行方法:
+ * k6 run scenarios/03-realistic/12-network-chaos.js
+ *
+ * 結果の確認:
+ * - http_req_failed{mode:...} で、通信エラーだけが失敗として数えられていること
+ * - json_parse_failed で、200でも中身が壊れているレスポンスの割合
+ * - completed_iterations と iterations が一致すること（イテレーションが中断されていない）
+ * - http_req_receiving{mode:trickle} で slow-read の受信時間
+ *
+ * 任意のAPIを壊す（障害注入ルールの chaos）:
+ * curl -X POST http://localhost:3000/admin/faults \
+ *   -H 'Content-Type: application/json' \
+ *   -d '{"path": "/api/users/*", "errorRate": 0.1, "chaos": "reset"}'
+ *
+ * ポイント:
+ * - JSON.parse() や r.json() は壊れたボディで例外を投げ、check の中ならイテレーションが中断する
+ * - 200でも中身が壊れていることがあるため、ステータスコードだけでなくボディも検証する
+ * - 応答のないサーバーに備えて、重要なリクエストには timeout を指定する（デフォルトは60秒）
+ */
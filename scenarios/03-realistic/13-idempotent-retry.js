@@ -0,0 +1,185 @@
+import http from 'k6/http';
+import { check, group, sleep } from 'k6';
+import { Counter, Rate } from 'k6/metrics';
+import { parseJson, getData } from '../../utils/response.js';
+import { generateUser, generateRandomString } from '../../utils/data-generator.js';
+
+/**
+ * 13. 冪等なリトライ（Idempotency-Key）
+ *
+ * タイムアウトしたPOSTを再送すると、サーバーでは最初のリクエストの処理が続いているため、
+ * そのままではレコードが二重に作成されてしまいます。
+ * 同じ Idempotency-Key をつけて再送すれば、サーバーは最初のレスポンスを返し直すだけで、
+ * レコードは1件しか作成されません。
+ *
+ * setup() で POST /api/users に遅延を注入し、短い timeout のリクエストが一部タイムアウトする状況を作ります。
+ *
+ * 学べること:
+ * - タイムアウトしたリクエストは「失敗した」とは限らない（サーバー側では処理されていることがある）
+ * - 再送で同じ Idempotency-Key を使い回す方法
+ * - 再送されたレスポンス（Idempotent-Replayed: true）と処理中（409）の扱い
+ * - 同じキーを別の内容で使い回すと422になること
+ * - 作成後に検索して、重複レコードがないことを検証する方法
+ */
+
+// 重複して作成されたレコードの割合（0であるべき）
+const duplicateRecords = new Rate('duplicate_records');
+// タイムアウトなどで再送した回数
+const retries = new Counter('idempotent_retries');
+// サーバーが保存済みのレスポンスを返した回数
+const replayedResponses = new Counter('replayed_responses');
+
+export const options = {
+  vus: 5,
+  duration: '1m',
+
+  thresholds: {
+    duplicate_records: ['rate==0'],
+    // 作成のチェックだけの成功率
+    'checks{assertion:create}': ['rate>0.95'],
+    // 再送が起きていなければ、このシナリオは何も確かめていない
+    idempotent_retries: ['count>0'],
+  },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+const MAX_ATTEMPTS = 5;
+// 注入する遅延（LATENCY_MS + 0〜JITTER_MS）が REQUEST_TIMEOUT を超えたリクエストはタイムアウトする
+const REQUEST_TIMEOUT = __ENV.REQUEST_TIMEOUT || '1s';
+const LATENCY_MS = parseInt(__ENV.LATENCY_MS || '700');
+const JITTER_MS = parseInt(__ENV.JITTER_MS || '600');
+
+/**
+ * Idempotency-Key をつけてPOSTし、タイムアウト・5xx・409（処理中）なら同じキーで再送する
+ */
+function postWithRetry(url, payload, idempotencyKey) {
+  let res = null;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    res = http.post(url, JSON.stringify(payload), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Idempotency-Key': idempotencyKey,
+      },
+      timeout: REQUEST_TIMEOUT,
+      tags: { name: 'create_user', attempt: attempt === 1 ? 'first' : 'retry' },
+    });
+
+    const retryable = res.status === 0 || res.status === 409 || res.status >= 500;
+    if (!retryable) {
+      break;
+    }
+
+    if (attempt < MAX_ATTEMPTS) {
+      retries.add(1, { reason: res.status === 0 ? 'timeout' : String(res.status) });
+      // 指数バックオフ（409なら Retry-After に従う）
+      const retryAfter = parseInt(res.headers['Retry-After']);
+      sleep(retryAfter > 0 ? retryAfter : 0.2 * Math.pow(2, attempt - 1));
+    }
+  }
+
+  return res;
+}
+
+export function setup() {
+  const res = http.post(
+    `${BASE_URL}/admin/faults`,
+    JSON.stringify({ path: '/api/users', method: 'POST', latencyMs: LATENCY_MS, jitterMs: JITTER_MS }),
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+
+  check(res, {
+    '遅延の注入ルールを追加': (r) => r.status === 201,
+  });
+
+  const rule = getData(res);
+  return { faultRuleId: rule ? rule.id : null };
+}
+
+export default function () {
+  const user = generateUser();
+  const idempotencyKey = `user-vu${__VU}-iter${__ITER}-${generateRandomString(8)}`;
+
+  group('Create_With_Retry', () => {
+    const res = postWithRetry(`${BASE_URL}/api/users`, user, idempotencyKey);
+
+    if (res.headers['Idempotent-Replayed'] === 'true') {
+      replayedResponses.add(1);
+    }
+
+    check(res, {
+      'ユーザー作成: 201（再送を含む）': (r) => r.status === 201,
+      'ユーザー作成: 送信した内容で作成': (r) => {
+        const data = getData(r);
+        return data !== null && data.email === user.email;
+      },
+    }, { assertion: 'create' });
+  });
+
+  group('Verify_No_Duplicates', () => {
+    // email は部分一致で検索されるため、完全一致の件数を数える
+    const res = http.get(`${BASE_URL}/api/users?email=${encodeURIComponent(user.email)}`, {
+      tags: { name: 'find_user' },
+    });
+    const data = getData(res);
+    const matches = Array.isArray(data) ? data.filter((u) => u.email === user.email).length : -1;
+    duplicateRecords.add(matches > 1);
+
+    check(res, {
+      '検索: レコードは1件だけ': () => matches === 1,
+    });
+  });
+
+  group('Key_Reuse_With_Different_Body', () => {
+    // 同じキーを別の内容で送ると、保存済みのリクエストと一致しないため422
+    const res = http.post(
+      `${BASE_URL}/api/users`,
+      JSON.stringify({ ...user, name: `${user.name}_changed` }),
+      {
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+        // 遅延の注入でタイムアウトしないよう、このリクエストは長めに待つ
+        timeout: '10s',
+        tags: { name: 'reuse_key' },
+      }
+    );
+
+    check(res, {
+      'キーの使い回し: 422': (r) => r.status === 422,
+      'キーの使い回し: エラーメッセージ': (r) => {
+        const body = parseJson(r);
+        return body !== null && body.success === false;
+      },
+    });
+  });
+
+  sleep(1);
+}
+
+export function teardown(data) {
+  if (data.faultRuleId !== null) {
+    http.del(`${BASE_URL}/admin/faults/${data.faultRuleId}`);
+  }
+}
+
+/**
+ * 実行方法:
+ * k6 run scenarios/03-realistic/13-idempotent-retry.js
+ *
+ * 遅延と timeout を変える:
+ * k6 run -e LATENCY_MS=900 -e JITTER_MS=300 -e REQUEST_TIMEOUT=1s scenarios/03-realistic/13-idempotent-retry.js
+ *
+ * 結果の確認:
+ * - duplicate_records が0%（再送してもレコードは重複しない）
+ * - idempotent_retries{reason:timeout} で、タイムアウトによる再送の回数
+ * - replayed_responses で、サーバーが保存済みのレスポンスを返した回数
+ * - http_req_duration{attempt:retry} で、再送の応答時間
+ *
+ * Idempotency-Key なしで再送するとどうなるか:
+ * curl -X POST http://localhost:3000/api/users -H 'Content-Type: application/json' \
+ *   -d '{"name": "a", "email": "a@example.com"}'   # 何度送っても別のレコードが作成される
+ *
+ * ポイント:
+ * - キーはリクエストの「操作」ごとに1つ生成し、再送では同じキーを使う（試行ごとに作り直さない）
+ * - タイムアウト・5xx・409 は再送してよいが、422 は再送しても結果が変わらない
+ * - サーバーは5xxのレスポンスを保存しないため、5xxのあとの再送では処理がやり直される
+ */
@@ -0,0 +1,221 @@
+import http from 'k6/http';
+import { check, group, sleep } from 'k6';
+import { parseHTML } from 'k6/html';
+import { Counter } from 'k6/metrics';
+import { getData } from '../../utils/response.js';
+
+/**
+ * 14. Cookieセッションと CSRF トークン
+ *
+ * Bearerトークンではなく、サーバー側のセッションと Cookie でログインするWebアプリを再現します。
+ * k6 はVUごとに Cookie ジャーを持ち、Set-Cookie で受け取った Cookie を以降のリクエストに自動で送ります。
+ * フォームの隠しフィールドに埋め込まれた CSRF トークンは、parseHTML() で取り出して送り返します。
+ *
+ * フロー:
+ * 1. ログインフォームを取得（ログイン前のセッションと CSRF トークン）
+ * 2. CSRF トークンなしのログインが403になることを確認
+ * 3. ログイン（303でアカウントページへリダイレクト、セッションIDが作り直される）
+ * 4. プロフィールを変更（アカウントページの新しい CSRF トークンを使う）
+ * 5. ログイン前の古い CSRF トークンでの変更が403になることを確認
+ * 6. 一部のイテレーションでセッションの期限切れを待ち、ログインフォームに戻されることを確認
+ * 7. ログアウト
+ *
+ * 学べること:
+ * - k6 のVUごとの Cookie ジャー（http.cookieJar()）
+ * - parseHTML() によるHTMLからの値の抽出
+ * - フォーム送信（application/x-www-form-urlencoded）とリダイレクトの追跡
+ * - CSRF トークンのローテーションとサーバー側のセッション期限
+ */
+
+// ログインに成功した回数
+const sessionLogins = new Counter('session_logins');
+// 期限切れでログインフォームに戻された回数
+const sessionExpirations = new Counter('session_expirations');
+
+export const options = {
+  vus: 5,
+  duration: '1m',
+
+  thresholds: {
+    checks: ['rate>0.99'],
+    http_req_failed: ['rate<0.01'],
+    'http_req_duration{name:session_login}': ['p(95)<500'],
+  },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+// セッションの有効期限（setup() でモックサーバーに設定し、teardown() で元に戻す）
+const SESSION_TTL_SECONDS = parseInt(__ENV.SESSION_TTL_SECONDS || '5');
+// 期限切れを確認するイテレーションの割合
+const EXPIRY_RATIO = parseFloat(__ENV.EXPIRY_RATIO || '0.1');
+
+/**
+ * ページのフォームから CSRF トークンを取り出す
+ */
+function extractCsrfToken(res, formId) {
+  const doc = parseHTML(res.body || '');
+  return doc.find(`#${formId} input[name="csrf_token"]`).attr('value') || null;
+}
+
+function sessionCookie() {
+  const cookies = http.cookieJar().cookiesForURL(BASE_URL);
+  return cookies.sid ? cookies.sid[0] : null;
+}
+
+export function setup() {
+  const current = getData(http.get(`${BASE_URL}/admin/sessions`));
+  const res = http.put(
+    `${BASE_URL}/admin/sessions`,
+    JSON.stringify({ ttlSeconds: SESSION_TTL_SECONDS }),
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+  check(res, {
+    'セッションの有効期限を設定': (r) => r.status === 200,
+  });
+
+  return { originalTtlSeconds: current ? current.ttlSeconds : null };
+}
+
+export default function () {
+  let loginToken = null;
+  let accountToken = null;
+
+  group('Login_Form', () => {
+    const res = http.get(`${BASE_URL}/session/login`, { tags: { name: 'session_login_form' } });
+    loginToken = extractCsrfToken(res, 'login-form');
+
+    check(res, {
+      'ログインフォーム: ステータスは200': (r) => r.status === 200,
+      'ログインフォーム: CSRFトークンが埋め込まれている': () => loginToken !== null,
+      'ログインフォーム: セッションCookieを受け取った': () => sessionCookie() !== null,
+    });
+  });
+
+  const anonymousSid = sessionCookie();
+
+  group('Login_Without_Csrf', () => {
+    const res = http.post(
+      `${BASE_URL}/session/login`,
+      { username: `vu${__VU}`, password: 'password' },
+      { tags: { name: 'session_login_no_csrf' }, responseCallback: http.expectedStatuses(403) }
+    );
+
+    check(res, {
+      'CSRFトークンなし: 403': (r) => r.status === 403,
+    });
+  });
+
+  group('Login', () => {
+    // オブジェクトを渡すと application/x-www-form-urlencoded で送信される
+    const res = http.post(
+      `${BASE_URL}/session/login`,
+      { username: `vu${__VU}`, password: 'password', csrf_token: loginToken },
+      { tags: { name: 'session_login' } }
+    );
+    accountToken = extractCsrfToken(res, 'profile-form');
+
+    const loggedIn = check(res, {
+      'ログイン: アカウントページへリダイレクト': (r) => r.status === 200 && r.url.endsWith('/session/account'),
+      'ログイン: ユーザー名が表示される': (r) => parseHTML(r.body).find('#username').text() === `vu${__VU}`,
+      'ログイン: セッションIDが作り直された': () => sessionCookie() !== null && sessionCookie() !== anonymousSid,
+      'ログイン: CSRFトークンが作り直された': () => accountToken !== null && accountToken !== loginToken,
+    });
+    if (loggedIn) {
+      sessionLogins.add(1);
+    }
+  });
+
+  sleep(1);
+
+  group('Update_Profile', () => {
+    const displayName = `表示名_${__VU}_${__ITER}`;
+    const res = http.post(
+      `${BASE_URL}/session/profile`,
+      { display_name: displayName, csrf_token: accountToken },
+      { tags: { name: 'session_profile' } }
+    );
+
+    check(res, {
+      'プロフィール変更: 新しい表示名が表示される': (r) =>
+        r.status === 200 && parseHTML(r.body).find('#display-name').text() === displayName,
+    });
+
+    // ログイン前のトークンは、ログイン時のローテーションで無効になっている
+    const stale = http.post(
+      `${BASE_URL}/session/profile`,
+      { display_name: 'stale', csrf_token: loginToken },
+      { tags: { name: 'session_profile_stale_csrf' }, responseCallback: http.expectedStatuses(403) }
+    );
+
+    check(stale, {
+      '古いCSRFトークン: 403': (r) => r.status === 403,
+    });
+  });
+
+  if (Math.random() < EXPIRY_RATIO) {
+    group('Session_Expiry', () => {
+      // 最後のアクセスから有効期限を過ぎるまで待つ
+      sleep(SESSION_TTL_SECONDS + 1);
+
+      const res = http.get(`${BASE_URL}/session/account`, { tags: { name: 'session_account_expired' } });
+      const expired = check(res, {
+        '期限切れ: ログインフォームに戻される': (r) => r.status === 200 && r.url.endsWith('/session/login'),
+      });
+      if (expired) {
+        sessionExpirations.add(1);
+      }
+    });
+    return;
+  }
+
+  group('Logout', () => {
+    const res = http.post(
+      `${BASE_URL}/session/logout`,
+      { csrf_token: accountToken },
+      { tags: { name: 'session_logout' } }
+    );
+
+    check(res, {
+      'ログアウト: ログインフォームに戻る': (r) => r.status === 200 && r.url.endsWith('/session/login'),
+    });
+
+    const me = http.get(`${BASE_URL}/session/me`, {
+      tags: { name: 'session_me_after_logout' },
+      responseCallback: http.expectedStatuses(401),
+    });
+    check(me, {
+      'ログアウト後: セッションは無効': (r) => r.status === 401,
+    });
+  });
+
+  sleep(1);
+}
+
+export function teardown(data) {
+  if (data.originalTtlSeconds !== null) {
+    http.put(
+      `${BASE_URL}/admin/sessions`,
+      JSON.stringify({ ttlSeconds: data.originalTtlSeconds }),
+      { headers: { 'Content-Type': 'application/json' } }
+    );
+  }
+}
+
+/**
+ * 実行方法:
+ * k6 run scenarios/03-realistic/14-session-login.js
+ *
+ * 期限切れを確認する割合と有効期限を変える:
+ * k6 run -e EXPIRY_RATIO=0.5 -e SESSION_TTL_SECONDS=3 scenarios/03-realistic/14-session-login.js
+ *
+ * 結果の確認:
+ * - session_logins: ログインに成功した回数
+ * - session_expirations: 期限切れでログインフォームに戻された回数
+ * - GET /admin/sessions: サーバー側のセッション数と、CSRFで拒否した件数（csrfRejected）
+ *
+ * ポイント:
+ * - Cookie ジャーはVUごとで、イテレーションをまたいで引き継がれる
+ *   （前のイテレーションのセッションが残っていると、ログインフォームがアカウントページへリダイレクトされる）
+ * - CSRF トークンはログインでローテーションされるため、ページを取得するたびに取り出し直す
+ * - 想定内の403・401は responseCallback で http_req_failed から除外する
+ */
@@ -0,0 +1,221 @@
+import http from 'k6/http';
+import { check, group, sleep } from 'k6';
+import encoding from 'k6/encoding';
+import { Counter, Rate } from 'k6/metrics';
+import {
+  getClientCredentialsToken,
+  loginWithAuthorizationCode,
+  introspectToken,
+} from '../../utils/auth.js';
+
+/**
+ * 15. OAuth2 / OpenID Connect のトークン発行
+ *
+ * 本番の IdP と同じ使われ方で、トークンを発行する経路に負荷をかけます。
+ * モックサーバーの /oauth/* がローカルの認可サーバーの代わりになるため、外部の IdP なしで実行できます。
+ *
+ * シナリオ（同時に実行）:
+ * 1. service_to_service: バックエンドのサービスが client_credentials でトークンを取得し、
+ *    リソースサーバーがイントロスペクションで検証する（一定のリクエストレート）
+ * 2. user_login: ユーザーが認可コード + PKCE でログインし、ID トークンと UserInfo を確認する
+ *
+ * setup() では Discovery（/.well-known/openid-configuration）と JWKS を取得し、
+ * 発行されたトークンの kid が JWKS に含まれるかを確認します（リソースサーバーの鍵キャッシュと同じ）。
+ *
+ * 学べること:
+ * - client_credentials と authorization_code + PKCE（S256）の違い
+ * - redirects: 0 でリダイレクトを追わずに Location から認可コードを取り出す方法
+ * - JWT のヘッダーとペイロードを k6/encoding で読む方法
+ * - scenarios で種類の違うクライアントを同時に再現し、タグで比較する方法
+ */
+
+// 事前に登録されているクライアント（GET /admin/oauth で確認できる）
+const SERVICE_CLIENT_ID = __ENV.OAUTH_CLIENT_ID || 'k6-service';
+const SERVICE_CLIENT_SECRET = __ENV.OAUTH_CLIENT_SECRET || 'k6-service-secret';
+const SPA_CLIENT_ID = __ENV.OAUTH_SPA_CLIENT_ID || 'k6-spa';
+const SPA_REDIRECT_URI = __ENV.OAUTH_REDIRECT_URI || 'http://localhost:8080/callback';
+
+// 発行したトークンの数（grant タグで種類ごとに分かれる）
+const tokensIssued = new Counter('oauth_tokens_issued');
+// イントロスペクションで有効と判定された割合
+const activeTokenRate = new Rate('oauth_introspection_active');
+
+export const options = {
+  scenarios: {
+    service_to_service: {
+      executor: 'constant-arrival-rate',
+      rate: 20,
+      timeUnit: '1s',
+      duration: '1m',
+      preAllocatedVUs: 10,
+      maxVUs: 30,
+      exec: 'serviceToService',
+    },
+    user_login: {
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: [
+        { duration: '20s', target: 10 },
+        { duration: '30s', target: 10 },
+        { duration: '10s', target: 0 },
+      ],
+      exec: 'userLogin',
+    },
+  },
+
+  thresholds: {
+    checks: ['rate>0.99'],
+    http_req_failed: ['rate<0.01'],
+    oauth_introspection_active: ['rate>0.99'],
+    'http_req_duration{name:oauth_token_client_credentials}': ['p(95)<300'],
+    'http_req_duration{name:oauth_token_authorization_code}': ['p(95)<300'],
+    'http_req_duration{name:oauth_introspect}': ['p(95)<200'],
+  },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+
+/**
+ * JWT のヘッダーとペイロードを読む（署名は検証しない）
+ */
+function decodeJwt(token) {
+  const [header, payload] = token.split('.');
+  return {
+    header: JSON.parse(encoding.b64decode(header, 'rawurl', 's')),
+    payload: JSON.parse(encoding.b64decode(payload, 'rawurl', 's')),
+  };
+}
+
+export function setup() {
+  const discovery = http.get(`${BASE_URL}/.well-known/openid-configuration`, {
+    tags: { name: 'oauth_discovery' },
+  });
+  check(discovery, {
+    'Discovery: ステータスは200': (r) => r.status === 200,
+    'Discovery: PKCE の S256 に対応': (r) => r.json('code_challenge_methods_supported').includes('S256'),
+  });
+
+  // 本番のリソースサーバーと同じく、jwks_uri は Discovery から辿る
+  const jwks = http.get(discovery.json('jwks_uri'), { tags: { name: 'oauth_jwks' } });
+  check(jwks, {
+    'JWKS: RS256 の公開鍵がある': (r) => r.json('keys').some((key) => key.alg === 'RS256'),
+  });
+
+  return {
+    issuer: discovery.json('issuer'),
+    kids: jwks.json('keys').map((key) => key.kid),
+  };
+}
+
+export function serviceToService(data) {
+  const tokens = getClientCredentialsToken(BASE_URL, SERVICE_CLIENT_ID, SERVICE_CLIENT_SECRET, 'api.read');
+  const issued = check(tokens, {
+    'client_credentials: アクセストークンを取得': (t) => t !== null && t.token_type === 'Bearer',
+    'client_credentials: kid が JWKS に含まれる': (t) =>
+      t !== null && data.kids.includes(decodeJwt(t.access_token).header.kid),
+  });
+  if (!issued) {
+    return;
+  }
+  tokensIssued.add(1, { grant: 'client_credentials' });
+
+  // リソースサーバーとしてトークンを検証する
+  const introspection = introspectToken(BASE_URL, tokens.access_token, SERVICE_CLIENT_ID, SERVICE_CLIENT_SECRET);
+  activeTokenRate.add(introspection !== null && introspection.active === true);
+  check(introspection, {
+    'イントロスペクション: スコープが一致': (i) => i !== null && i.scope === 'api.read',
+    'イントロスペクション: 発行者が一致': (i) => i !== null && i.iss === data.issuer,
+  });
+}
+
+export function userLogin(data) {
+  let tokens = null;
+
+  group('Authorization_Code_PKCE', () => {
+    tokens = loginWithAuthorizationCode(BASE_URL, {
+      clientId: SPA_CLIENT_ID,
+      redirectUri: SPA_REDIRECT_URI,
+      username: `vu${__VU}`,
+      password: 'password',
+      scope: 'openid profile email',
+    });
+
+    const loggedIn = check(tokens, {
+      '認可コード: アクセストークンと ID トークンを取得': (t) => t !== null && !!t.access_token && !!t.id_token,
+    });
+    if (!loggedIn) {
+      tokens = null;
+      return;
+    }
+    tokensIssued.add(1, { grant: 'authorization_code' });
+
+    const idToken = decodeJwt(tokens.id_token);
+    check(idToken, {
+      'ID トークン: aud はクライアントID': (t) => t.payload.aud === SPA_CLIENT_ID,
+      'ID トークン: sub はログインしたユーザー': (t) => t.payload.sub === `vu${__VU}`,
+      'ID トークン: kid が JWKS に含まれる': (t) => data.kids.includes(t.header.kid),
+    });
+  });
+
+  if (!tokens) {
+    sleep(1);
+    return;
+  }
+
+  sleep(1);
+
+  group('UserInfo', () => {
+    const res = http.get(`${BASE_URL}/oauth/userinfo`, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+      tags: { name: 'oauth_userinfo' },
+    });
+
+    check(res, {
+      'UserInfo: ステータスは200': (r) => r.status === 200,
+      'UserInfo: email スコープのクレームを含む': (r) => r.json('email') === `vu${__VU}@example.com`,
+    });
+  });
+
+  group('Invalid_Code_Rejected', () => {
+    // 発行していない（または使用済みの）認可コードは invalid_grant になる
+    const res = http.post(
+      `${BASE_URL}/oauth/token`,
+      {
+        grant_type: 'authorization_code',
+        client_id: SPA_CLIENT_ID,
+        code: 'not-issued-code',
+        redirect_uri: SPA_REDIRECT_URI,
+        code_verifier: 'a'.repeat(43),
+      },
+      { tags: { name: 'oauth_token_invalid_grant' }, responseCallback: http.expectedStatuses(400) }
+    );
+
+    check(res, {
+      '無効な認可コード: invalid_grant': (r) => r.status === 400 && r.json('error') === 'invalid_grant',
+    });
+  });
+
+  sleep(2);
+}
+
+/**
+ * 実行方法:
+ * k6 run scenarios/03-realistic/15-oauth2.js
+ *
+ * アクセストークンの有効期間を変えて起動する（デフォルト300秒）:
+ * OAUTH_ACCESS_TOKEN_TTL=60 npm start
+ *
+ * 実行中に署名鍵をローテーションする（1つ前の鍵は JWKS に残るため、発行済みのトークンは有効なまま）:
+ * curl -X POST http://localhost:3000/admin/oauth/keys
+ *
+ * 結果の確認:
+ * - oauth_tokens_issued{grant:...}: 種類ごとに発行したトークンの数
+ * - http_req_duration{name:oauth_token_client_credentials / oauth_token_authorization_code}: トークン発行の時間
+ * - GET /admin/oauth: サーバー側の発行数と、invalid_client / invalid_grant の件数
+ *
+ * ポイント:
+ * - client_credentials はユーザーがいないため、トークンの sub はクライアントID
+ * - 公開クライアント（SPA・モバイルアプリ）は client_secret を持てないため、PKCE で認可コードの横取りを防ぐ
+ * - 認可コードは1回しか使えない（同じコードで2回トークンを取得すると invalid_grant）
+ * - 鍵をローテーションした直後は、setup() で取得した kid と一致しなくなる（リソースサーバーは JWKS を取り直す）
+ */
@@ -135,7 +135,12 @@ export default function () {
   sleep(1);
   
   // タグ付け例5: ファイルアップロード（低優先度だが時間がかかる）
-  response = http.post(`${BASE_URL}/api/upload`, '{}', {
+  const uploadPayload = JSON.stringify({
+    filename: 'tags-example.txt',
+    content: 'タグ付けのサンプルファイル',
+  });
+
+  response = http.post(`${BASE_URL}/api/upload`, uploadPayload, {
     headers: { 'Content-Type': 'application/json' },
     tags: {
       endpoint: 'upload',
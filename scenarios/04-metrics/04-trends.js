@@ -29,6 +29,7 @@ const payloadSize = new Trend('payload_size_bytes');
 const thinkTime = new Trend('think_time_ms');
 const waitingTime = new Trend('server_waiting_time');
 const downloadTime = new Trend('content_download_time');
+const tailLatency = new Trend('tail_latency', true);
 
 export const options = {
   scenarios: {
@@ -73,11 +74,27 @@ export const options = {
     ],
     'server_waiting_time': ['p(95)<400'],
     'content_download_time': ['p(95)<100'],
+
+    // 裾の長い分布: 平均は小さくてもp99は大きく離れる
+    'tail_latency': [
+      'avg<150',
+      'p(50)<100',
+      'p(99)<1000',
+    ],
   },
 };
 
 const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
 
+// パターン5で使うレイテンシの分布（/api/delay のクエリパラメーター）
+const LATENCY_DISTRIBUTIONS = {
+  lognormal: 'dist=lognormal&median=50&sigma=1',
+  pareto: 'dist=pareto&scale=30&alpha=1.5',
+  exponential: 'dist=exponential&mean=80',
+  bimodal: 'dist=bimodal&mean1=40&stddev1=10&mean2=600&stddev2=100&weight=0.05',
+};
+const LATENCY_DIST = __ENV.LATENCY_DIST || 'lognormal';
+
 export default function () {
   // トランザクション全体の時間を測定
   const transactionStart = Date.now();
@@ -202,6 +219,21 @@ export default function () {
   
   sleep(1);
   
+  // === パターン5: 現実的なレイテンシ分布 ===
+  // seed を VU とイテレーションから決めると、実行のたびに同じ遅延の並びになる
+  const seed = __VU * 100000 + __ITER;
+  response = http.get(
+    `${BASE_URL}/api/delay?${LATENCY_DISTRIBUTIONS[LATENCY_DIST]}&seed=${seed}`,
+    { tags: { name: 'tail_latency', distribution: LATENCY_DIST } }
+  );
+  
+  check(response, {
+    '分布つき遅延: ステータスは200': (r) => r.status === 200,
+  });
+  tailLatency.add(response.timings.duration);
+  
+  sleep(1);
+  
   // トランザクション全体の終了
   const transactionEnd = Date.now();
   const transactionDuration = transactionEnd - transactionStart;
@@ -224,6 +256,12 @@ export default function () {
  * - p(95)やp(99)で、ほとんどのユーザーの体験を把握
  * - SLA（Service Level Agreement）で使用される指標
  * 
+ * 分布を切り替えて実行（lognormal / pareto / exponential / bimodal）:
+ * k6 run -e LATENCY_DIST=pareto scenarios/04-metrics/04-trends.js
+ * - lognormal: 中央値50ms、p99は約500ms（多くのWeb APIに近い形）
+ * - pareto: 大半は速いが、まれに極端に遅い（ロングテール）
+ * - bimodal: 5%だけ遅い経路を通る（キャッシュミスなど）。平均ではほぼ見えない
+ * 
  * 実践的な使用例:
  * 
  * 1. APIレスポンスタイムの測定
@@ -0,0 +1,191 @@
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Trend } from 'k6/metrics';
+
+/**
+ * 05. GraphQLのクエリコスト比較
+ *
+ * GraphQLは1つのエンドポイント（/graphql）にすべてのクエリが集まるため、
+ * URLだけではメトリクスを分類できません。
+ * 操作名（operationName）と深さをタグとして付け、浅いクエリと
+ * 深く入れ子になったクエリの性能を比較します。
+ *
+ * モックサーバーのリゾルバーは、クエリの深さと返す件数に応じて遅くなります。
+ *
+ * 学べること:
+ * - GraphQLリクエストの送信（query / variables / operationName）
+ * - 操作ごとのタグ付けと閾値
+ * - HTTPステータスが200でも errors が返るケースのチェック
+ * - レスポンスの extensions からサーバー側のコストを取得
+ */
+
+export const options = {
+  vus: 10,
+  duration: '1m',
+
+  thresholds: {
+    // 操作ごとの閾値
+    'http_req_duration{operation:GetUser}': ['p(95)<100'],
+    'http_req_duration{operation:ListUsers}': ['p(95)<200'],
+    'http_req_duration{operation:UserWithPosts}': ['p(95)<300'],
+    'http_req_duration{operation:DeepFeed}': ['p(95)<1000'],
+    'http_req_duration{operation:CreateUser}': ['p(95)<200'],
+
+    // 深さごとの閾値
+    'http_req_duration{depth:shallow}': ['p(95)<200'],
+    'http_req_duration{depth:deep}': ['p(95)<1000'],
+
+    // GraphQLのエラー（HTTPステータスでは検出できない）
+    'checks{assertion:no_graphql_errors}': ['rate>0.99'],
+  },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+
+// サーバーが報告するリゾルバーの呼び出し回数
+const resolverCalls = new Trend('graphql_resolver_calls');
+
+const QUERIES = {
+  GetUser: {
+    depth: 'shallow',
+    query: `
+      query GetUser($id: ID!) {
+        user(id: $id) { id name email }
+      }
+    `,
+  },
+  ListUsers: {
+    depth: 'shallow',
+    query: `
+      query ListUsers($limit: Int) {
+        users(limit: $limit) { id name }
+      }
+    `,
+  },
+  UserWithPosts: {
+    depth: 'medium',
+    query: `
+      query UserWithPosts($id: ID!) {
+        user(id: $id) {
+          name
+          posts(limit: 5) { id title }
+        }
+      }
+    `,
+  },
+  DeepFeed: {
+    depth: 'deep',
+    query: `
+      query DeepFeed($id: ID!) {
+        user(id: $id) {
+          name
+          friends(limit: 5) {
+            name
+            posts(limit: 5) {
+              title
+              comments(limit: 5) {
+                text
+                author { name }
+              }
+            }
+          }
+        }
+      }
+    `,
+  },
+  CreateUser: {
+    depth: 'shallow',
+    query: `
+      mutation CreateUser($input: UserInput!) {
+        createUser(input: $input) { id name }
+      }
+    `,
+  },
+};
+
+/**
+ * GraphQLリクエストを送信
+ *
+ * @param {string} operationName - QUERIES のキー
+ * @param {Object} variables
+ * @returns {Object} - HTTPレスポンス
+ */
+function gql(operationName, variables) {
+  const { query, depth } = QUERIES[operationName];
+
+  const response = http.post(
+    `${BASE_URL}/graphql`,
+    JSON.stringify({ query, variables, operationName }),
+    {
+      headers: { 'Content-Type': 'application/json' },
+      tags: { name: `graphql_${operationName}`, operation: operationName, depth },
+    }
+  );
+
+  let body = null;
+  try {
+    body = JSON.parse(response.body);
+  } catch (e) {
+    // チェックで失敗として扱う
+  }
+
+  check(response, {
+    [`${operationName}: ステータスは200`]: (r) => r.status === 200,
+  });
+  check(body, {
+    [`${operationName}: errors がない`]: (b) => b !== null && !b.errors,
+  }, { assertion: 'no_graphql_errors' });
+
+  if (body && body.extensions && body.extensions.cost) {
+    resolverCalls.add(body.extensions.cost.resolverCalls, { operation: operationName });
+  }
+
+  return response;
+}
+
+export default function () {
+  const userId = String(Math.floor(Math.random() * 100) + 1);
+
+  // 浅いクエリ
+  gql('GetUser', { id: userId });
+  sleep(0.5);
+
+  gql('ListUsers', { limit: 20 });
+  sleep(0.5);
+
+  // 1段の入れ子
+  gql('UserWithPosts', { id: userId });
+  sleep(0.5);
+
+  // 深い入れ子（友達 → 投稿 → コメント → 作成者）
+  gql('DeepFeed', { id: userId });
+  sleep(0.5);
+
+  // ミューテーション
+  gql('CreateUser', {
+    input: {
+      name: `GraphQLユーザー${Date.now()}`,
+      email: `graphql_${Date.now()}@example.com`,
+    },
+  });
+
+  sleep(1);
+}
+
+/**
+ * 実行方法:
+ * k6 run scenarios/04-metrics/05-graphql.js
+ *
+ * 操作ごとの結果を確認:
+ * k6 run --summary-trend-stats="avg,p(95),max" scenarios/04-metrics/05-graphql.js
+ *
+ * モックサーバーのレイテンシ設定（環境変数）:
+ * - GRAPHQL_LATENCY_PER_DEPTH_MS: 深さ1段あたりのレイテンシ（デフォルト5ms）
+ * - GRAPHQL_LATENCY_PER_ITEM_MS: 返す1件あたりのレイテンシ（デフォルト1ms）
+ *
+ * ポイント:
+ * - GraphQLはエラーでもHTTP 200を返すことがあるため、errors を必ずチェック
+ * - URLが同じなので name タグを操作ごとに分け、メトリクスの集約を防ぐ
+ * - 深いクエリは1リクエストでも多数のリゾルバーを呼ぶ（graphql_resolver_calls）
+ * - クエリの深さや limit の上限をサーバー側で設けることが重要
+ */
@@ -0,0 +1,183 @@
+import http from 'k6/http';
+import { check, group, sleep } from 'k6';
+import { Counter, Rate } from 'k6/metrics';
+import { getData } from '../../utils/response.js';
+
+/**
+ * 06. 条件付きGETとキャッシュの再検証
+ *
+ * k6はレスポンスをキャッシュしないため、ブラウザやCDNのような再検証の負荷は自分で再現します。
+ * VUごとに「URL → ETag / Last-Modified / ボディのサイズ」を覚えておき、
+ * 2回目以降は If-None-Match（または If-Modified-Since）をつけてリクエストします。
+ * 変更がなければサーバーはボディなしの304を返すため、転送量が減ります。
+ *
+ * 304の割合を Rate、304で節約できたバイト数を Counter で記録します。
+ * 一部のイテレーションではユーザーを更新し、キャッシュが無効になる（200に戻る）ことも確認します。
+ *
+ * 学べること:
+ * - ETag / If-None-Match と Last-Modified / If-Modified-Since による再検証
+ * - Rate と Counter を組み合わせたキャッシュ効果の測定
+ * - レスポンスヘッダーの名前の正規化（k6では ETag は "Etag" になる）
+ * - 更新後に古いキャッシュが使われないことの確認
+ */
+
+// 再検証のうち304が返った割合
+const notModifiedRate = new Rate('not_modified_rate');
+// 304で送らずに済んだボディのバイト数（キャッシュしていたボディのサイズ）
+const bytesSaved = new Counter('bytes_saved');
+// 200で受信したボディのバイト数
+const bytesDownloaded = new Counter('bytes_downloaded');
+// 更新後の再検証で、古いキャッシュのまま（304）になった回数
+const staleResponses = new Counter('stale_responses');
+
+export const options = {
+  vus: 10,
+  duration: '1m',
+
+  thresholds: {
+    // 更新は一部だけなので、再検証の大半は304になる
+    not_modified_rate: ['rate>0.7'],
+    'not_modified_rate{resource:user}': ['rate>0.7'],
+    bytes_saved: ['count>0'],
+    stale_responses: ['count==0'],
+    // 304はボディがないぶん速い
+    'http_req_duration{cache:revalidated}': ['p(95)<100'],
+  },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+// 更新するイテレーションの割合
+const UPDATE_RATIO = parseFloat(__ENV.UPDATE_RATIO || '0.05');
+// 繰り返しアクセスする（キャッシュが効く）ユーザー・商品の数
+const HOT_IDS = 20;
+
+// VUごとのキャッシュ（URL → { etag, lastModified, size }）
+const cache = {};
+
+/**
+ * キャッシュしていれば条件付きでGETし、結果をメトリクスに記録する
+ *
+ * @param {string} path - BASE_URL からのパス
+ * @param {Object} options
+ * @param {string} options.resource - メトリクスのタグ（user / user_list / product）
+ * @param {boolean} [options.useLastModified] - If-None-Match の代わりに If-Modified-Since を使う
+ * @returns {Object} - レスポンス
+ */
+function cachedGet(path, { resource, useLastModified = false }) {
+  const entry = cache[path];
+  const headers = {};
+  if (entry) {
+    if (useLastModified && entry.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    } else {
+      headers['If-None-Match'] = entry.etag;
+    }
+  }
+
+  const res = http.get(`${BASE_URL}${path}`, {
+    headers,
+    tags: { name: resource, resource, cache: entry ? 'revalidated' : 'cold' },
+  });
+
+  if (res.status === 200) {
+    const size = parseInt(res.headers['Content-Length']) || res.body.length;
+    bytesDownloaded.add(size, { resource });
+    cache[path] = {
+      // k6はヘッダー名を正規化するため、ETag は "Etag" で取り出す
+      etag: res.headers['Etag'],
+      lastModified: res.headers['Last-Modified'],
+      size,
+    };
+  } else if (res.status === 304 && entry) {
+    bytesSaved.add(entry.size, { resource });
+  }
+
+  if (entry) {
+    notModifiedRate.add(res.status === 304, { resource });
+  }
+
+  check(res, {
+    [`${resource}: 200 または 304`]: (r) => r.status === 200 || (entry !== undefined && r.status === 304),
+    [`${resource}: 304にはボディがない`]: (r) => r.status !== 304 || !r.body,
+  });
+
+  return res;
+}
+
+function randomId() {
+  return Math.floor(Math.random() * HOT_IDS) + 1;
+}
+
+export function setup() {
+  // サーバー側の304の集計をリセット
+  http.del(`${BASE_URL}/admin/cache`);
+}
+
+export default function () {
+  group('Revalidate_With_ETag', () => {
+    cachedGet(`/api/users/${randomId()}`, { resource: 'user' });
+    cachedGet(`/api/users?page=${Math.floor(Math.random() * 3) + 1}`, { resource: 'user_list' });
+    cachedGet(`/api/products/${randomId()}`, { resource: 'product' });
+  });
+
+  group('Revalidate_With_Last_Modified', () => {
+    cachedGet(`/api/users/${randomId()}`, { resource: 'user', useLastModified: true });
+  });
+
+  // 一部のイテレーションで更新し、キャッシュが無効になることを確認
+  if (Math.random() < UPDATE_RATIO) {
+    group('Invalidate', () => {
+      const id = randomId();
+      const path = `/api/users/${id}`;
+      cachedGet(path, { resource: 'user' });
+
+      const updated = http.put(
+        `${BASE_URL}${path}`,
+        JSON.stringify({ name: `更新ユーザー_${__VU}_${__ITER}` }),
+        { headers: { 'Content-Type': 'application/json' }, tags: { name: 'update_user' } }
+      );
+      check(updated, { '更新: ステータスは200': (r) => r.status === 200 });
+
+      const res = cachedGet(path, { resource: 'user_after_update' });
+      const user = getData(res);
+      if (res.status === 304) {
+        staleResponses.add(1);
+      }
+      check(res, {
+        '更新後: 新しい内容を取得': () => user !== null && user.name === `更新ユーザー_${__VU}_${__ITER}`,
+      });
+    });
+  }
+
+  sleep(1);
+}
+
+export function teardown() {
+  // サーバー側から見た304の割合と節約できたバイト数
+  const status = getData(http.get(`${BASE_URL}/admin/cache`));
+  if (status) {
+    console.log(`サーバー側の集計: ${JSON.stringify(status.stats)}`);
+  }
+}
+
+/**
+ * 実行方法:
+ * k6 run scenarios/04-metrics/06-conditional-requests.js
+ *
+ * 更新の割合を増やす（304の割合が下がる）:
+ * k6 run -e UPDATE_RATIO=0.5 scenarios/04-metrics/06-conditional-requests.js
+ *
+ * Cache-Control を変更（モックサーバーの環境変数 CACHE_CONTROL でも指定可能）:
+ * curl -X PUT http://localhost:3000/admin/cache \
+ *   -H 'Content-Type: application/json' -d '{"cacheControl": "public, max-age=60"}'
+ *
+ * 結果の確認:
+ * - not_modified_rate{resource:...}: リソースごとの304の割合
+ * - bytes_saved と bytes_downloaded: 節約できた転送量と実際の転送量
+ * - http_req_duration{cache:revalidated} と {cache:cold}: 304と200の応答時間の差
+ *
+ * ポイント:
+ * - If-None-Match と If-Modified-Since の両方があれば、サーバーは If-None-Match を優先する
+ * - Last-Modified は秒単位のため、1秒以内の更新は If-Modified-Since では検知できないことがある
+ * - 一覧は1件でも変われば ETag が変わるため、詳細より304の割合が下がりやすい
+ */
@@ -0,0 +1,165 @@
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Gauge, Trend } from 'k6/metrics';
+import exec from 'k6/execution';
+
+/**
+ * 07. レスポンス圧縮とストリーミング
+ *
+ * 同じ大きなJSON（/api/large-payload）を、Accept-Encoding を変えて取得し、
+ * 転送量（data_received）と受信時間（http_req_receiving）、サーバーのメモリを比較します。
+ *
+ * シナリオは順番に実行します（同じ時間帯に重ならないため、サーバーのメモリを比較できる）:
+ * 1. identity:       圧縮なし
+ * 2. gzip:           gzip
+ * 3. br:             brotli
+ * 4. streamed:       数十万件をストリーミング（圧縮なし、サーバーは全体をメモリに載せない）
+ * 5. streamed_br:    数十万件をストリーミング + brotli
+ *
+ * 学べること:
+ * - Accept-Encoding による圧縮のネゴシエーション（k6は圧縮されたボディを自動で展開する）
+ * - data_received は展開前（ネットワーク上）のバイト数であること
+ * - scenarios と startTime で条件を順番に切り替え、タグで比較する方法
+ * - responseType: 'none' で巨大なボディをk6のメモリに載せない方法
+ * - サーバー側のメトリクス（/metrics）を Gauge に取り込む方法
+ */
+
+const SIZE = parseInt(__ENV.SIZE || '2000');
+const STREAM_SIZE = parseInt(__ENV.STREAM_SIZE || '300000');
+const PHASE_SECONDS = parseInt(__ENV.PHASE_SECONDS || '30');
+
+// 展開後のボディのサイズ（data_received との差が圧縮の効果）
+const bodyBytes = new Trend('payload_body_bytes');
+// サーバーのヒープ使用量（/metrics の nodejs_heap_size_used_bytes）
+const serverHeapUsed = new Gauge('server_heap_used_bytes');
+// サーバーの常駐メモリ（/metrics の process_resident_memory_bytes）
+const serverResidentMemory = new Gauge('server_resident_memory_bytes');
+
+/**
+ * startTime をずらして条件を1つずつ実行するシナリオ
+ */
+function phase(index, env) {
+  return {
+    executor: 'constant-vus',
+    vus: 5,
+    duration: `${PHASE_SECONDS}s`,
+    // 前の条件のリクエストが残らないよう、間を5秒あける
+    startTime: `${index * (PHASE_SECONDS + 5)}s`,
+    env,
+  };
+}
+
+export const options = {
+  scenarios: {
+    identity: phase(0, { ENCODING: 'identity' }),
+    gzip: phase(1, { ENCODING: 'gzip' }),
+    br: phase(2, { ENCODING: 'br' }),
+    streamed: phase(3, { ENCODING: 'identity', STREAM: 'true' }),
+    streamed_br: phase(4, { ENCODING: 'br', STREAM: 'true' }),
+  },
+
+  thresholds: {
+    http_req_failed: ['rate<0.01'],
+    checks: ['rate>0.99'],
+    'http_req_duration{scenario:br}': ['p(95)<2000'],
+
+    // 条件ごとの値をサマリーに表示するための閾値（常に成功する）
+    'data_received{scenario:identity}': ['count>=0'],
+    'data_received{scenario:gzip}': ['count>=0'],
+    'data_received{scenario:br}': ['count>=0'],
+    'data_received{scenario:streamed}': ['count>=0'],
+    'data_received{scenario:streamed_br}': ['count>=0'],
+    'http_req_receiving{scenario:identity}': ['avg>=0'],
+    'http_req_receiving{scenario:gzip}': ['avg>=0'],
+    'http_req_receiving{scenario:br}': ['avg>=0'],
+    'http_req_receiving{scenario:streamed}': ['avg>=0'],
+    'http_req_receiving{scenario:streamed_br}': ['avg>=0'],
+    'server_heap_used_bytes{scenario:br}': ['value>=0'],
+    'server_heap_used_bytes{scenario:streamed}': ['value>=0'],
+  },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+
+/**
+ * /metrics（Prometheus形式）から1つの値を取り出す
+ */
+function readServerMetric(text, name) {
+  const match = text.match(new RegExp(`^${name}(?:\\{[^}]*\\})? ([0-9.e+]+)$`, 'm'));
+  return match ? parseFloat(match[1]) : null;
+}
+
+function sampleServerMemory() {
+  const res = http.get(`${BASE_URL}/metrics`, { tags: { name: 'server_metrics' } });
+  if (res.status !== 200) {
+    return;
+  }
+  const heapUsed = readServerMetric(res.body, 'nodejs_heap_size_used_bytes');
+  const resident = readServerMetric(res.body, 'process_resident_memory_bytes');
+  if (heapUsed !== null) {
+    serverHeapUsed.add(heapUsed);
+  }
+  if (resident !== null) {
+    serverResidentMemory.add(resident);
+  }
+}
+
+export default function () {
+  const encoding = __ENV.ENCODING;
+  const streamed = __ENV.STREAM === 'true';
+  const size = streamed ? STREAM_SIZE : SIZE;
+
+  const res = http.get(`${BASE_URL}/api/large-payload?size=${size}&stream=${streamed}`, {
+    headers: { 'Accept-Encoding': encoding },
+    // 数十万件のボディはk6のメモリを圧迫するため、ストリーミングでは受信後に捨てる
+    responseType: streamed ? 'none' : 'text',
+    timeout: '120s',
+    tags: { name: 'large_payload', encoding, mode: streamed ? 'streamed' : 'buffered' },
+  });
+
+  check(res, {
+    'ステータスは200': (r) => r.status === 200,
+    '要求した方式で圧縮されている': (r) =>
+      encoding === 'identity' ? !r.headers['Content-Encoding'] : r.headers['Content-Encoding'] === encoding,
+    'モードが一致': (r) => r.headers['X-Payload-Mode'] === (streamed ? 'streamed' : 'buffered'),
+  });
+
+  if (!streamed && res.body) {
+    // k6は展開後のボディを返すため、JSONとしてそのまま読める
+    bodyBytes.add(res.body.length, { encoding });
+    check(res, {
+      'すべてのアイテムを受信': (r) => r.json('count') === size,
+    });
+  }
+
+  // 5イテレーションに1回、サーバーのメモリを記録する（scenario タグで条件ごとに分かれる）
+  if (exec.scenario.iterationInTest % 5 === 0) {
+    sampleServerMemory();
+  }
+
+  sleep(1);
+}
+
+/**
+ * 実行方法:
+ * k6 run scenarios/04-metrics/07-compression.js
+ *
+ * サイズと各条件の時間を変える:
+ * k6 run -e SIZE=5000 -e STREAM_SIZE=500000 -e PHASE_SECONDS=60 scenarios/04-metrics/07-compression.js
+ *
+ * 結果の確認（--summary-trend-stats で p(95) なども表示できる）:
+ * - data_received{scenario:...}: 条件ごとの転送量（identity と gzip / br の差が圧縮の効果）
+ * - http_req_receiving{scenario:...}: 受信にかかった時間
+ * - payload_body_bytes: 展開後のボディのサイズ（圧縮の有無で変わらない）
+ * - server_heap_used_bytes / server_resident_memory_bytes{scenario:...}: サーバーのメモリ
+ *   （streamed は件数が多くてもメモリが増えにくい）
+ *
+ * 単発で確認する:
+ * curl -s -o /dev/null -w '%{size_download}\n' 'http://localhost:3000/api/large-payload?size=2000'
+ * curl -s -o /dev/null -w '%{size_download}\n' -H 'Accept-Encoding: br' 'http://localhost:3000/api/large-payload?size=2000'
+ *
+ * ポイント:
+ * - 圧縮は転送量を減らす代わりに、サーバーとクライアントのCPUを使う
+ * - size が PAYLOAD_STREAM_THRESHOLD（デフォルト10000）を超えると、stream を指定しなくてもストリーミングになる
+ * - stream=false で返せるのは20万件まで（それ以上はサーバーのメモリを守るため400）
+ */
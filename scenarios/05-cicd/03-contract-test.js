@@ -0,0 +1,133 @@
+import http from 'k6/http';
+import { check, group, sleep } from 'k6';
+import { Rate } from 'k6/metrics';
+
+/**
+ * 03. API仕様との契約テスト
+ *
+ * モックサーバーを検証モード（OPENAPI_VALIDATION=true）で起動し、
+ * 負荷をかけながらレスポンスが API仕様（/openapi.json）から外れていないかを確認します。
+ *
+ * 検証モードのサーバーは:
+ * - 仕様に合わないリクエストを400（details に違反箇所）で拒否
+ * - 仕様からずれたレスポンスに X-Contract-Violation ヘッダーを付与
+ *
+ * 学べること:
+ * - 負荷テストと契約テストの組み合わせ
+ * - レスポンスヘッダーを使ったチェック
+ * - Rate メトリクスによる「0件であるべき」の閾値
+ * - 意図的な不正リクエストで検証が働いていることの確認
+ */
+
+// 仕様からずれたレスポンスの割合
+const contractViolations = new Rate('contract_violations');
+
+export const options = {
+  vus: 5,
+  duration: '1m',
+
+  thresholds: {
+    contract_violations: ['rate==0'],   // 1件でも仕様からずれたら失敗
+    checks: ['rate>0.99'],
+    http_req_duration: ['p(95)<1000'],
+  },
+
+  tags: {
+    ci: 'true',
+  },
+};
+
+const BASE_URL = __ENV.BASE_URL || 'http://localhost:3000';
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+/**
+ * X-Contract-Violation ヘッダーを記録して返す
+ */
+function recordContract(res) {
+  const violation = res.headers['X-Contract-Violation'];
+  contractViolations.add(violation !== undefined);
+  if (violation) {
+    console.warn(`${res.request.method} ${res.url}: ${violation}`);
+  }
+  return res;
+}
+
+export function setup() {
+  // 仕様が公開されていること（検証モードでなくても取得できる）
+  const res = http.get(`${BASE_URL}/openapi.json`);
+
+  check(res, {
+    'API仕様を取得': (r) => r.status === 200,
+    'OpenAPI 3.x': (r) => String(r.json('openapi')).startsWith('3.'),
+  });
+}
+
+export default function () {
+  group('Users', () => {
+    const list = recordContract(http.get(`${BASE_URL}/api/users?limit=10&sort=-createdAt`));
+    check(list, { 'ユーザー一覧': (r) => r.status === 200 });
+
+    const created = recordContract(http.post(
+      `${BASE_URL}/api/users`,
+      JSON.stringify({ name: `契約テスト${__VU}`, email: `contract${__VU}-${__ITER}@example.com` }),
+      { headers: JSON_HEADERS }
+    ));
+    check(created, { 'ユーザー作成': (r) => r.status === 201 });
+
+    if (created.status === 201) {
+      const id = created.json('data.id');
+      recordContract(http.get(`${BASE_URL}/api/users/${id}`, { tags: { name: 'user_detail' } }));
+      recordContract(http.del(`${BASE_URL}/api/users/${id}`, null, { tags: { name: 'user_delete' } }));
+    }
+  });
+
+  group('Shop', () => {
+    const products = recordContract(http.get(`${BASE_URL}/api/products?limit=5&sort=price`));
+    check(products, { '商品一覧': (r) => r.status === 200 });
+
+    recordContract(http.get(`${BASE_URL}/api/products/1`));
+  });
+
+  group('Delay', () => {
+    recordContract(http.get(`${BASE_URL}/api/delay?dist=lognormal&median=50&sigma=0.5`));
+  });
+
+  // 仕様に合わないリクエストは400で拒否され、違反箇所が details に入る
+  group('Invalid_Requests', () => {
+    const res = http.post(
+      `${BASE_URL}/api/users`,
+      JSON.stringify({ name: 123 }),
+      {
+        headers: JSON_HEADERS,
+        tags: { name: 'invalid_request' },
+        responseCallback: http.expectedStatuses(400),
+      }
+    );
+
+    check(res, {
+      '不正なリクエストは400': (r) => r.status === 400,
+      '違反箇所が返る': (r) => Array.isArray(r.json('details')) && r.json('details').length > 0,
+    });
+  });
+
+  sleep(1);
+}
+
+/**
+ * 実行方法:
+ * # 検証モードでモックサーバーを起動
+ * cd mock-server && OPENAPI_VALIDATION=true npm start
+ *
+ * k6 run scenarios/05-cicd/03-contract-test.js
+ *
+ * 結果の確認:
+ * - contract_violations が 0% であること（ずれたレスポンスはログに警告が出る）
+ * - 「違反箇所が返る」のチェックが失敗する場合は、サーバーが検証モードで起動していない
+ *
+ * モックAPI:
+ * - GET /openapi.json   API仕様（mock-server/openapi.yaml）
+ *
+ * ポイント:
+ * - 負荷がかかった状態でしか出ないずれ（エラー時のレスポンス形式など）も検出できる
+ * - API仕様を変更したら、このテストをCIで実行して実装とのずれを防ぐ
+ */
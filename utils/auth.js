@@ -1,9 +1,12 @@
 import http from 'k6/http';
+import { randomBytes, sha256 } from 'k6/crypto';
+import encoding from 'k6/encoding';
 
 /**
  * 認証ヘルパー関数
  * 
  * JWT認証を使用するテストで共通して使用する関数群
+ * （/api/auth/* のログインと、/oauth/* の OAuth2 認可サーバー）
  */
 
 /**
@@ -86,3 +89,207 @@ export function authenticatedPost(url, data, token, params = {}) {
     }
   );
 }
+
+/**
+ * リフレッシュトークンで新しいトークンを取得
+ * 
+ * リフレッシュトークンは使い捨てのため、戻り値の refreshToken を次回に使うこと
+ * 
+ * @param {string} baseUrl - APIのベースURL
+ * @param {string} refreshToken - リフレッシュトークン
+ * @returns {Object|null} - { token, refreshToken, expiresIn, ... }、失敗時はnull
+ */
+export function refreshTokens(baseUrl, refreshToken) {
+  const response = http.post(
+    `${baseUrl}/api/auth/refresh`,
+    JSON.stringify({ refreshToken }),
+    {
+      headers: { 'Content-Type': 'application/json' },
+      tags: { name: 'refresh' },
+    }
+  );
+
+  if (response.status === 200) {
+    try {
+      return JSON.parse(response.body).data || null;
+    } catch (e) {
+      console.error('Failed to parse refresh response:', e);
+      return null;
+    }
+  }
+
+  console.error(`Refresh failed: status=${response.status}`);
+  return null;
+}
+
+/**
+ * ログアウト（アクセストークン・リフレッシュトークンを失効させる）
+ * 
+ * @param {string} baseUrl - APIのベースURL
+ * @param {string} token - JWTトークン
+ * @returns {Object} - HTTPレスポンス
+ */
+export function logout(baseUrl, token) {
+  return http.post(`${baseUrl}/api/auth/logout`, null, {
+    headers: getAuthHeaders(token),
+    tags: { name: 'logout' },
+  });
+}
+
+/**
+ * OAuth2 のトークンレスポンスを読み取る
+ */
+function parseTokenResponse(response, label) {
+  if (response.status === 200) {
+    try {
+      return JSON.parse(response.body);
+    } catch (e) {
+      console.error(`Failed to parse ${label} response:`, e);
+      return null;
+    }
+  }
+
+  console.error(`${label} failed: status=${response.status} body=${response.body}`);
+  return null;
+}
+
+/**
+ * URLのクエリパラメーターを取り出す（k6 には URL クラスがないため）
+ */
+function getQueryParam(url, name) {
+  const match = (url || '').match(new RegExp(`[?&]${name}=([^&#]*)`));
+  return match ? decodeURIComponent(match[1].replace(/\+/g, ' ')) : null;
+}
+
+/**
+ * client_credentials でアクセストークンを取得（サービス間連携）
+ * 
+ * @param {string} baseUrl - APIのベースURL
+ * @param {string} clientId - クライアントID
+ * @param {string} clientSecret - クライアントシークレット
+ * @param {string} [scope] - スペース区切りのスコープ（省略時はクライアントに許可されたすべて）
+ * @returns {Object|null} - { access_token, token_type, expires_in, scope }、失敗時はnull
+ */
+export function getClientCredentialsToken(baseUrl, clientId, clientSecret, scope) {
+  const body = { grant_type: 'client_credentials' };
+  if (scope) {
+    body.scope = scope;
+  }
+
+  // オブジェクトを渡すと application/x-www-form-urlencoded で送信される
+  const response = http.post(`${baseUrl}/oauth/token`, body, {
+    headers: {
+      'Authorization': `Basic ${encoding.b64encode(`${clientId}:${clientSecret}`)}`,
+    },
+    tags: { name: 'oauth_token_client_credentials' },
+  });
+
+  return parseTokenResponse(response, 'Client credentials');
+}
+
+/**
+ * PKCE の code_verifier と code_challenge（S256）を生成
+ * 
+ * @returns {Object} - { verifier, challenge }
+ */
+export function createPkcePair() {
+  // 32バイトの乱数を base64url にすると43文字（RFC 7636 の最小長）
+  const verifier = encoding.b64encode(randomBytes(32), 'rawurl');
+  return { verifier, challenge: sha256(verifier, 'base64rawurl') };
+}
+
+/**
+ * 認可コード + PKCE でログインしてトークンを取得（ブラウザ・モバイルアプリのログイン）
+ * 
+ * 認可エンドポイントのリダイレクトは追わずに Location から認可コードを取り出す
+ * （redirect_uri はアプリ側のURLで、負荷テストでは存在しなくてよい）
+ * 
+ * @param {string} baseUrl - APIのベースURL
+ * @param {Object} options
+ * @param {string} options.clientId - クライアントID（公開クライアント）
+ * @param {string} options.redirectUri - 登録済みのリダイレクトURI
+ * @param {string} options.username - ユーザー名
+ * @param {string} options.password - パスワード
+ * @param {string} [options.scope] - スペース区切りのスコープ（デフォルトは openid）
+ * @returns {Object|null} - { access_token, id_token, expires_in, scope, ... }、失敗時はnull
+ */
+export function loginWithAuthorizationCode(baseUrl, { clientId, redirectUri, username, password, scope = 'openid' }) {
+  const { verifier, challenge } = createPkcePair();
+  const state = encoding.b64encode(randomBytes(16), 'rawurl');
+  const params = {
+    response_type: 'code',
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    scope,
+    state,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+  };
+
+  // ログインフォームを表示（ブラウザと同じ順番でリクエストする）
+  const query = Object.keys(params)
+    .map((key) => `${key}=${encodeURIComponent(params[key])}`)
+    .join('&');
+  const page = http.get(`${baseUrl}/oauth/authorize?${query}`, {
+    tags: { name: 'oauth_authorize_page' },
+  });
+  if (page.status !== 200) {
+    console.error(`Authorize page failed: status=${page.status}`);
+    return null;
+  }
+
+  const authorize = http.post(
+    `${baseUrl}/oauth/authorize`,
+    { ...params, username, password },
+    { redirects: 0, tags: { name: 'oauth_authorize' } }
+  );
+  const location = authorize.headers['Location'];
+  const code = getQueryParam(location, 'code');
+  if (authorize.status !== 302 || !code) {
+    console.error(`Authorize failed: status=${authorize.status} location=${location}`);
+    return null;
+  }
+  // state が一致しなければ、別のリクエストへの応答（CSRF）とみなす
+  if (getQueryParam(location, 'state') !== state) {
+    console.error('Authorize failed: state mismatch');
+    return null;
+  }
+
+  const response = http.post(
+    `${baseUrl}/oauth/token`,
+    {
+      grant_type: 'authorization_code',
+      client_id: clientId,
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: verifier,
+    },
+    { tags: { name: 'oauth_token_authorization_code' } }
+  );
+
+  return parseTokenResponse(response, 'Authorization code');
+}
+
+/**
+ * トークンイントロスペクション（リソースサーバーとしてトークンを検証）
+ * 
+ * @param {string} baseUrl - APIのベースURL
+ * @param {string} token - 検証するアクセストークン
+ * @param {string} clientId - 機密クライアントのID
+ * @param {string} clientSecret - クライアントシークレット
+ * @returns {Object|null} - { active, scope, client_id, sub, exp, ... }、失敗時はnull
+ */
+export function introspectToken(baseUrl, token, clientId, clientSecret) {
+  const response = http.post(
+    `${baseUrl}/oauth/introspect`,
+    { token },
+    {
+      headers: {
+        'Authorization': `Basic ${encoding.b64encode(`${clientId}:${clientSecret}`)}`,
+      },
+      tags: { name: 'oauth_introspect' },
+    }
+  );
+
+  return parseTokenResponse(response, 'Introspection');
+}
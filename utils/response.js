@@ -0,0 +1,38 @@
+/**
+ * レスポンス処理のヘルパー関数
+ *
+ * 途中で切れたボディや壊れたJSONが返ってきても、イテレーションを中断させないための関数群
+ */
+
+/**
+ * レスポンスボディをJSONとしてパース
+ *
+ * JSON.parse() や response.json() はパースに失敗すると例外を投げ、
+ * check() の中で呼ぶとそのイテレーションが中断されます。
+ * この関数は失敗時に null を返すため、check() の中でも安全に使えます。
+ *
+ * @param {Object} response - http.get() などのレスポンス
+ * @returns {*|null} - パースした値、ボディがない・壊れている場合はnull
+ */
+export function parseJson(response) {
+  if (!response || typeof response.body !== 'string' || response.body === '') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(response.body);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * レスポンスボディの data フィールドを取り出す
+ *
+ * @param {Object} response
+ * @returns {*|null} - data フィールド、取り出せない場合はnull
+ */
+export function getData(response) {
+  const body = parseJson(response);
+  return body && body.data !== undefined ? body.data : null;
+}